@@ -26,62 +26,597 @@ export function promisifyRequest(request) {
     request.oncomplete = request.onsuccess = () => resolve(request.result);
     /**
      * Reject the promise if the request is aborted or encounters an error.
+     * The error of a failed request also reaches its transaction before the transaction has an 'error' of its own, so it's taken from the event target then.
      * @fires IDBRequest#onabort
      * @fires IDBRequest#onerror
      * @listens IDBRequest#onabort
      * @listens IDBRequest#onerror
      */
-    request.onabort = request.onerror = () => reject(request.error);
+    request.onabort = request.onerror = (event) => reject(request.error || (event && event.target && event.target.error) || null);
   });
 }
 
 
 
+/**
+ * The base class of the errors of the library. It tells which store and operation failed, and for which key.
+ * 
+ * Errors of IndexedDB which mean something to the caller are converted to the subclasses below (see 'toStoreError'), with the original 'DOMException' as 'cause'.
+ * Their 'name' stays the same as the name of the 'DOMException' where there is one (e.g. 'QuotaExceededError'), so checks of 'error.name' keep working.
+ * Other errors of IndexedDB (e.g. 'DataError' for an invalid key) are passed on as they are.
+ *
+ * @example
+ * try {
+ *   await set('big', blob, customStore);
+ * } catch (error) {
+ *   if (error instanceof QuotaExceededError) showStorageFullMessage();
+ *   else reportBug(error, error.storeName, error.operation, error.key);
+ * }
+ */
+export class StoreError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {{ storeName?: string, operation?: string, key?: IDBValidKey, cause?: any }} [details={}] - The name of the object store, the operation (e.g. 'set'), the key, and the original error.
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+    this.name = 'StoreError';
+    this.storeName = details.storeName;
+    this.operation = details.operation;
+    this.key = details.key;
+  }
+}
+
+/**
+ * The object store or index doesn't exist ('NotFoundError').
+ */
+export class NotFoundError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The storage quota of the origin is used up ('QuotaExceededError').
+ */
+export class QuotaExceededError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+/**
+ * The database exists with a higher version than the requested one, e.g. it was upgraded by a newer version of the app ('VersionError').
+ */
+export class VersionError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'VersionError';
+  }
+}
+
+/**
+ * The transaction was aborted, so nothing of it was written: explicitly with 'abort()', or because the updater callback of 'update' threw.
+ * 'transaction()' rejects with it as well when its transaction committed while the callback was still running. Then the writes made before that are kept.
+ */
+export class TransactionAbortedError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TransactionAbortedError';
+  }
+}
+
+/**
+ * A write broke a constraint, e.g. 'add' of an existing key or a duplicate value in a unique index ('ConstraintError').
+ */
+export class ConstraintError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConstraintError';
+  }
+}
+
+/**
+ * A store was called with a transaction mode other than 'readonly' and 'readwrite'.
+ */
+export class InvalidModeError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidModeError';
+  }
+}
+
+/**
+ * An optimistic write kept losing against concurrent writes of the same record (see 'updateAsync').
+ */
+export class ConflictError extends StoreError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * The error classes by the names of the 'DOMException's they replace.
+ */
+const DOM_ERROR_CLASSES = {
+  NotFoundError,
+  QuotaExceededError,
+  VersionError,
+  ConstraintError,
+  AbortError: TransactionAbortedError,
+};
+
+
+
+/**
+ * Convert an error of IndexedDB to an error of the library, or complete the details of an error of the library.
+ *
+ * @param {any} error - The error. 'null' means an aborted transaction (that's the 'error' of a transaction aborted with 'abort()').
+ * @param {{ storeName?: string, operation?: string, key?: IDBValidKey }} details - The details to add.
+ * @returns {any} The converted error, or the error itself if it's not an error of IndexedDB with a class of its own.
+ */
+function toStoreError(error, details) {
+  if (error instanceof StoreError) {
+    Object.entries(details).forEach(([name, value]) => {
+      if (error[name] === undefined) error[name] = value;
+    });
+    return error;
+  }
+  if (error === null || error === undefined) {
+    return new TransactionAbortedError(`Error during a transaction on '${details.storeName}' in IndexedDB: The transaction was aborted!`, details);
+  }
+
+  const ErrorClass = DOM_ERROR_CLASSES[error.name];
+
+  if (!ErrorClass) return error;
+  return new ErrorClass(
+    `Error during a transaction on '${details.storeName}' in IndexedDB: ${String(error.message).replace(/[.!]$/, '')}!`,
+    { ...details, cause: error }
+  );
+}
+
+
+
+/**
+ * Check the transaction mode passed to a store.
+ *
+ * @param {any} transactionMode - The transaction mode.
+ * @param {string} storeName - The name of the object store, for the error.
+ * @throws {InvalidModeError} Throws an error if the mode is not 'readonly' or 'readwrite'.
+ */
+function checkTransactionMode(transactionMode, storeName) {
+  if (transactionMode !== 'readonly' && transactionMode !== 'readwrite') {
+    throw new InvalidModeError(
+      `Error during creating a transaction on '${storeName}' in IndexedDB: The mode must be 'readonly' or 'readwrite', got '${transactionMode}'!`,
+      { storeName }
+    );
+  }
+}
+
+
+
 /**
  * !MODIFIED
  * I modified an original function (from the original library) and added some additional functionalities!
  * Added 'dbOptions' and 'upgradeCallback'.
- * 
- * 
+ * 'upgradeCallback' can also be an array of versioned migrations (see 'normalizeMigrations').
+ *
+ *
  * Create a store in the specified IndexedDB database.
  *
+ * When 'upgradeCallback' is a function, the database is opened without a version, so the callback only runs when the database is created for the first time.
+ * When it is an array of migrations, the database is opened with the highest declared version and only the migrations newer than the stored version run, in ascending order.
+ *
+ * @example
+ * const store = createStore('app', 'users', null, [
+ *   { version: 1, migrate: (dataBase) => {} },
+ *   { version: 2, migrate: (dataBase, transaction) => transaction.objectStore('users').createIndex('email', 'email') },
+ * ]);
+ *
  * @param {string} dbName - The name of the IndexedDB database.
  * @param {string} storeName - The name of the object store to create.
- * @param {object|null} [dbOptions=null] - Optional configuration options for the object store.
- * @param {function|null} [upgradeCallback=null] - Optional callback function for database upgrade actions.
+ * @param {object|null} [dbOptions=null] - Optional configuration options for the object store ('keyPath', 'autoIncrement', 'indexes' (see 'IndexDefinition'), 'expiration' (see 'purgeExpired'), 'revisions' (see 'updateAsync'), 'plugins' (see 'withPlugins'),
+ *                                          'validate' (a validator function or a JSON Schema, see 'ValidateFunction' and 'ValueSchema'), 'validateOnRead' (see 'validateOperation'),
+ *                                          'retry' (see 'RetryPolicy'), 'cache' (see 'CacheOptions') and 'journal' (see 'sync')).
+ * @param {function|Migration[]|null} [upgradeCallback=null] - Optional callback function for database upgrade actions, or an array of versioned migrations.
  * @returns {function} A function that takes a transaction mode and a callback,
  *                     and returns a promise that resolves with the result of the callback.
- * @throws {Error} Throws an error if `dbOptions` is specified but not an object.
+ *                     It also has 'close()', 'on(type, listener)' and 'off(type, listener)' methods to manage the connection (see 'createConnection').
+ * @throws {TypeError} Throws an error if `dbOptions` is specified but not an object, if 'validate' is neither a function nor a schema, or if 'retry' or 'cache' is malformed.
+ * @throws {Error} Throws an error if the indexes or the migrations are malformed.
  */
 export function createStore(dbName, storeName, dbOptions = null, upgradeCallback = null) {
+  return createStoreWithBackend(dbName, storeName, dbOptions, upgradeCallback, null);
+}
+
+
+
+/**
+ * Create a store on a given backend. Shared by 'createStore' and 'createMemoryStore'.
+ *
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {object|null} dbOptions - The object store options.
+ * @param {function|Migration[]|null} upgradeCallback - Optional callback function for database upgrade actions, or an array of versioned migrations.
+ * @param {object|null} backend - The backend (see 'createMemoryBackend'), or 'null' for IndexedDB with the in-memory fallback.
+ * @returns {function} The store.
+ */
+function createStoreWithBackend(dbName, storeName, dbOptions, upgradeCallback, backend) {
+  /**
+   * Open the database and make sure that the object store exists.
+   */
+  const connection = createConnection(dbName, { [storeName]: dbOptions }, upgradeCallback, backend);
+  const customStore = bindStore(connection, storeName, transactionScope(storeName, dbOptions));
+
+  customStore.close = connection.close;
+  customStore.on = connection.on;
+  customStore.off = connection.off;
+
+  return configureStore(customStore, dbOptions);
+}
+
+
+
+/**
+ * Create a handle for a database which holds several object stores.
+ *
+ * 'createStore' opens a separate connection for every store, and every connection can only transact on its own store.
+ * 'createDatabase' opens a single connection for all stores declared in the 'schema':
+ * - 'store(storeName)' returns a function with the same contract as the one returned by 'createStore', so it works with 'get', 'set', 'del' and the rest of the helpers.
+ * - 'transaction(storeNames, transactionMode, callback)' creates one transaction which spans several stores, so changes to all of them either succeed or fail together.
+ *
+ * @example
+ * const db = createDatabase('mail', { stores: { outbox: null, sent: null } });
+ * await set('message-1', message, db.store('outbox'));
+ *
+ * await db.transaction(['outbox', 'sent'], 'readwrite', async ({ outbox, sent }) => {
+ *   const message = await promisifyRequest(outbox.get('message-1'));
+ *   sent.put(message, 'message-1');
+ *   outbox.delete('message-1');
+ *   return promisifyRequest(outbox.transaction);
+ * });
+ *
+ * @param {string} dbName - The name of the IndexedDB database.
+ * @param {object} schema - Description of the database.
+ * @param {Object<string, object|null>} schema.stores - Object store names mapped to their options ('keyPath', 'autoIncrement', 'indexes', 'expiration', 'revisions', 'plugins', 'validate', 'validateOnRead', 'retry', 'cache', 'journal'), or 'null' for the defaults.
+ * @param {function|Migration[]} [schema.migrations] - Optional callback function for database upgrade actions, or an array of versioned migrations (see 'createStore').
+ * @param {object} [schema.backend] - Optional backend with the 'IDBFactory' interface, e.g. 'createMemoryBackend()'. By default IndexedDB, or the in-memory backend where IndexedDB is unavailable.
+ * @returns {{ name: string, store: function, transaction: function, close: function, on: function, off: function }} The database handle.
+ * @throws {Error} Throws an error if 'schema.stores' is missing, or if the migrations are malformed.
+ */
+export function createDatabase(dbName, schema) {
+  if (!schema || !schema.stores || typeof schema.stores !== 'object') {
+    throw new Error(`Error during opening an IndexedDB database: Schema of '${dbName}' must declare its object stores in 'schema.stores'!`);
+  }
+
+  /**
+   * The single connection which is shared by all store accessors and transactions of this handle.
+   */
+  const connection = createConnection(dbName, schema.stores, schema.migrations || null, schema.backend || null);
+  /**
+   * Store accessors are cached, so 'db.store('outbox') === db.store('outbox')'.
+   * @type {Map<string, function>}
+   */
+  const storeAccessors = new Map();
+
+  return {
+    name: dbName,
+
+    /**
+     * Get a function with the 'createStore' contract which is bound to one object store of this database.
+     *
+     * @param {string} storeName - The name of the object store.
+     * @returns {function} A function that takes a transaction mode and a callback.
+     */
+    store(storeName) {
+      if (!storeAccessors.has(storeName)) {
+        const dbOptions = schema.stores[storeName];
+        const customStore = bindStore(connection, storeName, transactionScope(storeName, dbOptions));
+
+        storeAccessors.set(storeName, configureStore(customStore, dbOptions));
+      }
+      return storeAccessors.get(storeName);
+    },
+
+    /**
+     * Run a callback inside one transaction which spans several object stores.
+     *
+     * The callback receives an object with the 'IDBObjectStore' of every requested store, keyed by store name.
+     * Just like with 'createStore', the result of the callback is returned as is, so to wait for the writes to be committed, return 'promisifyRequest(store.transaction)' from the callback.
+     *
+     * @param {string[]} storeNames - The names of the object stores to include in the transaction.
+     * @param {IDBTransactionMode} transactionMode - The transaction mode ('readonly' or 'readwrite').
+     * @param {(stores: Object<string, IDBObjectStore>) => any} callback - Callback function to perform operations on the object stores.
+     * @returns {Promise<any>} A promise that resolves with the result of the callback.
+     */
+    async transaction(storeNames, transactionMode, callback) {
+      checkTransactionMode(transactionMode, storeNames.join(', '));
+
+      const transaction = await connection.transaction(storeNames, transactionMode).catch((error) => {
+        throw toStoreError(error, { storeName: storeNames.join(', ') });
+      });
+      /**
+       * Collect all stores of the transaction into an object, so the callback can destructure them by name.
+       */
+      const stores = {};
+      storeNames.forEach(storeName => {
+        stores[storeName] = transaction.objectStore(storeName);
+      });
+      return callback(stores);
+    },
+
+    /**
+     * Close the connection. The next store accessor or transaction used after that opens it again.
+     */
+    close: connection.close,
+    /**
+     * Listen to 'blocked', 'versionchange' and 'close' events of the connection (see 'createConnection').
+     */
+    on: connection.on,
+    off: connection.off,
+  };
+}
+
+
+
+/**
+ * Create a minimal event emitter.
+ *
+ * @returns {{ on: (type: string, listener: Function) => (() => void), off: (type: string, listener: Function) => void, emit: (type: string, event?: any) => void }} The emitter.
+ */
+function createEmitter() {
+  /**
+   * @type {Map<string, Set<Function>>}
+   */
+  const listeners = new Map();
+
+  const off = (type, listener) => {
+    if (listeners.has(type)) listeners.get(type).delete(listener);
+  };
+
+  return {
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => off(type, listener);
+    },
+    off,
+    emit(type, event) {
+      if (listeners.has(type)) listeners.get(type).forEach(listener => listener(event));
+    },
+  };
+}
+
+
+
+/**
+ * Manage the connection to a database: open it lazily, close it when asked or when another tab needs to upgrade, and open it again on the next use.
+ * 
+ * A connection which stays open forever causes two problems in apps with several tabs:
+ * - When a newer version of the app opens the database with a higher version, the upgrade waits ('blocked') until every other connection is closed.
+ *   So on 'versionchange' the connection closes itself right away and lets the other tab upgrade.
+ * - When the browser closes the connection (e.g. the database was deleted in the dev tools), every following transaction would fail.
+ * 
+ * In both cases the connection is forgotten, and the next operation opens it again. A failed open is forgotten as well, so it can be retried.
+ * 
+ * Without an explicit backend, the connection uses IndexedDB. If IndexedDB is missing (e.g. in Node) or refuses to open (e.g. in some private browsing modes), 
+ * it switches to the shared in-memory backend (see 'createMemoryBackend'), so the app keeps working, without persistence.
+ * 
+ * Events (subscribe with 'on(type, listener)', which returns an unsubscribe function):
+ * - 'blocked': opening (or upgrading) waits for other tabs to close their connections. Receives the 'IDBVersionChangeEvent'.
+ * - 'versionchange': another tab wants to upgrade or delete the database. The connection is already closed. Receives the 'IDBVersionChangeEvent'.
+ * - 'close': the connection was closed. Receives '{ reason }': 'close' (by 'close()'), 'versionchange' or 'unexpected' (by the browser).
+ * - 'fallback': IndexedDB could not be opened and the in-memory backend is used instead. Receives '{ error }'.
+ *
+ * @param {string} dbName - The name of the IndexedDB database.
+ * @param {Object<string, object|null>} storeDefinitions - Object store names mapped to their options.
+ * @param {function|Migration[]|null} upgradeCallback - Optional callback function for database upgrade actions, or an array of versioned migrations.
+ * @param {object|null} [backend=null] - The backend with the 'IDBFactory' interface, or 'null' for IndexedDB with the in-memory fallback.
+ * @returns {{ open: () => Promise<IDBDatabase>, transaction: (scope: string|string[], transactionMode: IDBTransactionMode) => Promise<IDBTransaction>, close: () => Promise<void>, on: Function, off: Function }} The connection.
+ * @throws {Error} Throws an error if some store options are not an object, or if the indexes or migrations are malformed.
+ */
+function createConnection(dbName, storeDefinitions, upgradeCallback, backend = null) {
+  /**
+   * The store options are checked right away, so malformed options throw from 'createStore' instead of rejecting every operation.
+   */
+  normalizeStoreDefinitions(storeDefinitions);
+
+  const emitter = createEmitter();
+  /**
+   * The backend in use. It changes only once, from IndexedDB to the in-memory backend.
+   */
+  let currentBackend = backend || defaultBackend();
+  /**
+   * The current connection, or 'null' if it is closed.
+   * @type {Promise<IDBDatabase>|null}
+   */
+  let dataBasePromise = null;
+
+  /**
+   * Forget the connection, but only if it wasn't replaced by a newer one in the meantime.
+   */
+  const forget = (promise) => {
+    if (dataBasePromise === promise) dataBasePromise = null;
+  };
+
+  const open = () => {
+    if (dataBasePromise) return dataBasePromise;
+
+    const promise = openDataBase(dbName, storeDefinitions, upgradeCallback, event => emitter.emit('blocked', event), currentBackend).then(
+      (dataBase) => {
+        /**
+         * Another tab (or 'indexedDB.deleteDatabase') wants to change the database. Step aside, otherwise it stays blocked.
+         */
+        dataBase.onversionchange = (event) => {
+          dataBase.close();
+          releaseChannel(dbName, dataBase);
+          forget(promise);
+          emitter.emit('versionchange', event);
+          emitter.emit('close', { reason: 'versionchange' });
+        };
+        /**
+         * 'close' fires only when the browser closes the connection on its own, not after 'dataBase.close()'.
+         */
+        dataBase.onclose = () => {
+          forget(promise);
+          emitter.emit('close', { reason: 'unexpected' });
+        };
+        return dataBase;
+      },
+      (error) => {
+        forget(promise);
+
+        if (!backend && currentBackend !== memoryBackend() && isUnavailableError(error)) {
+          currentBackend = memoryBackend();
+          emitter.emit('fallback', { error });
+          return open();
+        }
+        throw error;
+      }
+    );
+
+    dataBasePromise = promise;
+    return promise;
+  };
+
+  /**
+   * The database is opened right away (like before), so malformed options fail immediately and the first operation doesn't wait for the whole open.
+   * The rejection is handled here, because it is reported again to the operations which use the connection.
+   */
+  open().catch(() => {});
+
+  return {
+    open,
+
+    /**
+     * Create a transaction on the open database.
+     * If the connection was closed between opening it and now, it is opened once again.
+     */
+    async transaction(scope, transactionMode) {
+      const dataBase = await open();
+
+      try {
+        return dataBase.transaction(scope, transactionMode);
+      } catch (error) {
+        if (error.name !== 'InvalidStateError') throw error;
+
+        forget(dataBasePromise);
+        return (await open()).transaction(scope, transactionMode);
+      }
+    },
+
+    /**
+     * Close the connection. Running transactions finish first, and the next operation opens the connection again.
+     * The channel which published the changes of this connection is closed too, unless something else still uses it (see 'releaseChannel').
+     */
+    async close() {
+      const promise = dataBasePromise;
+
+      if (!promise) return;
+
+      dataBasePromise = null;
+
+      let dataBase;
+      try {
+        dataBase = await promise;
+      } catch {
+        /**
+         * A connection which failed to open has nothing to close.
+         */
+        return;
+      }
+      dataBase.close();
+      releaseChannel(dbName, dataBase);
+      emitter.emit('close', { reason: 'close' });
+    },
+
+    on: emitter.on,
+    off: emitter.off,
+  };
+}
+
+
+
+/**
+ * Open a database and make sure that all declared object stores exist.
+ *
+ * This is the shared part of 'createStore' and 'createDatabase'.
+ * Object stores are created only during an upgrade, i.e. when the database is created for the first time or when a migration raises its version.
+ * If a declared store is still missing after the database is open, the promise rejects instead of failing later on every transaction.
+ *
+ * @param {string} dbName - The name of the IndexedDB database.
+ * @param {Object<string, object|null>} storeDefinitions - Object store names mapped to their options.
+ * @param {function|Migration[]|null} upgradeCallback - Optional callback function for database upgrade actions, or an array of versioned migrations.
+ * @param {(event: IDBVersionChangeEvent) => void} [onBlocked] - Called when the open request is blocked by connections in other tabs.
+ * @param {object} [backend=indexedDB] - The backend with the 'IDBFactory' interface (see 'createMemoryBackend').
+ * @returns {Promise<IDBDatabase>} A promise that resolves with the opened database.
+ * @throws {Error} Throws an error if some store options are not an object, or if the indexes or migrations are malformed.
+ */
+function openDataBase(dbName, storeDefinitions, upgradeCallback, onBlocked, backend = defaultBackend()) {
+  /**
+   * Sorted and validated migrations, or 'null' when the caller uses a plain upgrade callback.
+   * @type {Migration[]|null}
+   */
+  const migrations = Array.isArray(upgradeCallback) ? normalizeMigrations(upgradeCallback) : null;
+  /**
+   * Validated store definitions. They are checked before opening, so a typo fails right away instead of aborting the upgrade.
+   * @type {Object<string, StoreSchema>}
+   */
+  const schema = normalizeStoreDefinitions(storeDefinitions);
+  /**
+   * Error thrown by a migration step. It is kept aside, because aborting the upgrade transaction makes the open request fail with a generic 'AbortError'.
+   * @type {Error|null}
+   */
+  let migrationError = null;
+
   /**
    * Open a database.
    * @type {IDBOpenDBRequest}
    * @fires IDBOpenDBRequest#upgradeneeded
-   * 
-   * 
+   *
+   *
    * An asynchronous operation.
    * 'open' method returns an 'IDBOpenDBRequest' object (which will be assigned to the 'request' constant).
-   * 
+   *
    * Events associated with 'IDBOpenDBRequest':
    * 'onsuccess': Fired when the database is successfully opened. The 'request.result' will be the 'IDBDatabase' instance.
-   * 
+   *
    * 'onerror': Fired when there is an error opening the database.
-   * 
+   *
    * 'onupgradeneeded': Fired when a new version of the database is creted or when an upgrade is needed. This is where are object stores typically created or modified.
    * This event is handled as part of the initial 'indexedDB.open' request.
+   *
+   * With migrations, the target version is the version of the last migration. 'onupgradeneeded' fires whenever it is higher than the stored version.
+   *
+   * Some browsers throw right away when IndexedDB is disabled, so that is reported like a failed request.
+   */
+  let request;
+  try {
+    request = migrations
+      ? backend.open(dbName, migrations[migrations.length - 1].version)
+      : backend.open(dbName);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  /**
+   * 'onblocked' fires when the upgrade has to wait for connections of other tabs which are still open. The request goes on once they close.
    */
-  const request = indexedDB.open(dbName);
+  if (onBlocked) {
+    request.onblocked = onBlocked;
+  }
 
   /**
-   * Create an object store if it doesn't exist, or upgrade it.
+   * Create the object stores if they don't exist, or upgrade them.
    * @param {IDBVersionChangeEvent} event - The 'upgradeneeded' event object.
-   * @throws {Error} Throws an error if `dbOptions` is specified but not an object.
-   * 
-   * 
+   *
+   *
    * This event is handled as part of the initial 'indexedDB.open' request.
    * It runs synchronously to ensure that any necessary schema updates are completed before database is opened.
-   * Thus it runs before 'onsuccess'. 
+   * Thus it runs before 'onsuccess'.
    * The promise created by 'promisifyRequest' will only resolve once the database is fully opened and any necessary upgrades have been completed.
    * Once the upgrade process is complete, the 'onsuccess' event is fired, resolving the promise.
    */
@@ -91,21 +626,81 @@ export function createStore(dbName, storeName, dbOptions = null, upgradeCallback
      * @type {IDBDatabase}
      */
     const dataBase = event.target.result;
+    /**
+     * The 'versionchange' transaction which is used for the upgrade.
+     * @type {IDBTransaction}
+     */
+    const upgradeTransaction = event.target.transaction;
 
     /**
-     * Check whether the specified object store exists.
+     * Check whether each declared object store exists.
      * If it doesn't exist, creates a new one with optional parameters.
+     * Then create the declared indexes which the store doesn't have yet.
      */
-    if (!dataBase.objectStoreNames.contains(storeName)) {
+    const createDeclaredStores = () => Object.entries(schema).forEach(([storeName, { objectStoreOptions, indexes }]) => {
+      const store = dataBase.objectStoreNames.contains(storeName)
+        ? upgradeTransaction.objectStore(storeName)
+        : dataBase.createObjectStore(storeName, objectStoreOptions);
+
+      indexes.forEach(({ name, keyPath, unique, multiEntry }) => {
+        if (!store.indexNames.contains(name)) {
+          store.createIndex(name, keyPath, { unique, multiEntry });
+        }
+      });
+    });
+
+  /**
+   * Run the pending migrations inside the 'versionchange' transaction.
+   * If any step fails, the whole upgrade transaction is aborted, so the database stays at its previous version and schema.
+   * 
+   * The migrations run before the declared object stores and indexes are created: a migration may create or reshape a declared store itself, and only what is still missing afterwards is created.
+   */
+    if (migrations) {
+      const pendingMigrations = migrations.filter(migration => migration.version > event.oldVersion);
+      let migrationsRunning = false;
+
+      const abortUpgrade = (error) => {
+        migrationsRunning = false;
+        migrationError = migrationError || error;
+        try {
+          upgradeTransaction.abort();
+        } catch {
+          /**
+           * The transaction has already finished, the 'complete' listener below reports the error.
+           */
+        }
+      };
+
       /**
-       * If `dbOptions` is provided and is not an object, throw an error.
+       * A migration which awaits something else than an IndexedDB request (a timer, 'fetch', ...) leaves the transaction without pending requests, so it commits in the meantime.
+       * The upgrade can't be rolled back any more, but the store must not open as if it had succeeded.
        */
-      if (dbOptions && !Object.is(dbOptions)) {
-        throw new Error(`Error during creating an object store in IndexedDB: Object store parameters must have an object format!`)
+      upgradeTransaction.addEventListener('complete', () => {
+        if (migrationsRunning) {
+          migrationError = new Error('Error during upgrading an IndexedDB database: The upgrade transaction committed while a migration was still running. Migrations must only await IndexedDB requests!');
+        }
+      });
+
+      try {
+        const result = runMigrations(pendingMigrations, dataBase, upgradeTransaction);
+
+        if (result) {
+          migrationsRunning = true;
+          result.then(() => {
+            migrationsRunning = false;
+            createDeclaredStores();
+          }).catch(abortUpgrade);
+        } else {
+          createDeclaredStores();
+        }
+      } catch (error) {
+        abortUpgrade(error);
       }
-      dataBase.createObjectStore(storeName, dbOptions);
+      return;
     }
 
+    createDeclaredStores();
+
   /**
    * Invoke a custom upgrade callback function if provided.
    * @param {IDBDatabase} dataBase - The 'IDBDatabase' instance passed to the callback.
@@ -118,399 +713,7226 @@ export function createStore(dbName, storeName, dbOptions = null, upgradeCallback
   /**
    * Convert IndexedDB request into a promise for easier async handling.
    * @type {Promise<IDBDatabase>}
-   * 
+   *
    * 'indexedDB.open(dbName)' initiates asynchronous request to open a database. The 'request' object (which is an instance of 'IDBOpenDBRequest') is returned immediately, but the actual opening of the database happens asynchronously.
    */
-  const dataBasePromise = promisifyRequest(request);
+  return promisifyRequest(request).then(
+    (dataBase) => {
+      /**
+       * The upgrade committed although a migration didn't finish, so don't hand out the half-migrated database.
+       */
+      if (migrationError) {
+        dataBase.close();
+        throw migrationError;
+      }
 
+      /**
+       * Stores and indexes can only be created during an upgrade. When the database already exists at the requested version, a newly declared store or index is never created,
+       * so report it here with a hint instead of failing on every transaction with 'NotFoundError'.
+       */
+      const missingSchema = findMissingSchema(dataBase, schema);
 
-  /**
-   * @param {IDBTransactionMode} transactionMode - The transaction mode ('readonly' or 'readwrite').
-   * @param {function} callback - Callback function to perform operations on the object store.
-   * @returns {Promise<any>} A promise that resolves with the result of the callback.
-   * Returns an anonymous asynchronous function that provides a convinient way to interact with an IndexedDB database and its object stores in a structured manner.
-   */
-  return async (transactionMode, callback) => {
-    /**
-     * Waits for the IndexedDB database ('dataBasePromise') to open and become available.
-     * @type {IDBDatabase}
-     */
-    const dataBase = await dataBasePromise;
-    /**
-     * A transaction is created on the database.
-     * @type {IDBTransaction}
-     * 
-     * A transaction groups one or more operations into a single unit, ensuring that all operations either succeed or fail.
-     * 
-     * Transactions have modes such as '"readonly"' or '"readwrite"' which define the type of operations that can be performed within the transaction.
-     * 
-     * Transactions ensure that operations on the object store are isolated from other transactions. 
-     * This means that no other transactions can interfere with the operations in the current transaction.
+      if (missingSchema) {
+        dataBase.close();
+        throw new Error(`Error during opening an IndexedDB database: ${missingSchema} doesn't exist in '${dbName}' (version ${dataBase.version}). Add a migration to create it!`);
+      }
+      return dataBase;
+    },
+    (error) => {
+      /**
+       * Surface the error of the failed migration instead of the 'AbortError' of the open request.
+       */
+      throw migrationError || error;
+    }
+  );
+}
+
+
+
+/**
+ * Declaration of a secondary index, passed in the 'indexes' array of the object store options.
+ * A plain string is a shorthand for an index whose name and key path are the same.
+ *
+ * @typedef {object} IndexDefinition
+ * @property {string} [name] - The name of the index. Defaults to 'keyPath' if it is a string.
+ * @property {string|string[]} keyPath - The key path of the indexed property (or properties) in the stored values.
+ * @property {boolean} [unique=false] - Whether two records may not share the same index key.
+ * @property {boolean} [multiEntry=false] - Whether every element of an array value is indexed separately (e.g. tags).
+ */
+
+
+
+/**
+ * Validate the declared indexes and fill in their defaults.
+ *
+ * @param {Array<IndexDefinition|string>} [indexes=[]] - The declared indexes.
+ * @returns {Required<IndexDefinition>[]} The normalized index definitions.
+ * @throws {Error} Throws an error if 'indexes' is not an array or an index has no key path or name.
+ */
+function normalizeIndexes(indexes = []) {
+  if (!Array.isArray(indexes)) {
+    throw new Error(`Error during creating an object store in IndexedDB: 'indexes' must be an array!`);
+  }
+
+  return indexes.map(index => {
+    const { keyPath, name = typeof keyPath === 'string' ? keyPath : undefined, unique = false, multiEntry = false } =
+      typeof index === 'string' ? { keyPath: index } : index;
+
+    if (keyPath === undefined || name === undefined) {
+      throw new Error(`Error during creating an index in IndexedDB: Every index needs a 'keyPath', and a 'name' if its key path is an array!`);
+    }
+    return { name, keyPath, unique, multiEntry };
+  });
+}
+
+
+
+/**
+ * Validated definition of an object store.
+ *
+ * @typedef {object} StoreSchema
+ * @property {IDBObjectStoreParameters} objectStoreOptions - Options passed to 'createObjectStore' ('keyPath', 'autoIncrement').
+ * @property {Required<IndexDefinition>[]} indexes - The declared indexes.
+ */
+
+
+
+/**
+ * Validate the store options and split them into the options of 'createObjectStore' and the library options.
+ *
+ * @param {Object<string, object|null>} storeDefinitions - Object store names mapped to their options.
+ * @returns {Object<string, StoreSchema>} Object store names mapped to their validated definitions.
+ * @throws {TypeError} Throws an error if some store options are not an object.
+ * @throws {Error} Throws an error if the indexes are malformed.
+ */
+function normalizeStoreDefinitions(storeDefinitions) {
+  const schema = {};
+
+  Object.entries(storeDefinitions).forEach(([storeName, dbOptions]) => {
+    /**
+     * If `dbOptions` is provided and is not an object, throw an error.
+     */
+    if (dbOptions && typeof dbOptions !== 'object') {
+      throw new TypeError(`Error during creating an object store in IndexedDB: Options of '${storeName}' must be an object!`)
+    }
+    /**
+     * 'indexes', 'expiration', 'revisions', 'cache', 'journal', 'plugins', 'validate', 'validateOnRead' and 'retry' are library options, so they are not passed to 'createObjectStore'.
+     */
+    const { indexes, expiration, revisions, cache, journal, plugins, validate, validateOnRead, retry, ...objectStoreOptions } = dbOptions || {};
+
+    schema[storeName] = { objectStoreOptions, indexes: normalizeIndexes(indexes) };
+    /**
+     * Expiry times live in a companion store, so the stored values keep their shape.
+     * The 'expiresAt' index lets 'purgeExpired' find the stale records without reading the whole store.
+     */
+    if (expiration) {
+      schema[expiryStoreName(storeName)] = {
+        objectStoreOptions: { keyPath: 'key' },
+        indexes: [{ name: 'expiresAt', keyPath: 'expiresAt', unique: false, multiEntry: false }],
+      };
+    }
+    /**
+     * The revisions of the records, for optimistic writes (see 'updateAsync').
+     */
+    if (revisions) {
+      schema[revisionStoreName(storeName)] = { objectStoreOptions: { keyPath: 'key' }, indexes: [] };
+    }
+    /**
+     * The access times of a cache live in a companion store too. Its indexes give the eviction order: 'accessedAt' for LRU, 'hits' for LFU.
+     */
+    if (cache) {
+      schema[accessStoreName(storeName)] = {
+        objectStoreOptions: { keyPath: 'key' },
+        indexes: [
+          { name: 'accessedAt', keyPath: 'accessedAt', unique: false, multiEntry: false },
+          { name: 'hits', keyPath: ['hits', 'accessedAt'], unique: false, multiEntry: false },
+        ],
+      };
+    }
+    /**
+     * The change journal for 'sync' keeps the changes in the order they were made, so its keys are generated.
+     * The checkpoint of the remote changes lives in a store of its own, together with the revisions of the pushed changes (see 'pushedRecordKey').
+     */
+    if (journal) {
+      schema[journalStoreName(storeName)] = { objectStoreOptions: { keyPath: 'seq', autoIncrement: true }, indexes: [] };
+      schema[syncStoreName(storeName)] = { objectStoreOptions: { keyPath: 'key' }, indexes: [] };
+    }
+  });
+  return schema;
+}
+
+
+
+/**
+ * Find the first declared object store or index which doesn't exist in the opened database.
+ *
+ * Indexes can only be inspected through a transaction, so a short read-only transaction is created only for stores which declare indexes.
+ *
+ * @param {IDBDatabase} dataBase - The opened database.
+ * @param {Object<string, StoreSchema>} schema - Object store names mapped to their validated definitions.
+ * @returns {string|null} A description of the missing store or index, or 'null' if everything exists.
+ */
+function findMissingSchema(dataBase, schema) {
+  for (const [storeName, { indexes }] of Object.entries(schema)) {
+    if (!dataBase.objectStoreNames.contains(storeName)) {
+      return `Object store '${storeName}'`;
+    }
+
+    if (indexes.length > 0) {
+      const { indexNames } = dataBase.transaction(storeName, 'readonly').objectStore(storeName);
+      const missingIndex = indexes.find(index => !indexNames.contains(index.name));
+
+      if (missingIndex) {
+        return `Index '${missingIndex.name}' of object store '${storeName}'`;
+      }
+    }
+  }
+  return null;
+}
+
+
+
+/**
+ * Get the names of all object stores which a transaction on the store has to include: the store itself and its companion stores.
+ *
+ * @param {string} storeName - The name of the object store.
+ * @param {object|null} dbOptions - The options of the object store.
+ * @returns {string[]} The transaction scope.
+ */
+function transactionScope(storeName, dbOptions) {
+  const scope = [storeName];
+
+  if (dbOptions && dbOptions.expiration) scope.push(expiryStoreName(storeName));
+  if (dbOptions && dbOptions.revisions) scope.push(revisionStoreName(storeName));
+  if (dbOptions && dbOptions.cache) scope.push(accessStoreName(storeName));
+  if (dbOptions && dbOptions.journal) scope.push(journalStoreName(storeName), syncStoreName(storeName));
+  return scope;
+}
+
+
+
+/**
+ * Bind an object store of a database connection to the 'customStore' contract used by all helpers.
+ *
+ * @param {object} connection - The connection to the database (see 'createConnection').
+ * @param {string} storeName - The name of the object store.
+ * @param {string[]} [scope=[storeName]] - The object stores included in every transaction (see 'transactionScope').
+ * @returns {function} A function that takes a transaction mode and a callback,
+ *                     and returns a promise that resolves with the result of the callback.
+ *                     The errors of IndexedDB are converted to the error classes of the library (see 'toStoreError').
+ */
+function bindStore(connection, storeName, scope = [storeName]) {
+  /**
+   * @param {IDBTransactionMode} transactionMode - The transaction mode ('readonly' or 'readwrite').
+   * @param {function} callback - Callback function to perform operations on the object store.
+   * @returns {Promise<any>} A promise that resolves with the result of the callback.
+   * Returns an anonymous asynchronous function that provides a convinient way to interact with an IndexedDB database and its object stores in a structured manner.
+   */
+  const customStore = async (transactionMode, callback) => {
+    checkTransactionMode(transactionMode, storeName);
+    /**
+     * Waits for the IndexedDB database to open and become available, and a transaction is created on the database.
+     * If the connection was closed in the meantime (e.g. by a newer version of the app in another tab), it is opened again.
+     * @type {IDBTransaction}
+     *
+     * A transaction groups one or more operations into a single unit, ensuring that all operations either succeed or fail.
+     *
+     * Transactions have modes such as '"readonly"' or '"readwrite"' which define the type of operations that can be performed within the transaction.
+     *
+     * Transactions ensure that operations on the object store are isolated from other transactions.
+     * This means that no other transactions can interfere with the operations in the current transaction.
+     *
+     * The scope includes the companion stores (e.g. expiry times), so the helpers can update them atomically with the store itself.
      */
-    const transaction = dataBase.transaction(storeName, transactionMode);
+    const transaction = await connection.transaction(scope, transactionMode).catch((error) => {
+      throw toStoreError(error, { storeName });
+    });
     /**
      * Retrieve an object store by name ('storename').
      * @type {IDBObjectStore}
-     * 
+     *
      * An object store holds the data records that we might want to work with.
-     * 
+     *
      * An object store is where the data is actually stored in IndexedDB. Each object store can hold multiple records and each record has a key that uniquely identifies it.
      */
     const store = transaction.objectStore(storeName);
     /**
      * Call the provided 'callback' function and perform operations on an object store ('store') such as adding, updating, deleting or querying data within the object store.
-     * 
+     *
      * Return the result of the callback. It might be useful to chain additional operations.
-     * 
+     *
      * @type {any}
      */
-    return callback(store);
+    try {
+      return await callback(store);
+    } catch (error) {
+      /**
+       * A callback which fails (e.g. 'put' throws for an invalid key in the middle of 'setMany') must not leave its earlier writes behind,
+       * so the transaction is aborted. If it has already finished, 'abort' throws, and there is nothing to undo.
+       */
+      try {
+        transaction.abort();
+      } catch {
+        /**
+         * The transaction has already finished.
+         */
+      }
+      throw toStoreError(error, { storeName });
+    }
+  };
+
+  storeSettings.set(customStore, { storeName });
+  return customStore;
+}
+
+
+
+/**
+ * A single versioned schema migration.
+ * 
+ * @typedef {object} Migration
+ * @property {number} version - Positive integer database version which this migration upgrades to.
+ * @property {(dataBase: IDBDatabase, transaction: IDBTransaction) => (void|Promise<void>)} migrate - Performs the schema or data changes. It receives the database and the 'versionchange' transaction of the upgrade.
+ */
+
+
+
+/**
+ * Validates the migrations and sorts them by version.
+ * 
+ * IndexedDB versions are positive integers, and the browser only lets them grow. So every migration needs a unique positive integer version, 
+ * and the migrations have to run in ascending order no matter in which order they were declared.
+ *
+ * @param {Migration[]} migrations - The migrations passed to 'createStore'.
+ * @returns {Migration[]} A sorted copy of the migrations.
+ * @throws {Error} Throws an error if the list is empty, a version is invalid or duplicated, or 'migrate' is not a function.
+ */
+function normalizeMigrations(migrations) {
+  if (migrations.length === 0) {
+    throw new Error('Error during opening an IndexedDB database: At least one migration is required!');
+  }
+
+  const sortedMigrations = [...migrations].sort((a, b) => a.version - b.version);
+
+  sortedMigrations.forEach((migration, i) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Error during opening an IndexedDB database: Migration version must be a positive integer, got '${migration.version}'!`);
+    }
+    if (typeof migration.migrate !== 'function') {
+      throw new Error(`Error during opening an IndexedDB database: Migration ${migration.version} must have a 'migrate' function!`);
+    }
+    if (i > 0 && sortedMigrations[i - 1].version === migration.version) {
+      throw new Error(`Error during opening an IndexedDB database: Migration version ${migration.version} is declared more than once!`);
+    }
+  });
+
+  return sortedMigrations;
+}
+
+
+
+/**
+ * Runs migrations one after another inside the upgrade transaction.
+ * 
+ * Synchronous migrations run in the same tick. 
+ * If a migration returns a promise (e.g. it awaits IndexedDB requests to reshape data), the next migration starts only after that promise resolves.
+ * This is safe as long as the migration only awaits IndexedDB requests: the 'versionchange' transaction stays active while it has pending requests.
+ * Awaiting anything else (a timer, 'fetch', ...) lets the transaction commit before the migration is done, and the store rejects.
+ *
+ * @param {Migration[]} migrations - The pending migrations in ascending order.
+ * @param {IDBDatabase} dataBase - The database being upgraded.
+ * @param {IDBTransaction} transaction - The 'versionchange' transaction.
+ * @returns {Promise<void>|undefined} A promise if some migration is asynchronous, otherwise 'undefined'.
+ */
+function runMigrations(migrations, dataBase, transaction) {
+  for (let i = 0; i < migrations.length; i++) {
+    const migration = migrations[i];
+    /**
+     * Wrap the error so that the caller knows which step broke the upgrade. The original error stays available as 'cause'.
+     */
+    const wrapError = (error) => new Error(`Error during upgrading an IndexedDB database: Migration ${migration.version} failed: ${error && error.message}`, { cause: error });
+
+    let result;
+    try {
+      result = migration.migrate(dataBase, transaction);
+    } catch (error) {
+      throw wrapError(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        () => runMigrations(migrations.slice(i + 1), dataBase, transaction),
+        error => { throw wrapError(error); }
+      );
+    }
   }
 }
 
 
 
 /**
- * Retrieves a read-only value from the IndexedDB store using the specified key.
+ * Get the name of the companion store which keeps the expiry times of the records of a store.
+ *
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} The name of the companion store.
+ */
+function expiryStoreName(storeName) {
+  return `${storeName}__expiry`;
+}
+
+
+
+/**
+ * Get the companion expiry store within the same transaction as the store.
  * 
- * Getting operation is promisified, because all IndexedDB methods are asynchronous and Promises help to work with them efficiently (e.g. better error handling - otherwise async functionality errors might be silent).
+ * The companion store exists only when the store was declared with 'expiration: true'. 
+ * In that case it is part of every transaction on the store (see 'transactionScope').
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {IDBObjectStore|null} The expiry store, or 'null' if expiration is not enabled.
+ */
+function expiryStoreOf(store) {
+  const name = expiryStoreName(store.name);
+
+  return store.transaction.objectStoreNames.contains(name) ? store.transaction.objectStore(name) : null;
+}
+
+
+
+/**
+ * Get the name of the companion store which holds the access records of a cache (see 'touchRecord').
+ *
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} The name of the access store.
+ */
+function accessStoreName(storeName) {
+  return `${storeName}__access`;
+}
+
+
+
+/**
+ * Get the companion access store within the same transaction as the store.
+ * It exists only when the store was declared with the 'cache' option.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {IDBObjectStore|null} The access store, or 'null' if the store is not a cache.
+ */
+function accessStoreOf(store) {
+  const name = accessStoreName(store.name);
+
+  return store.transaction.objectStoreNames.contains(name) ? store.transaction.objectStore(name) : null;
+}
+
+
+
+/**
+ * Get the name of the companion store which holds the revisions of the records (see 'bumpRevision').
+ *
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} The name of the revision store.
+ */
+function revisionStoreName(storeName) {
+  return `${storeName}__revision`;
+}
+
+
+
+/**
+ * Get the companion revision store within the same transaction as the store.
+ * It exists only when the store was declared with 'revisions: true'.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {IDBObjectStore|null} The revision store, or 'null' if revisions are not enabled.
+ */
+function revisionStoreOf(store) {
+  const name = revisionStoreName(store.name);
+
+  return store.transaction.objectStoreNames.contains(name) ? store.transaction.objectStore(name) : null;
+}
+
+
+
+/**
+ * Get the name of the companion store which journals the changes of the store (see 'journalChange').
+ *
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} The name of the journal store.
+ */
+function journalStoreName(storeName) {
+  return `${storeName}__journal`;
+}
+
+
+
+/**
+ * Get the name of the companion store which holds the checkpoint of 'sync'.
+ *
+ * @param {string} storeName - The name of the object store.
+ * @returns {string} The name of the sync store.
+ */
+function syncStoreName(storeName) {
+  return `${storeName}__sync`;
+}
+
+
+
+/**
+ * Get the companion journal store within the same transaction as the store.
+ * It exists only when the store was declared with 'journal: true'.
  * 
- * So the function immediately returns a Promise object and if it is resolved, it returns the result, if rejected - an error message.
+ * Writes which must not be journaled (the changes pulled by 'sync', the evictions of a cache) are made inside 'withoutJournal', so there is no journal store for them.
  *
- * @param {IDBValidKey} key - The key to retrieve the value for.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<any>} A promise that resolves with the retrieved value.
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {IDBObjectStore|null} The journal store, or 'null' if the store has no journal or the write is not journaled.
  */
-export function get(key, customStore) {
-  return customStore('readonly', store => promisifyRequest(store.get(key)));
+function journalStoreOf(store) {
+  const name = journalStoreName(store.name);
+
+  if (unjournaledTransactions.has(store.transaction)) return null;
+  return store.transaction.objectStoreNames.contains(name) ? store.transaction.objectStore(name) : null;
+}
+
+
+
+/**
+ * Give a record a new revision after a write.
+ * 
+ * A revision is a random token rather than a counter, so a record which is deleted and written again never gets an old revision back, 
+ * and an optimistic write can't mistake it for the record it read.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key of the written record.
+ * @returns {string} The new revision, also for the journal (see 'journalChange').
+ */
+function bumpRevision(store, key) {
+  const revisionStore = revisionStoreOf(store);
+  const revision = createRevision();
+
+  if (revisionStore) {
+    revisionStore.put({ key, revision });
+  }
+  return revision;
+}
+
+
+
+/**
+ * Create a new revision token.
+ *
+ * @returns {string} The revision.
+ */
+function createRevision() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+
+
+/**
+ * Turn the 'ttl'/'expiresAt' write options into a timestamp.
+ *
+ * @param {{ ttl?: number, expiresAt?: Date|number }} options - The write options. 'ttl' is in milliseconds from now, 'expiresAt' is an absolute time.
+ * @returns {number|undefined} The expiry time in milliseconds since the epoch, or 'undefined' if the record never expires.
+ * @throws {Error} Throws an error if the option is not a valid number or date.
+ */
+function resolveExpiry({ ttl, expiresAt } = {}) {
+  const time = ttl !== undefined ? Date.now() + ttl : expiresAt instanceof Date ? expiresAt.getTime() : expiresAt;
+
+  if (time !== undefined && !Number.isFinite(time)) {
+    throw new Error(`Error during writing to IndexedDB: 'ttl' must be a number of milliseconds and 'expiresAt' a Date or a timestamp!`);
+  }
+  return time;
+}
+
+
+
+/**
+ * Whether an expiry record is past its time.
+ *
+ * @param {{ expiresAt: number }|undefined} expiry - The record from the expiry store.
+ * @returns {boolean} 'true' if the record has expired.
+ */
+function isExpired(expiry) {
+  return expiry !== undefined && expiry.expiresAt <= Date.now();
+}
+
+
+
+/**
+ * Turn a key into a string which is the same for equal keys (like 'indexedDB.cmp' sees them), to use it as a 'Map' key.
+ *
+ * @param {IDBValidKey} key - The key.
+ * @returns {string} The signature of the key.
+ */
+function keySignature(key) {
+  const tag = (key) => {
+    if (typeof key === 'number') return ['n', Object.is(key, -0) ? 0 : key];
+    if (typeof key === 'string') return ['s', key];
+    if (key instanceof Date) return ['d', key.getTime()];
+    if (Array.isArray(key)) return ['a', key.map(tag)];
+    if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) {
+      return ['b', Array.from(key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength))];
+    }
+    return ['?', String(key)];
+  };
+
+  return JSON.stringify(tag(key));
+}
+
+
+
+/**
+ * Build a cursor filter which skips expired records.
+ * 
+ * The keys of all expired (but not yet purged) records are read with the 'expiresAt' index. 
+ * 'purgeExpired' keeps this list short, so it is cheaper than looking up the expiry of every record.
+ * The keys are kept in a 'Set' of key signatures (see 'keySignature'), so every record is checked in constant time.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {Promise<((cursor: IDBCursor) => boolean)|undefined>} A promise that resolves with the filter, or 'undefined' if no record has expired.
+ */
+async function expiryFilter(store) {
+  const expiryStore = expiryStoreOf(store);
+
+  if (!expiryStore) return undefined;
+
+  const expiredKeys = await promisifyRequest(expiryStore.index('expiresAt').getAllKeys(keyRanges().upperBound(Date.now())));
+
+  if (expiredKeys.length === 0) return undefined;
+
+  const expired = new Set(expiredKeys.map(keySignature));
+
+  return cursor => !expired.has(keySignature(cursor.primaryKey));
+}
+
+
+
+/**
+ * Read a single value inside the transaction, treating expired records as missing.
+ * In a read-write transaction on a cache, the access of the record is recorded as well (see 'touchRecord', and 'recordAccesses' for read-only ones).
+ * 
+ * Both requests are made right away. Requests of one transaction complete in the order they were made, so the lookups run side by side.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key of the record.
+ * @returns {Promise<any>} A promise that resolves with the value, or 'undefined' if it doesn't exist or has expired.
+ */
+function readValue(store, key) {
+  const expiryStore = expiryStoreOf(store);
+  const valuePromise = promisifyRequest(store.get(key));
+  const touch = (value) => {
+    if (value !== undefined) touchRecord(store, key, value, false);
+    return value;
+  };
+
+  if (!expiryStore) return valuePromise.then(touch);
+
+  const expiryPromise = promisifyRequest(expiryStore.get(key));
+
+  return Promise.all([valuePromise, expiryPromise]).then(([value, expiry]) => touch(isExpired(expiry) ? undefined : value));
+}
+
+
+
+/**
+ * Write a single value inside the transaction, together with its expiry time.
+ * 
+ * Writing a value without 'ttl'/'expiresAt' removes a previous expiry time, so the record doesn't expire anymore.
+ * The expiry record is written (and the change is recorded for 'watch') once the 'put' succeeds, because for stores with a key path (or a key generator) the key is known only then.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey|undefined} key - The key of the record ('undefined' for stores with a key path).
+ * @param {any} value - The value to write.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} [options={}] - Optional expiry of the record.
+ * @returns {IDBRequest} The 'put' request.
+ * @throws {Error} Throws an error if an expiry is given but the store was not declared with 'expiration: true'.
+ */
+function writeValue(store, key, value, options = {}) {
+  const expiresAt = resolveExpiry(options);
+  const expiryStore = expiryStoreOf(store);
+
+  if (!expiryStore && expiresAt !== undefined) {
+    throw new Error(`Error during writing to IndexedDB: Object store '${store.name}' must be created with 'expiration: true' to accept 'ttl' or 'expiresAt'!`);
+  }
+
+  const journalStore = journalStoreOf(store);
+  const request = store.put(value, key);
+
+  request.addEventListener('success', () => {
+    recordChange(store, { type: 'set', key: request.result });
+    journalChange(journalStore, 'set', request.result, bumpRevision(store, request.result));
+    touchRecord(store, request.result, value, true);
+
+    if (!expiryStore) return;
+
+    if (expiresAt === undefined) {
+      expiryStore.delete(request.result);
+    } else {
+      expiryStore.put({ key: request.result, expiresAt });
+    }
+  });
+  return request;
+}
+
+
+
+/**
+ * Delete a key (or a key range) inside the transaction, together with its expiry time, access record and revision.
+ * 
+ * The journal gets a change for every deleted key, so the keys of a range are read first. Requests of one transaction run in order, so they are read before the 'delete'.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey|IDBKeyRange} key - The key or key range to delete.
+ * @returns {IDBRequest} The 'delete' request.
+ */
+function deleteValue(store, key) {
+  const expiryStore = expiryStoreOf(store);
+  const accessStore = accessStoreOf(store);
+  const revisionStore = revisionStoreOf(store);
+  const journalStore = journalStoreOf(store);
+
+  if (expiryStore) {
+    expiryStore.delete(key);
+  }
+  if (accessStore) {
+    accessStore.delete(key);
+  }
+  if (revisionStore) {
+    revisionStore.delete(key);
+  }
+  if (journalStore && isKeyRange(key)) {
+    const keysRequest = store.getAllKeys(key);
+
+    keysRequest.addEventListener('success', () => keysRequest.result.forEach(deletedKey => journalChange(journalStore, 'delete', deletedKey)));
+  } else {
+    journalChange(journalStore, 'delete', key);
+  }
+  recordChange(store, isKeyRange(key) ? { type: 'delete', range: toPlainRange(key) } : { type: 'delete', key });
+  return store.delete(key);
+}
+
+
+
+/**
+ * The settings of the stores which work above the transactions. Stores created by hand (not with 'createStore') are not in the map.
+ * @type {WeakMap<Function, StoreSettings>}
+ */
+const storeSettings = new WeakMap();
+
+/**
+ * @typedef {Object} StoreSettings
+ * @property {string} [storeName] - The name of the object store, for the errors.
+ * @property {Plugin[]} [plugins] - The plugins, in the declared order (see 'withPlugins').
+ * @property {Validator} [validator] - The validation of the values (see 'createValidator').
+ * @property {RetryPolicy} [retry] - The retry policy of the operations (see 'normalizeRetryPolicy').
+ * @property {CacheOptions} [cache] - The limits of a cache (see 'normalizeCacheOptions').
+ * @property {WriteBatch} [batch] - The queue of the batched writes (see 'batchStore').
+ */
+
+/**
+ * The operations which go through the plugins, with the names of their arguments in the context.
+ */
+const PLUGIN_OPERATIONS = {
+  get: ['key'],
+  getMany: ['keys'],
+  set: ['key', 'value', 'options'],
+  setMany: ['entries', 'options'],
+  update: ['key', 'updater'],
+  updateAsync: ['key', 'updater', 'options'],
+  setIfAbsent: ['key', 'value', 'options'],
+  compareAndSet: ['key', 'expected', 'value', 'options'],
+  del: ['key'],
+  delMany: ['keys'],
+  clear: [],
+  has: ['key'],
+  count: ['query'],
+  keys: ['options'],
+  values: ['options'],
+  entries: ['options'],
+  getByIndex: ['indexName', 'query'],
+  getAllByIndex: ['indexName', 'options'],
+  keysByIndex: ['indexName', 'options'],
+  countByIndex: ['indexName', 'options'],
+};
+
+/**
+ * The context of an operation, passed to the plugins.
+ * Plugins may change the arguments (e.g. 'context.key') before calling 'next()', and they are passed on to the next plugin and to the operation.
+ * @typedef {Object} OperationContext
+ * @property {string} operation - The name of the operation ('get', 'set', 'setMany', 'update', 'del', 'delMany', 'clear', 'has', 'count', 'keys', 'values', 'entries', 'getMany', 'getByIndex', 'getAllByIndex', 'keysByIndex', 'countByIndex').
+ * @property {IDBValidKey} [key] - The key ('get', 'set', 'update', 'del', 'has').
+ * @property {IDBValidKey[]} [keys] - The keys ('getMany', 'delMany').
+ * @property {any} [value] - The value ('set', 'setIfAbsent', 'compareAndSet').
+ * @property {any} [expected] - The expected current value ('compareAndSet').
+ * @property {[IDBValidKey, any][]} [entries] - The entries ('setMany').
+ * @property {(oldValue: any) => any} [updater] - The updater callback ('update', 'updateAsync'). Wrap it to see or change the new value.
+ * @property {string} [indexName] - The index name (index queries).
+ * @property {any} [query] - The index key or key range ('getByIndex'), or the key or key range to count ('count').
+ * @property {object} [options] - The options of the operation, if it has any.
+ */
+
+/**
+ * A plugin: a middleware function for every operation, or an object with a middleware per operation name (e.g. '{ set(context, next) {...} }').
+ * 
+ * A middleware is called with the context and 'next'. 'next()' runs the following plugins and the operation itself, and resolves with the result.
+ * - Return the result of 'next()' (changed or not) to transform the result.
+ * - Throw to veto the operation.
+ * - Return without calling 'next()' to skip the operation: the returned value becomes its result (e.g. a cache).
+ * @typedef {((context: OperationContext, next: () => Promise<any>) => any)|Object<string, (context: OperationContext, next: () => Promise<any>) => any>} Plugin
+ */
+
+
+
+/**
+ * Attach plugins to a store.
+ * 
+ * Plugins intercept the operations of the helpers ('get', 'set', 'setMany', 'update', 'del', 'delMany', 'clear', 'has', 'count', 'keys', 'values', 'entries', 'getMany' and the index queries), 
+ * for logging, metrics, validation, default values and the like. They run in the declared order: the first plugin is the outermost one.
+ * Plugins already attached to the store run first. The same plugins can be passed to 'createStore' with the 'plugins' option.
+ * 
+ * Plugins run outside of the transaction, so they may do asynchronous work, and the operation's atomicity is not affected.
+ * On an encrypted store (see 'encryptStore') they see the plain values: encrypting and decrypting happen inside the chain, right around the transaction.
+ *
+ * @example
+ * const logged = withPlugins(customStore, [
+ *   async (context, next) => {
+ *     const started = performance.now();
+ *     const result = await next();
+ *     console.log(context.operation, performance.now() - started);
+ *     return result;
+ *   },
+ *   { get: async (context, next) => (await next()) ?? 'default' },
+ * ]);
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {Plugin[]} plugins - The plugins.
+ * @returns {Function} A new store with the plugins. It also has the 'close', 'on' and 'off' methods of the store, if any.
+ * @throws {Error} Throws an error if a plugin is neither a function nor an object of functions.
+ */
+export function withPlugins(customStore, plugins) {
+  if (!Array.isArray(plugins)) {
+    throw new Error(`Error during attaching plugins: 'plugins' must be an array!`);
+  }
+  plugins.forEach((plugin) => {
+    const valid = typeof plugin === 'function' || (plugin !== null && typeof plugin === 'object' && Object.values(plugin).every(handler => typeof handler === 'function'));
+
+    if (!valid) {
+      throw new Error(`Error during attaching plugins: A plugin must be a function or an object of functions!`);
+    }
+  });
+
+  const pluggedStore = (transactionMode, callback) => customStore(transactionMode, callback);
+
+  const settings = storeSettings.get(customStore) || {};
+
+  inheritStoreExtras(customStore, pluggedStore);
+  storeSettings.set(pluggedStore, { ...settings, plugins: [...(settings.plugins || []), ...plugins] });
+  return pluggedStore;
+}
+
+
+
+/**
+ * Copy the connection methods, the settings (plugins, validation, retry policy) and the encryption of a store to a store which wraps it.
+ * 
+ * The write batch of a store (see 'batchStore') is not copied: it writes to the wrapped store directly, so it would bypass the wrapper (e.g. the encryption).
+ * The wrapper still sees the batched writes, because calling a batched store commits its pending writes first.
+ *
+ * @param {Function} customStore - The wrapped store.
+ * @param {Function} wrapper - The store which wraps it.
+ */
+function inheritStoreExtras(customStore, wrapper) {
+  ['close', 'on', 'off'].forEach((name) => {
+    if (typeof customStore[name] === 'function') wrapper[name] = customStore[name];
+  });
+  if (storeSettings.has(customStore)) {
+    const { batch, ...settings } = storeSettings.get(customStore);
+
+    storeSettings.set(wrapper, settings);
+  }
+  if (encryptedStores.has(customStore)) {
+    encryptedStores.set(wrapper, encryptedStores.get(customStore));
+  }
+}
+
+
+
+/**
+ * Apply the library options of a store which work above the transactions: the validation ('validate', 'validateOnRead'), the retry policy ('retry'), 
+ * the cache limits ('cache') and the plugins.
+ *
+ * @param {Function} customStore - The store.
+ * @param {object|null} dbOptions - The object store options.
+ * @returns {Function} The store, wrapped with the plugins if there are any.
+ */
+function configureStore(customStore, dbOptions) {
+  const { plugins, validate, validateOnRead, retry, cache, keyPath } = dbOptions || {};
+  const settings = { ...storeSettings.get(customStore) };
+
+  if (validate !== undefined && validate !== null) {
+    settings.validator = createValidator(validate, { keyPath, validateOnRead });
+  }
+  if (retry) {
+    settings.retry = normalizeRetryPolicy(retry);
+  }
+  if (cache) {
+    settings.cache = normalizeCacheOptions(cache);
+  }
+  storeSettings.set(customStore, settings);
+  return plugins ? withPlugins(customStore, plugins) : customStore;
+}
+
+
+
+/**
+ * The retry policy of a store, for transient failures of IndexedDB.
+ * Only the helpers with a single transaction are retried ('get', 'set', 'update', ..., see 'PLUGIN_OPERATIONS'), not 'transaction' and not direct calls of the store.
+ * A retried operation runs again from the start in a new transaction, and a failed transaction has written nothing, so retrying is safe.
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries=2] - How many times an operation is retried.
+ * @property {number} [delay=50] - Milliseconds before the first retry. The delay doubles with every retry.
+ * @property {string[]} [retryOn=['TransactionInactiveError', 'UnknownError']] - The names of the errors which are retried.
+ */
+
+/**
+ * Validate the 'retry' option of a store and fill in the defaults.
+ *
+ * @param {true|RetryPolicy} retry - 'true' for the defaults, or the policy.
+ * @returns {Required<RetryPolicy>} The policy.
+ * @throws {TypeError} Throws an error if the policy is malformed.
+ */
+function normalizeRetryPolicy(retry) {
+  if (typeof retry !== 'object' && retry !== true) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'retry' must be 'true' or an object!`);
+  }
+
+  const { retries = 2, delay = 50, retryOn = ['TransactionInactiveError', 'UnknownError'] } = retry === true ? {} : retry;
+
+  if (!Number.isInteger(retries) || retries < 0 || typeof delay !== 'number' || delay < 0 || !Array.isArray(retryOn)) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'retry' needs a non-negative integer 'retries', a non-negative 'delay' and an array 'retryOn'!`);
+  }
+  return { retries, delay, retryOn };
+}
+
+
+
+/**
+ * Run an operation, and run it again after a delay if it fails with a transient error.
+ *
+ * @param {Required<RetryPolicy>} retry - The retry policy.
+ * @param {(...args: any[]) => Promise<any>} run - Runs the operation.
+ * @param {any[]} args - The arguments of the operation.
+ * @returns {Promise<any>} A promise that resolves with the result of the first successful attempt, or rejects with the error of the last one.
+ */
+async function retryOperation(retry, run, args) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run(...args);
+    } catch (error) {
+      if (attempt >= retry.retries || !error || !retry.retryOn.includes(error.name)) throw error;
+      await new Promise(resolve => setTimeout(resolve, retry.delay * 2 ** attempt));
+    }
+  }
+}
+
+
+
+/**
+ * Run an operation through the plugins of the store, with its validation and retry policy.
+ * Errors are converted to the error classes of the library (see 'toStoreError'), with the name of the operation and its key.
+ *
+ * @param {Function} customStore - The store.
+ * @param {string} operation - The name of the operation (see 'PLUGIN_OPERATIONS').
+ * @param {any[]} args - The arguments of the operation, in the order of 'PLUGIN_OPERATIONS'.
+ * @param {(...args: any[]) => Promise<any>} run - Runs the operation with the (possibly changed) arguments.
+ * @returns {Promise<any>} A promise that resolves with the result.
+ */
+function runOperation(customStore, operation, args, run) {
+  const { storeName, plugins, validator, retry, cache, batch } = storeSettings.get(customStore) || {};
+  const names = PLUGIN_OPERATIONS[operation];
+  const details = { storeName, operation, key: names[0] === 'key' ? args[0] : undefined };
+  /**
+   * The validation runs after the plugins, so it checks the values which are actually written. Only the transaction is retried, not the validation.
+   * A cache which runs out of quota evicts entries and tries the write once more, after the transient failures were retried.
+   * The writes of a batched store are queued instead of run right away.
+   */
+  const queued = batch ? (...args) => batch.run(operation, args, run) : run;
+  const retried = retry ? (...args) => retryOperation(retry, queued, args) : queued;
+  const attempt = cache && CACHE_WRITE_OPERATIONS.includes(operation) ? (...args) => evictOnQuota(customStore, cache, () => retried(...args)) : retried;
+  const execute = validator ? (...args) => validateOperation(validator, operation, args, attempt) : attempt;
+  const fail = error => Promise.reject(toStoreError(error, details));
+
+  if (!plugins) return new Promise(resolve => resolve(execute(...args))).catch(fail);
+
+  const context = { operation };
+
+  names.forEach((name, i) => { context[name] = args[i]; });
+
+  const dispatch = (position) => {
+    if (position === plugins.length) {
+      return Promise.resolve().then(() => execute(...names.map(name => context[name])));
+    }
+
+    const plugin = plugins[position];
+    const middleware = typeof plugin === 'function' ? plugin : plugin[operation];
+
+    if (!middleware) return dispatch(position + 1);
+
+    let called = false;
+    const next = () => {
+      if (called) {
+        return Promise.reject(new Error(`Error during running plugins: 'next()' was called more than once for '${operation}'!`));
+      }
+      called = true;
+      return dispatch(position + 1);
+    };
+
+    return Promise.resolve().then(() => middleware(context, next));
+  };
+
+  return dispatch(0).catch(fail);
+}
+
+
+
+/**
+ * Retrieves a read-only value from the IndexedDB store using the specified key.
+ * 
+ * Getting operation is promisified, because all IndexedDB methods are asynchronous and Promises help to work with them efficiently (e.g. better error handling - otherwise async functionality errors might be silent).
+ * 
+ * So the function immediately returns a Promise object and if it is resolved, it returns the result, if rejected - an error message.
+ * 
+ * Expired records are treated as missing (see 'readValue').
+ *
+ * @param {IDBValidKey} key - The key to retrieve the value for.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<any>} A promise that resolves with the retrieved value.
+ */
+export function get(key, customStore) {
+  return runOperation(customStore, 'get', [key], key => {
+    const read = customStore('readonly', store => readValue(store, key)).then((value) => {
+      recordAccesses(customStore, [key], [value]);
+      return value;
+    });
+
+    return decodeResult(customStore, read, (codec, value) => codec.decode(value, key));
+  });
+}
+
+
+
+/**
+ * Set a readable and writable value with a key.
+ * 
+ * Setting operation is promisified, because all IndexedDB methods are asynchronous and Promises help to work with them efficiently (e.g. better error handling - otherwise async functionality errors might be silent).
+ * 
+ * In case of 'put' method, the first argument is the value, and the second one is the key.
+ * 
+ * 
+ * 'promisifyRequest(store.transaction)' ensures that the entire transaction completes successfully before resolving the promise.
+ * Transaction itself is asynchronous.
+ * 'store.transaction' refers to the 'IDBTransaction' object associated with the object store operations being performed.
+ * When we do operations (like 'get', 'put', 'delete', etc.) on an 'IDBObjectStore', these operations are always done within the context of an 'IDBTransaction'. 
+ * The 'transaction' property of an 'IDBObjectStore' provides a reference to this transaction.
+ * The 'IDBTransaction' ensures that a series of operations within the transaction are treated as a single unit. Either all operations succeed, or none do. If any operation fails, the transaction is rolled back.
+ * Promisifying the transaction is essential for ensuring that we are aware when the transaction as a whole is complete.
+ *
+ * @example
+ * // Cache the response for 5 minutes. The store must be created with 'expiration: true'.
+ * await set('/api/user', response, customStore, { ttl: 5 * 60 * 1000 });
+ *
+ * @param {IDBValidKey} key - Key to set the value.
+ * @param {any} value - Value to set.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} [options={}] - Optional expiry: 'ttl' in milliseconds from now, or an absolute 'expiresAt'.
+ * @returns {Promise<void>} - Promise that resolves when the value is set.
+ */
+export function set(key, value, customStore, options = {}) {
+  return runOperation(customStore, 'set', [key, value, options], (key, value, options) => (
+    encodeValues(customStore, [value], ([record]) => customStore('readwrite', store => {
+      const request = writeValue(store, key, record, options);
+      return commitWrites(customStore, store, promisifyRequest(request).then(key => [key]));
+    }))
+  ));
+}
+
+
+
+/**
+ * Set multiple values at once. This is faster than calling set() multiple times.
+ * It's also atomic – if one of the pairs can't be added, none will be added.
+ * 
+ * 
+ * 'promisifyRequest(store.transaction)' ensures that the entire transaction completes successfully before resolving the promise.
+ * Transaction itself is asynchronous.
+ * 'store.transaction' refers to the 'IDBTransaction' object associated with the object store operations being performed.
+ * When we do operations (like 'get', 'put', 'delete', etc.) on an 'IDBObjectStore', these operations are always done within the context of an 'IDBTransaction'. 
+ * The 'transaction' property of an 'IDBObjectStore' provides a reference to this transaction.
+ * The 'IDBTransaction' ensures that a series of operations within the transaction are treated as a single unit. Either all operations succeed, or none do. If any operation fails, the transaction is rolled back.
+ * Promisifying the transaction is essential for ensuring that we are aware when the transaction as a whole is complete.
+ *
+ * 
+ * @param {[IDBValidKey, any][]} entries - Array of entries, where each entry is an array of `[key, value]`.
+ *  @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} [options={}] - Optional expiry which applies to all entries.
+ * @returns {Promise<void>} - Promise that resolves when all values are set.
+ */
+export function setMany(entries, customStore, options = {}) {
+  return runOperation(customStore, 'setMany', [entries, options], (entries, options) => (
+    encodeValues(customStore, entries.map(entry => entry[1]), records => customStore('readwrite', store => {
+      const requests = entries.map((entry, i) => writeValue(store, entry[0], records[i], options));
+      return commitWrites(customStore, store, Promise.all(requests.map(promisifyRequest)));
+    }))
+  ));
+}
+
+
+
+/**
+ * Get multiple values by their keys.
+ * 
+ * Promise.all takes an array of promises and returns a single promise that resolves when all the promises in the array resolve, or rejects, if any of the promises in the array reject.
+ * 
+ * Array of Promises is created by mapping each Key in an Key array and promisifying the get request.
+ * 
+ * 'customStore('readonly', store => { ... })' initiates a readonly transaction.
+ * The 'store' object represents the object store within this transaction.
+ * Inside this transaction we perform necessary operations.
+ * This process doesn't need to wait for the entire transaction to complete, because the operations involved are read-only and can be resolved individually as soon as each 'get' request completes.
+ * Since no data is being modified, there's no need to ensure that multiple operations within the transaction succeed or fail together.
+ * 
+ *
+ * @param {IDBValidKey[]} keys - An array of keys to retrieve from the store.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<Array>} - A promise that resolves to an array of values corresponding to the provided keys.
+ */
+export function getMany(keys, customStore) {
+  return runOperation(customStore, 'getMany', [keys], (keys) => {
+    const read = customStore('readonly', store => {
+      return Promise.all(keys.map(key => readValue(store, key)));
+    }).then((values) => {
+      recordAccesses(customStore, keys, values);
+      return values;
+    });
+
+    return decodeResult(customStore, read, (codec, values) => Promise.all(values.map((value, i) => codec.decode(value, keys[i]))));
+  });
+}
+
+
+
+/**
+ * Updates a value in the IndexedDB store using the specified key and an updater callback function.
+ * 
+ * The update operation is wrapped in a Promise for asynchronous handling. IndexedDB operations are asynchronous, and Promises help manage them effectively, ensuring proper error handling.
+ * 
+ * An expired record is passed to the updater as 'undefined', and the updated record doesn't expire anymore. 
+ * Otherwise the expiry time of the record is kept.
+ * 
+ * On an encrypted store the value is decrypted and encrypted outside of the transaction (see 'updateEncoded'), so the updater may be called more than once.
+ * 
+ * The updater must be synchronous: the transaction would commit while an async updater is waiting. See 'updateAsync' for async updaters.
+ * 
+ * @param {IDBValidKey} key - The key to update the value for.
+ * @param {Function} updaterCallback - A callback function that receives the current value from IndexedDB and returns the updated value.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<void>} - A promise that resolves when the update operation completes successfully.
+ * @throws {TransactionAbortedError} Rejects with a 'TransactionAbortedError' (the error of the updater is its 'cause') if the updater throws. Nothing is written then.
+ * @throws {TypeError} Rejects with a 'TypeError' if the updater returns a promise. Use 'updateAsync' for async updaters.
+ */
+export function update(key, updaterCallback, customStore) {
+  const codec = codecOf(customStore);
+
+  return runOperation(customStore, 'update', [key, updaterCallback], (key, updaterCallback) => {
+    if (codec) return updateEncoded(key, updaterCallback, customStore, codec);
+    /**
+     * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
+     * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+     */
+    return customStore('readwrite', store => {
+      return commitWrites(customStore, store, updateValue(store, key, updaterCallback).then(() => [key]));
+    });
+  });
+}
+
+
+
+/**
+ * Returned by the updater of 'updateValue' to leave the record as it is.
+ */
+const UNCHANGED = Symbol('unchanged');
+
+/**
+ * How often 'updateEncoded' reads a record again, when it keeps being changed by other writes in the meantime.
+ */
+const MAX_ENCODED_UPDATE_ATTEMPTS = 10;
+
+
+
+/**
+ * Read, update and write a single value within the transaction. Shared by 'update', the 'transaction' handle and the batched stores.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key to update the value for.
+ * @param {Function} updaterCallback - A callback function that receives the current value and returns the updated value, or 'UNCHANGED' to leave the record as it is.
+ * @returns {Promise<void>} A promise that resolves when the updated value is written (not when the transaction completes).
+ */
+function updateValue(store, key, updaterCallback) {
+  return new Promise((resolve, reject) => {
+    /**
+     * The expiry is requested before the value, so its result is already available in the 'onsuccess' handler of the value request.
+     */
+    const expiryStore = expiryStoreOf(store);
+    const expiryRequest = expiryStore && expiryStore.get(key);
+    /**
+     * Sets up an event handler for the 'onsuccess' event of an 'IDBRequest' object which is returned by 'store.get(key)' call.
+     * 
+     * It is important NOT to use an arrow function to keep correct 'this' context. Otherwise, we should retrieve the 'result' like this: 'event.target.result'.
+     * 
+     * In our case, 'this' refers to an event target, which is the object that triggered the event - 'IDBRequest' object.
+     */
+    store.get(key).onsuccess = function() {
+      try {
+        /**
+         * 'this.result' refers to the result of 'get' request - the value retrueved from the object store associated with the specific 'key'.
+         * 
+         * 'put' method either adds a new key-value pair if specified key doesn't exist, or updates the value if the key exists.
+         * 
+         * 'resolve(promisifyRequest(...))' resolves once the 'put' request succeeds, while the transaction is still active.
+         */
+        const expired = Boolean(expiryRequest) && isExpired(expiryRequest.result);
+        let value;
+
+        /**
+         * An updater which throws or returns a promise aborts the transaction (see 'applyUpdater').
+         */
+        try {
+          value = applyUpdater(updaterCallback, key, expired ? undefined : this.result);
+        } catch (error) {
+          store.transaction.abort();
+          reject(toStoreError(error, { storeName: store.name }));
+          return;
+        }
+
+        if (value === UNCHANGED) return resolve();
+
+        const request = store.put(value, key);
+
+        recordChange(store, { type: 'set', key });
+        journalChange(journalStoreOf(store), 'set', key, bumpRevision(store, key));
+        touchRecord(store, key, value, true);
+        if (expired) {
+          expiryStore.delete(key);
+        }
+        resolve(promisifyRequest(request).then(() => undefined));
+      } catch(error) {
+        reject(error);
+      }
+    }
+  });
+}
+
+
+
+/**
+ * Run an updater. Shared by 'updateValue', 'updateEncoded' and the batched stores.
+ * 
+ * The caller gets a 'TransactionAbortedError' with the error of the updater as 'cause' (or the error itself if it's already an error of the library, e.g. a 'ValidationError').
+ *
+ * @param {Function} updaterCallback - The updater.
+ * @param {IDBValidKey} key - The key, for the error.
+ * @param {any} oldValue - The current value.
+ * @returns {any} The updated value.
+ * @throws {TransactionAbortedError} Throws the error of the updater as the 'cause' of a 'TransactionAbortedError'.
+ * @throws {TypeError} Throws a 'TypeError' if the updater returns a promise.
+ */
+function applyUpdater(updaterCallback, key, oldValue) {
+  let value;
+
+  try {
+    value = updaterCallback(oldValue);
+  } catch (error) {
+    throw error instanceof StoreError ? error : new TransactionAbortedError(
+      `Error during updating the value of key '${String(key)}' in IndexedDB: The updater callback threw${error && error.message ? ` '${error.message}'` : ''}!`,
+      { operation: 'update', key, cause: error }
+    );
+  }
+  /**
+   * The transaction would commit while an async updater is still running, so a promise is refused instead of being stored. 'updateAsync' supports async updaters.
+   * A rejection of the refused promise is handled here, so it isn't reported as unhandled.
+   */
+  if (isObjectLike(value) && typeof value.then === 'function') {
+    Promise.resolve(value).catch(() => {});
+    throw new TypeError(`Error during updating the value of key '${String(key)}' in IndexedDB: The updater callback returned a promise. Use 'updateAsync' for async updaters!`);
+  }
+  return value;
+}
+
+
+
+/**
+ * Write a value only if the key doesn't have one yet. An expired record counts as missing.
+ * 
+ * The check and the write happen in one read-write transaction, so two concurrent calls never both write.
+ *
+ * @example
+ * if (await setIfAbsent('installId', crypto.randomUUID(), customStore)) {
+ *   console.log('First start');
+ * }
+ *
+ * @param {IDBValidKey|undefined} key - The key ('undefined' for stores with a key path, where the key is taken from the value).
+ * @param {any} value - The value to write.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} [options={}] - Optional expiry of the record, like for 'set'.
+ * @returns {Promise<boolean>} A promise that resolves with 'true' if the value was written, or 'false' if the key already had a value.
+ */
+export function setIfAbsent(key, value, customStore, options = {}) {
+  return runOperation(customStore, 'setIfAbsent', [key, value, options], (key, value, options) => (
+    encodeValues(customStore, [value], ([record]) => customStore('readwrite', async store => {
+      /**
+       * Key paths stay in plain text on encrypted stores (see 'encryptStore'), so the key can be taken from the record.
+       */
+      const recordKey = key === undefined && store.keyPath !== null ? evaluateKeyPath(record, store.keyPath) : key;
+
+      if (recordKey !== undefined && await hasValue(store, recordKey)) return false;
+
+      const request = writeValue(store, key, record, options);
+
+      await commitWrites(customStore, store, promisifyRequest(request).then(key => [key]));
+      return true;
+    }))
+  ));
+}
+
+
+
+/**
+ * Update a value of a store with a codec (see 'encryptStore').
+ * 
+ * Decrypting and encrypting are asynchronous, and a transaction which waits for anything else than its own requests commits, 
+ * so it can't happen inside the transaction. Instead, the record is read in one transaction, decoded, updated and encoded outside of it, 
+ * and written in a second transaction only if the record is still the one that was read. 
+ * If another write came in between, the whole update starts over with the new record.
+ *
+ * @param {IDBValidKey} key - The key to update the value for.
+ * @param {Function} updaterCallback - A callback function that receives the current value and returns the updated value.
+ * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
+ * @param {ValueCodec} codec - The codec of the store.
+ * @returns {Promise<void>} A promise that resolves when the updated value is committed.
+ * @throws {Error} Throws an error if the record changed on every attempt.
+ */
+async function updateEncoded(key, updaterCallback, customStore, codec) {
+  for (let attempt = 0; attempt < MAX_ENCODED_UPDATE_ATTEMPTS; attempt++) {
+    const record = await customStore('readonly', store => readValue(store, key));
+    const replacement = await codec.encode(applyUpdater(updaterCallback, key, await codec.decode(record, key)));
+
+    const written = await customStore('readwrite', async store => {
+      let unchanged = true;
+
+      const updated = updateValue(store, key, (current) => {
+        unchanged = isSameRecord(current, record);
+        return unchanged ? replacement : UNCHANGED;
+      });
+
+      await commitWrites(customStore, store, updated.then(() => unchanged ? [key] : []));
+      return unchanged;
+    });
+
+    if (written) return;
+  }
+  throw new Error(`Error during updating an encrypted IndexedDB value: The record '${String(key)}' was changed by other writes on all ${MAX_ENCODED_UPDATE_ATTEMPTS} attempts!`);
+}
+
+
+
+/**
+ * Write a value only if the current value equals the expected one. 'undefined' expects the key to have no value (or an expired one).
+ * 
+ * Values read from IndexedDB are always new copies, so they are compared by content, not by identity (see 'isSameValue').
+ * The check and the write happen in one read-write transaction.
+ *
+ * @example
+ * const current = await get('counter', customStore);
+ * const written = await compareAndSet('counter', current, (current || 0) + 1, customStore);
+ *
+ * @param {IDBValidKey} key - The key.
+ * @param {any} expected - The value the key must have.
+ * @param {any} next - The value to write.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} [options={}] - Optional expiry of the record, like for 'set'.
+ * @returns {Promise<boolean>} A promise that resolves with 'true' if the value was written, or 'false' if the current value was different.
+ */
+export function compareAndSet(key, expected, next, customStore, options = {}) {
+  const codec = codecOf(customStore);
+
+  return runOperation(customStore, 'compareAndSet', [key, expected, next, options], (key, expected, next, options) => {
+    if (codec) return compareAndSetEncoded(key, expected, next, customStore, codec, options);
+
+    return customStore('readwrite', async store => {
+      if (!isSameValue(await readValue(store, key), expected)) return false;
+
+      const request = writeValue(store, store.keyPath === null ? key : undefined, next, options);
+
+      await commitWrites(customStore, store, promisifyRequest(request).then(key => [key]));
+      return true;
+    });
+  });
+}
+
+
+
+/**
+ * Compare and set a value of a store with a codec (see 'encryptStore').
+ * 
+ * Like 'updateEncoded', the record is read and decoded in one transaction, and the encoded value is written in a second one 
+ * only if the record is still the one that was read. Otherwise the comparison starts over with the new record.
+ *
+ * @param {IDBValidKey} key - The key.
+ * @param {any} expected - The value the key must have.
+ * @param {any} next - The value to write.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {ValueCodec} codec - The codec of the store.
+ * @param {{ ttl?: number, expiresAt?: Date|number }} options - Optional expiry of the record, like for 'set'.
+ * @returns {Promise<boolean>} A promise that resolves with 'true' if the value was written, or 'false' if the current value was different.
+ * @throws {Error} Throws an error if the record changed on every attempt.
+ */
+async function compareAndSetEncoded(key, expected, next, customStore, codec, options) {
+  for (let attempt = 0; attempt < MAX_ENCODED_UPDATE_ATTEMPTS; attempt++) {
+    const record = await customStore('readonly', store => readValue(store, key));
+
+    if (!isSameValue(await codec.decode(record, key), expected)) return false;
+
+    const replacement = await codec.encode(next);
+    const written = await customStore('readwrite', async store => {
+      if (!isSameValue(await readValue(store, key), record)) return false;
+
+      const request = writeValue(store, store.keyPath === null ? key : undefined, replacement, options);
+
+      await commitWrites(customStore, store, promisifyRequest(request).then(key => [key]));
+      return true;
+    });
+
+    if (written) return true;
+  }
+  throw new Error(`Error during comparing and setting an encrypted IndexedDB value: The record '${String(key)}' was changed by other writes on all ${MAX_ENCODED_UPDATE_ATTEMPTS} attempts!`);
+}
+
+
+
+/**
+ * Update a value with an updater which may be async, e.g. to fetch data before deciding the new value.
+ * 
+ * 'update' runs the updater inside its transaction, which commits as soon as the updater awaits something else than IndexedDB. 
+ * So 'updateAsync' works optimistically instead:
+ * 1. The value and its revision are read in one transaction.
+ * 2. The updater runs outside of any transaction.
+ * 3. The new value is written in a second transaction, but only if the revision hasn't changed in the meantime. Otherwise it starts over.
+ * 
+ * The revision is the one kept by stores created with 'revisions: true'. Other stores compare the value itself instead (see 'isSameValue'), 
+ * which works the same, except that a concurrent write of an equal value isn't noticed.
+ * The updater may run several times, so it should not have side effects which must happen only once. The expiry of the record is handled like by 'update'.
+ *
+ * @example
+ * await updateAsync('profile', async (profile) => ({ ...profile, avatar: await fetchAvatarUrl(profile.id) }), customStore);
+ *
+ * @param {IDBValidKey} key - The key to update the value for.
+ * @param {(oldValue: any) => any|Promise<any>} updaterCallback - A callback that receives the current value and returns (or resolves with) the updated value.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ retries?: number }} [options={}] - How many times the update starts over after a conflict (5 by default).
+ * @returns {Promise<any>} A promise that resolves with the written value.
+ * @throws {ConflictError} Rejects with a 'ConflictError' if the record kept changing and all retries were used up.
+ */
+export function updateAsync(key, updaterCallback, customStore, options = {}) {
+  const codec = codecOf(customStore);
+
+  return runOperation(customStore, 'updateAsync', [key, updaterCallback, options], async (key, updaterCallback, options) => {
+    const { retries = 5 } = options;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const state = await customStore('readonly', store => readRecordState(store, key));
+      /**
+       * On an encrypted store the stored records are compared. Every encryption uses a fresh IV, so any write counts as a change, even of an equal value.
+       */
+      const value = await updaterCallback(codec ? await codec.decode(state.value, key) : state.value);
+      const record = codec ? await codec.encode(value) : value;
+      const written = await customStore('readwrite', async store => {
+        const current = await readRecordState(store, key);
+        const unchanged = state.revision !== undefined || current.revision !== undefined
+          ? state.revision === current.revision
+          : isSameValue(state.value, current.value);
+
+        if (!unchanged) return false;
+
+        await commitWrites(customStore, store, updateValue(store, key, () => record).then(() => [key]));
+        return true;
+      });
+
+      if (written) return value;
+    }
+
+    throw new ConflictError(
+      `Error during updating the value of key '${String(key)}' in IndexedDB: The record was changed by other writes ${retries + 1} times while the updater was running!`,
+      { key, operation: 'updateAsync' }
+    );
+  });
+}
+
+
+
+/**
+ * Read the value of a record together with its revision, if the store keeps revisions.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key of the record.
+ * @returns {Promise<{ value: any, revision: string|undefined }>} A promise that resolves with the value ('undefined' if missing or expired) and the revision.
+ */
+function readRecordState(store, key) {
+  const revisionStore = revisionStoreOf(store);
+  const valuePromise = readValue(store, key);
+  const revisionPromise = revisionStore ? promisifyRequest(revisionStore.get(key)) : Promise.resolve(undefined);
+
+  return Promise.all([valuePromise, revisionPromise]).then(([value, record]) => ({ value, revision: record && record.revision }));
+}
+
+
+
+/**
+ * Whether a value is an object (or a function), as opposed to a primitive.
+ *
+ * @param {any} value - The value.
+ * @returns {boolean} 'true' for objects and functions.
+ */
+function isObjectLike(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+
+
+/**
+ * Compare two values by content, the way the structured clone algorithm copies them: primitives with 'Object.is', 
+ * dates by time, regular expressions by source and flags, binary data by bytes, arrays, maps, sets and objects by their items.
+ * Blobs and files can't be read synchronously, so they are compared by size, type, name and modification time.
+ *
+ * @param {any} a - A value.
+ * @param {any} b - Another value.
+ * @returns {boolean} Whether the values are equal.
+ */
+function isSameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.prototype.toString.call(a) !== Object.prototype.toString.call(b)) return false;
+
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (typeof Blob !== 'undefined' && a instanceof Blob) {
+    return a.size === b.size && a.type === b.type && a.name === b.name && a.lastModified === b.lastModified;
+  }
+  if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+    const bytesA = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+    const bytesB = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+
+    return bytesA.length === bytesB.length && bytesA.every((byte, i) => byte === bytesB[i]);
+  }
+  /**
+   * Primitive keys and items are looked up directly. Object keys and items are new copies after every read, 
+   * so they can only be found by content, among the other object keys and items.
+   */
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+
+    const objectKeys = [...b.keys()].filter(isObjectLike);
+
+    return [...a].every(([key, value]) => (
+      isObjectLike(key)
+        ? objectKeys.some(otherKey => isSameValue(key, otherKey) && isSameValue(value, b.get(otherKey)))
+        : b.has(key) && isSameValue(value, b.get(key))
+    ));
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+
+    const objectItems = [...b].filter(isObjectLike);
+
+    return [...a].every(item => isObjectLike(item) ? objectItems.some(other => isSameValue(item, other)) : b.has(item));
+  }
+
+  const namesA = Object.keys(a);
+  const namesB = Object.keys(b);
+
+  return namesA.length === namesB.length && namesA.every(name => Object.prototype.hasOwnProperty.call(b, name) && isSameValue(a[name], b[name]));
+}
+
+
+
+/**
+ * Delete a particular key from the store.
+ * 
+ * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
+ * The 'store' object represents the object store within this transaction.
+ * Inside this transaction we perform necessary operations.
+ * 'store.transaction' works as marking point. 
+ * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ *
+ * @param {IDBValidKey} key - Key to delete from the store.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<void>} - Promise that resolves when the key is deleted.
+ */
+export function del(key, customStore) {
+  return runOperation(customStore, 'del', [key], key => customStore('readwrite', store => {
+    deleteValue(store, key);
+    return promisifyRequest(store.transaction);
+  }));
+}
+
+
+
+/**
+ * Delete multiple keys at once.
+ * 
+ * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
+ * The 'store' object represents the object store within this transaction.
+ * Inside this transaction we perform necessary operations.
+ * 'store.transaction' works as marking point. 
+ * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ *
+ * @param {IDBValidKey[]} keys - List of keys to delete.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<void>} - Promise that resolves when all keys are deleted.
+ */
+export function delMany(keys, customStore) {
+  return runOperation(customStore, 'delMany', [keys], keys => customStore('readwrite', store => {
+    keys.forEach(key => deleteValue(store, key));
+    return promisifyRequest(store.transaction);
+  }));
+}
+
+
+
+/**
+ * Clear all values in the store.
+ * 
+ * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
+ * The 'store' object represents the object store within this transaction.
+ * Inside this transaction we perform necessary operations.
+ * 'store.transaction' works as marking point. 
+ * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<void>} - Promise that resolves when the store is cleared.
+ */
+export function clear(customStore) {
+  return runOperation(customStore, 'clear', [], () => customStore('readwrite', store => {
+    clearValues(store);
+    return promisifyRequest(store.transaction);
+  }));
+}
+
+
+
+/**
+ * Clear the store within the transaction, together with its expiry times, access records and revisions, and journal it. Shared by 'clear' and the 'transaction' handle.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {IDBRequest} The 'clear' request.
+ */
+function clearValues(store) {
+  /**
+   * A namespace is cleared by deleting its keys, so the rest of the store stays.
+   */
+  if (namespacedStores.has(store)) return deleteValue(store, keyRanges().lowerBound(''));
+
+  const expiryStore = expiryStoreOf(store);
+  const accessStore = accessStoreOf(store);
+  const revisionStore = revisionStoreOf(store);
+
+  if (expiryStore) {
+    expiryStore.clear();
+  }
+  if (accessStore) {
+    accessStore.clear();
+  }
+  if (revisionStore) {
+    revisionStore.clear();
+  }
+  journalChange(journalStoreOf(store), 'clear');
+  recordChange(store, { type: 'clear' });
+  return store.clear();
+}
+
+
+
+/**
+ * Helper function to iterate over cursor results.
+ * 
+ * Cursor provides a way to iterate over the records sequentially.
+ * 'openCursor()' initiates a cursor operation and allows us to handle each record as it becomes available.
+ * As the cursor iterates through each record, the 'onsuccess' event of the cursor's request ('IDBRequest') is triggered. And inside 'onsuccess' we can access the current record ('this.result') and perform operations on it.
+ * When 'this.result' becomes 'null', it indicates that there are no more records to iterate over and cursor iteration stops.
+ * 
+ * 
+ * The cursor can be limited to a key range and can walk in either direction ('next' or 'prev').
+ * 'offset' records are skipped with a single 'advance()' call, and the iteration stops as soon as 'limit' records were handled.
+ * Records rejected by 'filter' (e.g. expired ones) are skipped and don't count towards 'offset' and 'limit'.
+ * 
+ * The promise resolves when the iteration is done, not when the transaction completes.
+ * It lets the caller continue using the same transaction after the iteration.
+ *
+ * @param {IDBObjectStore|IDBIndex} store - The object store (or index) to iterate over.
+ * @param {(cursor: IDBCursorWithValue) => void} callback - Callback function to handle each cursor result.
+ * @param {IDBKeyRange} [range] - Optional key range to iterate over.
+ * @param {{ offset?: number, limit?: number, direction?: IDBCursorDirection, filter?: (cursor: IDBCursor) => boolean }} [options={}] - Optional pagination, direction and filter.
+ * @returns {Promise<void>} - Promise that resolves when the iteration completes.
+ */
+function eachCursor(store, callback, range, options = {}) {
+  const { offset = 0, limit = Infinity, direction = 'next', filter } = options;
+  /**
+   * The number of matching records which still have to be skipped.
+   */
+  let toSkip = offset;
+  let handled = 0;
+
+  return new Promise((resolve, reject) => {
+    if (limit === 0) return resolve();
+
+    const request = store.openCursor(range, direction);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = function() {
+      /**
+       * Base case to stop the iteration when there is no more record.
+       */
+      if (!this.result) return resolve();
+      /**
+       * Records which don't pass the filter are invisible: they are neither skipped nor handled.
+       */
+      if (filter && !filter(this.result)) return this.result.continue();
+      /**
+       * Jump over the skipped records. The request fires 'onsuccess' again at the new position.
+       * With a filter, every record has to be checked, so they are skipped one by one.
+       */
+      if (toSkip > 0) {
+        const count = filter ? 1 : toSkip;
+        toSkip -= count;
+        this.result.advance(count);
+        return;
+      }
+      /**
+       * Handles each record.
+       */
+      callback(this.result);
+      /**
+       * Stop once the page is full. Not calling 'continue()' simply ends the iteration.
+       */
+      if (++handled >= limit) return resolve();
+      /**
+       * Moves to the next record.
+       */
+      this.result.continue();
+    };
+  });
+}
+
+
+
+/**
+ * Options accepted by the functions which read several records ('keys', 'values', 'entries').
+ * All bounds are combined, so e.g. 'prefix' together with 'after' returns the next page within the prefix.
+ *
+ * @typedef {object} QueryOptions
+ * @property {IDBKeyRange|IDBValidKey} [query] - A key range, or a single key to match.
+ * @property {IDBValidKey} [lower] - Lower bound of the keys.
+ * @property {IDBValidKey} [upper] - Upper bound of the keys.
+ * @property {boolean} [lowerOpen=false] - Whether the lower bound itself is excluded.
+ * @property {boolean} [upperOpen=false] - Whether the upper bound itself is excluded.
+ * @property {string} [prefix] - Match only string keys which start with this prefix.
+ * @property {IDBValidKey} [after] - Start after this key (in the iteration direction). Pass the last key of the previous page to get the next page.
+ * @property {number} [offset=0] - Number of matching records to skip.
+ * @property {number} [limit] - Maximum number of records to return.
+ * @property {'next'|'prev'} [direction='next'] - Iteration order: ascending ('next') or descending ('prev') keys.
+ */
+
+
+
+/**
+ * Narrow the bounds down to their intersection with the given range.
+ *
+ * The higher of the lower bounds and the lower of the upper bounds win.
+ * When both bounds are equal, the bound is open if either of them is open.
+ *
+ * @param {{ lower?: IDBValidKey, upper?: IDBValidKey, lowerOpen: boolean, upperOpen: boolean }} bounds - The bounds to narrow. They are modified in place.
+ * @param {{ lower?: IDBValidKey, upper?: IDBValidKey, lowerOpen?: boolean, upperOpen?: boolean }} range - The range to intersect with.
+ */
+function narrowBounds(bounds, range) {
+  if (range.lower !== undefined) {
+    const order = bounds.lower === undefined ? 1 : compareKeys(range.lower, bounds.lower);
+
+    if (order > 0) {
+      bounds.lower = range.lower;
+      bounds.lowerOpen = Boolean(range.lowerOpen);
+    } else if (order === 0) {
+      bounds.lowerOpen = bounds.lowerOpen || Boolean(range.lowerOpen);
+    }
+  }
+  if (range.upper !== undefined) {
+    const order = bounds.upper === undefined ? -1 : compareKeys(range.upper, bounds.upper);
+
+    if (order < 0) {
+      bounds.upper = range.upper;
+      bounds.upperOpen = Boolean(range.upperOpen);
+    } else if (order === 0) {
+      bounds.upperOpen = bounds.upperOpen || Boolean(range.upperOpen);
+    }
+  }
+}
+
+
+
+/**
+ * Get 'IDBKeyRange', or the key ranges of the in-memory backend where IndexedDB is missing (e.g. in Node).
+ *
+ * @returns {object} An object with the 'only', 'lowerBound', 'upperBound' and 'bound' factory methods.
+ */
+function keyRanges() {
+  return typeof IDBKeyRange !== 'undefined' ? IDBKeyRange : MemoryKeyRange;
+}
+
+
+
+/**
+ * Compare two keys with 'indexedDB.cmp', or with the same rules of the in-memory backend where IndexedDB is missing.
+ *
+ * @param {IDBValidKey} a - The first key.
+ * @param {IDBValidKey} b - The second key.
+ * @returns {number} -1, 0 or 1.
+ */
+function compareKeys(a, b) {
+  return typeof indexedDB !== 'undefined' ? indexedDB.cmp(a, b) : compareMemoryKeys(a, b);
+}
+
+
+
+/**
+ * Whether the value is a key range rather than a key.
+ * 
+ * 'IDBKeyRange' objects (and their plain copies, see 'toPlainRange') are recognized by their 'lowerOpen'/'upperOpen' properties.
+ * Keys never have them: a key is a number, string, date, binary or an array of keys.
+ *
+ * @param {any} value - A key or a key range.
+ * @returns {boolean} 'true' for a key range.
+ */
+function isKeyRange(value) {
+  return typeof value === 'object' && value !== null && 'lowerOpen' in value && 'upperOpen' in value;
+}
+
+
+
+/**
+ * Build a single 'IDBKeyRange' out of the query options.
+ *
+ * Everything passed as 'query' which is not a key range is treated as a single key.
+ *
+ * @param {QueryOptions} [options={}] - The query options.
+ * @returns {IDBKeyRange|undefined|null} The key range, 'undefined' if the whole store matches, or 'null' if no record can be returned (e.g. 'after' is past the upper bound, or 'limit' is 0).
+ * @throws {Error} Throws an error if 'prefix' is not a string, or if 'offset' or 'limit' is not a non-negative integer.
+ */
+function toKeyRange(options = {}) {
+  const { query, prefix, after, direction = 'next' } = options;
+
+  ['offset', 'limit'].forEach(name => {
+    if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] >= 0)) {
+      throw new Error(`Error during querying IndexedDB: '${name}' must be a non-negative integer, got '${options[name]}'!`);
+    }
+  });
+  /**
+   * 'getAll(range, 0)' would return every record, so an empty page is answered without touching the store.
+   */
+  if (options.limit === 0) return null;
+
+  const bounds = {
+    lower: options.lower,
+    upper: options.upper,
+    lowerOpen: Boolean(options.lowerOpen),
+    upperOpen: Boolean(options.upperOpen),
+  };
+
+  if (query !== undefined && query !== null) {
+    narrowBounds(bounds, isKeyRange(query) ? query : { lower: query, upper: query });
+  }
+  if (prefix !== undefined) {
+    if (typeof prefix !== 'string') {
+      throw new Error(`Error during querying IndexedDB: 'prefix' must be a string, got '${typeof prefix}'!`);
+    }
+    /**
+     * '\uffff' is the highest UTF-16 code unit, so every string which starts with the prefix sorts between these bounds.
+     */
+    narrowBounds(bounds, { lower: prefix, upper: prefix + '\uffff' });
+  }
+  if (after !== undefined) {
+    /**
+     * 'after' means "past this key" in the iteration order, so it is an open upper bound when walking backwards.
+     */
+    narrowBounds(bounds, direction.startsWith('prev') ? { upper: after, upperOpen: true } : { lower: after, lowerOpen: true });
+  }
+
+  const { lower, upper, lowerOpen, upperOpen } = bounds;
+
+  if (lower === undefined && upper === undefined) return undefined;
+  if (upper === undefined) return keyRanges().lowerBound(lower, lowerOpen);
+  if (lower === undefined) return keyRanges().upperBound(upper, upperOpen);
+
+  const order = compareKeys(lower, upper);
+  /**
+   * 'IDBKeyRange.bound' throws for an empty range, so report it instead.
+   */
+  if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) return null;
+
+  return keyRanges().bound(lower, upper, lowerOpen, upperOpen);
+}
+
+
+
+/**
+ * Whether the query can be answered by 'getAll()'/'getAllKeys()'.
+ * These methods always return records in ascending order starting at the beginning of the range, so offsets and descending order need a cursor.
+ *
+ * @param {QueryOptions} options - The query options.
+ * @returns {boolean} 'true' if a cursor is required.
+ */
+function needsCursor(options) {
+  return Boolean(options.offset) || (options.direction !== undefined && options.direction !== 'next');
+}
+
+
+
+/**
+ * Retrieves all keys from the IndexedDB store using the provided custom store function.
+ * 
+ * This function initiates a read-only transaction on the IndexedDB store.
+ * If available, it uses the modern IndexedDB method 'getAllKeys()' to fetch all keys asynchronously.
+ * For older browsers without 'getAllKeys()', it iterates over each record in the store using the 'eachCursor' helper function.
+ * The cursor is also used when the query needs an offset or a descending order.
+ * 
+ * @example
+ * // The second page of 20 keys which start with 'user:'.
+ * const page = await keys(customStore, { prefix: 'user:', offset: 20, limit: 20 });
+ * 
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<Array>} A promise that resolves with an array of keys retrieved from the IndexedDB store.
+ */
+export function keys(customStore, options = {}) {
+  return runOperation(customStore, 'keys', [options], options => customStore('readonly', store => readKeys(store, options)));
+}
+
+
+
+/**
+ * Read the keys within the transaction. Shared by 'keys' and the 'transaction' handle.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<IDBValidKey[]>} A promise that resolves with the keys.
+ */
+async function readKeys(store, options = {}) {
+  const range = toKeyRange(options);
+
+  if (range === null) return [];
+  /**
+   * Expired records have to be skipped one by one, so they need the cursor.
+   */
+  const filter = await expiryFilter(store);
+  /**
+   * Fast path for modern browsers.
+   * This method fetches all keys asynchronously and returns a promise that resolves with an array of keys.
+   */
+  if (store.getAllKeys && !needsCursor(options) && !filter) {
+    return promisifyRequest(store.getAllKeys(range, options.limit));
+  }
+  /**
+   * Fallback for Older Browsers.
+   * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
+   * For each cursor result, it pushes the 'cursor.key' (which represents the primary key of the record) into the items array.
+   * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes). This promise resolvs to the 'items' array containing all keys retrieved from the object store.
+   */
+  const items = [];
+
+  await eachCursor(store, cursor => items.push(cursor.key), range, { ...options, filter });
+
+  return items;
+}
+
+
+
+/**
+ * Get all values in the store.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<Array>} - Promise that resolves with an array of values in the store.
+ */
+export function values(customStore, options = {}) {
+  return runOperation(customStore, 'values', [options], options => (
+    decodeResult(customStore, customStore('readonly', store => readValues(store, options)), (codec, items) => Promise.all(items.map(item => codec.decode(item))))
+  ));
+}
+
+
+
+/**
+ * Read the values within the transaction. Shared by 'values' and the 'transaction' handle.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<any[]>} A promise that resolves with the values.
+ */
+async function readValues(store, options = {}) {
+  const range = toKeyRange(options);
+
+  if (range === null) return [];
+  /**
+   * Expired records have to be skipped one by one, so they need the cursor.
+   */
+  const filter = await expiryFilter(store);
+  /**
+   * Fast path for modern browsers.
+   * This method fetches all values asynchronously and returns a promise that resolves with an array of values.
+   */
+  if (store.getAll && !needsCursor(options) && !filter) {
+    return promisifyRequest(store.getAll(range, options.limit));
+  }
+  /**
+   * Fallback for Older Browsers.
+   * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
+   * For each cursor result, it pushes the 'cursor.value' (which represents the primary key of the record) into the items array.
+   * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes). This promise resolvs to the 'items' array containing all values retrieved from the object store.
+   */
+  const items = [];
+
+  await eachCursor(store, cursor => items.push(cursor.value), range, { ...options, filter });
+  return items;
+}
+
+
+
+/**
+ * Get all entries in the store. Each entry is an array of `[key, value]`.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<Array>} - Promise that resolves with an array of entries in the store.
+ */
+export function entries(customStore, options = {}) {
+  return runOperation(customStore, 'entries', [options], options => (
+    decodeResult(customStore, customStore('readonly', store => readEntries(store, options)), decodeEntries)
+  ));
+}
+
+
+
+/**
+ * Read the entries within the transaction. Shared by 'entries' and the 'transaction' handle.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {QueryOptions} [options={}] - Optional key range, pagination and direction.
+ * @returns {Promise<[IDBValidKey, any][]>} A promise that resolves with the entries.
+ */
+async function readEntries(store, options = {}) {
+  const range = toKeyRange(options);
+
+  if (range === null) return [];
+  /**
+   * Expired records have to be skipped one by one, so they need the cursor.
+   */
+  const filter = await expiryFilter(store);
+  /**
+   * Fast path for modern browsers.
+   * This method fetches all keys and values asynchronously and returns a promise that resolves with an array of entries.
+   * Both requests use the same range and limit inside one transaction, so keys and values always line up.
+   */
+  if (store.getAll && store.getAllKeys && !needsCursor(options) && !filter) {
+    const keys = await promisifyRequest(store.getAllKeys(range, options.limit));
+    const values = await promisifyRequest(store.getAll(range, options.limit));
+    return keys.map((key, i) => [key, values[i]]);
+  }
+  /**
+   * Fallback for Older Browsers.
+   * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
+   * For each cursor result, it pushes the [key, value] pair into the items array.
+   * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes).
+   * This promise resolves to the 'items' array containing all entries retrieved from the object store.
+   */
+  const items = [];
+  await eachCursor(store, cursor => items.push([cursor.key, cursor.value]), range, { ...options, filter });
+  return items;
+}
+
+
+
+/**
+ * Check whether a key exists, without reading its value. Expired records don't exist (see 'hasValue').
+ *
+ * @example
+ * if (!(await has(customStore, 'settings'))) await set('settings', defaults, customStore);
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {IDBValidKey} key - The key.
+ * @returns {Promise<boolean>} A promise that resolves with 'true' if the key has a value.
+ */
+export function has(customStore, key) {
+  return runOperation(customStore, 'has', [key], key => customStore('readonly', store => hasValue(store, key)));
+}
+
+
+
+/**
+ * Count the records of the store, or those of a key or key range, without reading their values.
+ * 
+ * 'store.count()' can't tell expired records apart, so a store with expired records (not purged yet) counts them with a key cursor instead (see 'countRecords').
+ *
+ * @example
+ * const drafts = await count(customStore, IDBKeyRange.bound('draft:', 'draft:\uffff'));
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {IDBValidKey|IDBKeyRange} [query] - The key or key range (an 'IDBKeyRange' or a plain object with its properties) to count. All records are counted without it.
+ * @returns {Promise<number>} A promise that resolves with the number of records.
+ */
+export function count(customStore, query) {
+  return runOperation(customStore, 'count', [query], (query) => {
+    /**
+     * A key range may also be a plain object with the properties of an 'IDBKeyRange', like in the query options (see 'toKeyRange'). An empty range counts nothing.
+     */
+    const range = query === undefined || query === null ? undefined : toKeyRange({ query });
+
+    if (range === null) return 0;
+    return customStore('readonly', async store => countRecords(store, range, {}, await expiryFilter(store)));
+  });
+}
+
+
+/**
+ * Iterate over the entries of the store with 'for await...of'.
+ * 
+ * 'eachCursor' has to finish inside a single transaction: IndexedDB commits a transaction as soon as it has no pending requests, 
+ * so awaiting anything else (e.g. a 'fetch') between two records would make the next 'continue()' fail.
+ * 
+ * This async generator reads the entries in batches instead. Each batch is read by 'entries' in its own short read-only transaction, 
+ * and the next batch starts right after the last key of the previous one (see the 'after' query option).
+ * So the consumer can await as long as it likes between records, and only 'batchSize' records are kept in memory at a time.
+ * 
+ * Records written or deleted while iterating are picked up only if they are past the current position.
+ *
+ * @example
+ * for await (const [key, value] of iterate(customStore, { prefix: 'user:', batchSize: 50 })) {
+ *   await upload(key, value);
+ * }
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions & { batchSize?: number }} [options={}] - Optional key range, pagination and direction, plus the number of records read per transaction (100 by default).
+ * @returns {AsyncGenerator<[IDBValidKey, any]>} An async iterator over `[key, value]` entries.
+ * @throws {Error} Throws an error if 'batchSize' is not a positive integer.
+ */
+export async function* iterate(customStore, options = {}) {
+  const { batchSize = 100, limit = Infinity, offset = 0, after, ...query } = options;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Error during iterating over IndexedDB: 'batchSize' must be a positive integer, got '${batchSize}'!`);
+  }
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+    throw new Error(`Error during iterating over IndexedDB: 'limit' must be a non-negative integer, got '${limit}'!`);
+  }
+
+  /**
+   * The last key which was read. Every following batch starts right after it.
+   */
+  let lastKey = after;
+  let remaining = limit;
+  /**
+   * The offset applies only to the first batch, later batches continue from 'lastKey'.
+   */
+  let skip = offset;
+
+  while (remaining > 0) {
+    const size = Math.min(batchSize, remaining);
+    const batch = await entries(customStore, { ...query, after: lastKey, offset: skip, limit: size });
+
+    skip = 0;
+
+    for (const entry of batch) {
+      yield entry;
+    }
+
+    /**
+     * A batch which is not full means that the end of the range has been reached.
+     */
+    if (batch.length < size) return;
+
+    remaining -= batch.length;
+    lastKey = batch[batch.length - 1][0];
+  }
+}
+
+
+
+/**
+ * Helper function to read from an index of the store inside a read-only transaction.
+ * 
+ * 'store.index(indexName)' returns an 'IDBIndex'. It has the same reading methods as the object store ('get', 'getAll', 'count', 'openCursor'...), 
+ * but looks records up by the index key (e.g. an email) instead of the primary key.
+ *
+ * @param {string} indexName - The name of the index.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} options - The query options. The bounds refer to index keys.
+ * @param {(index: IDBIndex, range: IDBKeyRange|undefined, filter: Function|undefined) => Promise<any>} read - Reads from the index within the range. 'filter' skips expired records (see 'expiryFilter').
+ * @param {any} emptyResult - The result when no index key can match the options.
+ * @returns {Promise<any>} A promise that resolves with the result of 'read'.
+ */
+function readIndex(indexName, customStore, options, read, emptyResult) {
+  return customStore('readonly', async store => {
+    const range = toKeyRange(options);
+
+    if (range === null) return emptyResult;
+
+    const filter = await expiryFilter(store);
+
+    return read(store.index(indexName), range, filter);
+  });
+}
+
+
+
+/**
+ * Get the value of the first record whose index key matches the query.
+ * 
+ * E.g. look a user up by email instead of by id. If several records match a non-unique index, the one with the lowest primary key is returned.
+ *
+ * @param {string} indexName - The name of the index.
+ * @param {IDBValidKey|IDBKeyRange} query - The index key (or key range) to look up.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<any>} A promise that resolves with the value, or 'undefined' if no record matches.
+ */
+export function getByIndex(indexName, query, customStore) {
+  return runOperation(customStore, 'getByIndex', [indexName, query], (indexName, query) => {
+    const read = customStore('readonly', async store => {
+      const index = store.index(indexName);
+      const filter = await expiryFilter(store);
+
+      if (!filter) {
+        return promisifyRequest(index.get(query));
+      }
+      /**
+       * The first match may have expired, so walk the index until the first live record.
+       */
+      let value;
+      await eachCursor(index, cursor => { value = cursor.value; }, query, { limit: 1, filter });
+      return value;
+    });
+
+    return decodeResult(customStore, read, (codec, value) => codec.decode(value));
+  });
+}
+
+
+
+/**
+ * Get the values of all records whose index key matches the query options.
+ * 
+ * Records are ordered by index key. With 'after', pass the last index key of the previous page. 
+ * Several records may share an index key in a non-unique index, so use 'offset' to page through them instead.
+ *
+ * @param {string} indexName - The name of the index.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional index key range, pagination and direction ('nextunique'/'prevunique' skip duplicate index keys).
+ * @returns {Promise<Array>} A promise that resolves with an array of values.
+ */
+export function getAllByIndex(indexName, customStore, options = {}) {
+  return runOperation(customStore, 'getAllByIndex', [indexName, options], (indexName, options) => {
+    const read = readIndex(indexName, customStore, options, async (index, range, filter) => {
+      /**
+       * Fast path for modern browsers.
+       */
+      if (index.getAll && !needsCursor(options) && !filter) {
+        return promisifyRequest(index.getAll(range, options.limit));
+      }
+      /**
+       * Fallback for older browsers, offsets, descending order and stores with expired records.
+       */
+      const items = [];
+      await eachCursor(index, cursor => items.push(cursor.value), range, { ...options, filter });
+      return items;
+    }, []);
+
+    return decodeResult(customStore, read, (codec, items) => Promise.all(items.map(item => codec.decode(item))));
+  });
+}
+
+
+
+/**
+ * Get the primary keys of all records whose index key matches the query options.
+ * 
+ * 'index.getAllKeys()' (and 'cursor.primaryKey') return the primary keys of the records, not the index keys.
+ *
+ * @param {string} indexName - The name of the index.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional index key range, pagination and direction.
+ * @returns {Promise<Array>} A promise that resolves with an array of primary keys.
+ */
+export function keysByIndex(indexName, customStore, options = {}) {
+  return runOperation(customStore, 'keysByIndex', [indexName, options], (indexName, options) => readIndex(indexName, customStore, options, async (index, range, filter) => {
+    /**
+     * Fast path for modern browsers.
+     */
+    if (index.getAllKeys && !needsCursor(options) && !filter) {
+      return promisifyRequest(index.getAllKeys(range, options.limit));
+    }
+    /**
+     * Fallback for older browsers, offsets, descending order and stores with expired records.
+     */
+    const items = [];
+    await eachCursor(index, cursor => items.push(cursor.primaryKey), range, { ...options, filter });
+    return items;
+  }, []));
+}
+
+
+
+/**
+ * Count the records whose index key matches the query options.
+ * 
+ * 'index.count()' counts inside the database without reading the values. 'offset' and 'limit' are applied to the count, 
+ * so the result is the size of the page which 'getAllByIndex' would return with the same options.
+ *
+ * @param {string} indexName - The name of the index.
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} [options={}] - Optional index key range and pagination.
+ * @returns {Promise<number>} A promise that resolves with the number of matching records.
+ */
+export function countByIndex(indexName, customStore, options = {}) {
+  return runOperation(customStore, 'countByIndex', [indexName, options], (indexName, options) => (
+    readIndex(indexName, customStore, options, (index, range, filter) => countRecords(index, range, options, filter), 0)
+  ));
+}
+
+
+
+/**
+ * Count the records of an object store or index within the range.
+ * 
+ * 'count()' counts inside the database without reading the values. 'offset' and 'limit' are applied to the count.
+ *
+ * @param {IDBObjectStore|IDBIndex} source - The object store or index.
+ * @param {IDBKeyRange|undefined} range - The key range.
+ * @param {QueryOptions} options - The query options ('offset' and 'limit' are used).
+ * @param {((cursor: IDBCursor) => boolean)|undefined} filter - Optional filter which skips expired records.
+ * @returns {Promise<number>} A promise that resolves with the number of records.
+ */
+async function countRecords(source, range, options, filter) {
+  const { offset = 0, limit = Infinity } = options;
+  /**
+   * Expired records are not counted, and 'count()' can't tell them apart, so they are counted with the cursor.
+   */
+  if (filter) {
+    let total = 0;
+    await eachCursor(source, () => total++, range, { offset, limit, filter });
+    return total;
+  }
+  const total = await promisifyRequest(source.count(range));
+  return Math.max(0, Math.min(total - offset, limit));
+}
+
+
+
+/**
+ * Delete the expired records of the store.
+ * 
+ * The store must be created with 'expiration: true'. The stale records are found with the 'expiresAt' index of the companion expiry store, 
+ * so only the expired records are read, in ascending expiry order.
+ * 
+ * Records are deleted in batches of 'batchSize', each batch in its own read-write transaction, so a large purge never blocks other writes for long.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ batchSize?: number }} [options={}] - Optional number of records deleted per transaction (100 by default).
+ * @returns {Promise<number>} A promise that resolves with the number of deleted records.
+ * @throws {Error} Throws an error if the store was not created with 'expiration: true'.
+ * @throws {TypeError} Throws an error if 'batchSize' is not a positive integer.
+ */
+export async function purgeExpired(customStore, options = {}) {
+  const { batchSize = 100 } = options;
+  /**
+   * A batch size of 0 would never fill a batch nor finish one short, so the loop below would never end.
+   */
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new TypeError(`Error during purging IndexedDB: 'batchSize' must be a positive integer, got '${batchSize}'!`);
+  }
+
+  let purged = 0;
+
+  while (true) {
+    const deleted = await customStore('readwrite', async store => {
+      const expiryStore = expiryStoreOf(store);
+
+      if (!expiryStore) {
+        throw new Error(`Error during purging IndexedDB: Object store '${store.name}' must be created with 'expiration: true'!`);
+      }
+
+      const accessStore = accessStoreOf(store);
+      const revisionStore = revisionStoreOf(store);
+      let count = 0;
+      /**
+       * 'cursor.delete()' removes the expiry record, 'store.delete()' the record itself.
+       */
+      await eachCursor(expiryStore.index('expiresAt'), cursor => {
+        store.delete(cursor.primaryKey);
+        if (accessStore) accessStore.delete(cursor.primaryKey);
+        if (revisionStore) revisionStore.delete(cursor.primaryKey);
+        recordChange(store, { type: 'delete', key: cursor.primaryKey });
+        cursor.delete();
+        count++;
+      }, keyRanges().upperBound(Date.now()), { limit: batchSize });
+
+      await promisifyRequest(store.transaction);
+      return count;
+    });
+
+    purged += deleted;
+    /**
+     * A batch which is not full means that there is nothing left to purge.
+     */
+    if (deleted < batchSize) return purged;
+  }
+}
+
+
+
+/**
+ * Run 'purgeExpired' periodically.
+ * 
+ * The next run is scheduled only after the previous one finishes, so slow purges never overlap.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ interval?: number, batchSize?: number, onError?: (error: Error) => void }} [options={}] - The delay between runs in milliseconds (1 minute by default), 
+ *        the batch size for 'purgeExpired', and an optional handler for failed runs (errors are ignored otherwise, and the schedule goes on).
+ * @returns {() => void} A function which stops the schedule.
+ */
+export function schedulePurge(customStore, options = {}) {
+  const { interval = 60 * 1000, batchSize, onError } = options;
+  let timer = null;
+  let stopped = false;
+
+  const run = async () => {
+    try {
+      await purgeExpired(customStore, { batchSize });
+    } catch (error) {
+      if (onError) onError(error);
+    }
+    if (!stopped) {
+      timer = setTimeout(run, interval);
+    }
+  };
+
+  timer = setTimeout(run, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+
+
+/**
+ * Changes recorded by the helpers, per transaction and per object store. They are published only once the transaction completes.
+ * A 'WeakMap' lets aborted transactions (which never fire 'complete') be garbage collected together with their changes.
+ * @type {WeakMap<IDBTransaction, Map<string, Change[]>>}
+ */
+const pendingChanges = new WeakMap();
+
+/**
+ * Active watchers, per database name and object store name.
+ * @type {Map<string, { stores: Map<string, Set<Watcher>> }>}
+ */
+const watchedDataBases = new Map();
+
+/**
+ * The 'BroadcastChannel' of every database which published changes or has watchers. It is created on first use and shared by both,
+ * so a tab never receives its own messages (a channel doesn't get the messages it posted itself).
+ * 'connections' are the open connections which published through the channel. It is closed once all of them are closed and the database has no watchers.
+ * @type {Map<string, { channel: BroadcastChannel, connections: Set<IDBDatabase> }>}
+ */
+const dataBaseChannels = new Map();
+
+
+
+/**
+ * A single change of a committed transaction.
+ *
+ * @typedef {object} Change
+ * @property {'set'|'delete'|'clear'} type - The kind of the change.
+ * @property {IDBValidKey} [key] - The affected key ('set' and 'delete').
+ * @property {{ lower?: IDBValidKey, upper?: IDBValidKey, lowerOpen: boolean, upperOpen: boolean }} [range] - The deleted key range, when a range was passed to 'del'.
+ */
+
+/**
+ * @typedef {object} Watcher
+ * @property {IDBValidKey|object|null} target - The watched key or key range, or 'null' for the whole store.
+ * @property {(event: ChangeEvent) => void} listener - The listener.
+ */
+
+/**
+ * @typedef {object} ChangeEvent
+ * @property {string} dbName - The name of the database.
+ * @property {string} storeName - The name of the object store.
+ * @property {Change[]} changes - The changes of one committed transaction which match the watched key or range, in the order they were made.
+ * @property {boolean} remote - 'true' if the transaction was committed in another tab or worker.
+ */
+
+
+
+/**
+ * Copy a key range into a plain object.
+ * 'IDBKeyRange' objects can't be cloned, so they can't be sent through a 'BroadcastChannel'.
+ *
+ * @param {IDBKeyRange} range - The key range.
+ * @returns {{ lower?: IDBValidKey, upper?: IDBValidKey, lowerOpen: boolean, upperOpen: boolean }} The plain copy.
+ */
+function toPlainRange(range) {
+  return { lower: range.lower, upper: range.upper, lowerOpen: range.lowerOpen, upperOpen: range.upperOpen };
+}
+
+
+
+/**
+ * Whether the key is within the range.
+ *
+ * @param {{ lower?: IDBValidKey, upper?: IDBValidKey, lowerOpen: boolean, upperOpen: boolean }} range - The key range.
+ * @param {IDBValidKey} key - The key.
+ * @returns {boolean} 'true' if the range includes the key.
+ */
+function rangeIncludes(range, key) {
+  if (range.lower !== undefined) {
+    const order = compareKeys(key, range.lower);
+    if (order < 0 || (order === 0 && range.lowerOpen)) return false;
+  }
+  if (range.upper !== undefined) {
+    const order = compareKeys(key, range.upper);
+    if (order > 0 || (order === 0 && range.upperOpen)) return false;
+  }
+  return true;
+}
+
+
+
+/**
+ * Whether two key ranges have at least one key in common.
+ *
+ * @param {object} a - The first key range.
+ * @param {object} b - The second key range.
+ * @returns {boolean} 'true' if the ranges overlap.
+ */
+function rangesOverlap(a, b) {
+  /**
+   * Two ranges are disjoint only if one of them ends before the other one starts.
+   */
+  const endsBefore = (first, second) => {
+    if (first.upper === undefined || second.lower === undefined) return false;
+    const order = compareKeys(first.upper, second.lower);
+    return order < 0 || (order === 0 && (first.upperOpen || second.lowerOpen));
+  };
+  return !endsBefore(a, b) && !endsBefore(b, a);
+}
+
+
+
+/**
+ * Whether a change affects the watched key or range.
+ *
+ * @param {Change} change - The change.
+ * @param {IDBValidKey|object|null} target - The watched key or key range, or 'null' for the whole store.
+ * @returns {boolean} 'true' if the watcher has to be notified.
+ */
+function changeMatches(change, target) {
+  if (target === null || change.type === 'clear') return true;
+
+  if (change.range) {
+    return isKeyRange(target) ? rangesOverlap(change.range, target) : rangeIncludes(change.range, target);
+  }
+  return isKeyRange(target) ? rangeIncludes(target, change.key) : compareKeys(change.key, target) === 0;
+}
+
+
+
+/**
+ * Remember a change made by a helper inside a transaction.
+ * 
+ * The changes are published to the watchers (in this and in other tabs) only when the transaction fires 'complete'. 
+ * If the transaction is aborted, e.g. because one of the writes failed, nothing is published.
+ * 
+ * Only changes made through the helpers of this library are recorded, not raw 'IDBObjectStore' calls inside a 'customStore' callback.
+ * The changes made through a namespace are recorded with the keys of the store, so every watcher of the store sees them (see 'namespace').
+ *
+ * @param {IDBObjectStore} store - The object store which was changed.
+ * @param {Change} change - The change.
+ */
+function recordChange(store, change) {
+  const { transaction } = store;
+
+  for (let namespaced = namespacedStores.get(store); namespaced; namespaced = namespacedStores.get(namespaced.store)) {
+    change = namespaced.namespace.toStoredChange(change);
+  }
+  let changesByStore = pendingChanges.get(transaction);
+
+  if (!changesByStore) {
+    changesByStore = new Map();
+    pendingChanges.set(transaction, changesByStore);
+
+    transaction.addEventListener('complete', () => {
+      changesByStore.forEach((changes, storeName) => publishChanges(transaction.db, storeName, changes, !memoryConnections.has(transaction.db)));
+    });
+  }
+  if (!changesByStore.has(store.name)) {
+    changesByStore.set(store.name, []);
+  }
+  changesByStore.get(store.name).push(change);
+}
+
+
+
+/**
+ * Get the name of the 'BroadcastChannel' which carries the changes of a database between tabs.
+ *
+ * @param {string} dbName - The name of the database.
+ * @returns {string} The channel name.
+ */
+function channelName(dbName) {
+  return `idb-library:${dbName}`;
+}
+
+
+
+/**
+ * Get the channel of a database, and create it on first use.
+ * 
+ * Messages from other tabs and workers are passed to the watchers of this tab. 
+ * Outside of browsers (e.g. Node.js) an open channel keeps the process alive, so it is unreferenced where that is possible.
+ *
+ * @param {string} dbName - The name of the database.
+ * @returns {{ channel: BroadcastChannel, connections: Set<IDBDatabase> }|null} The channel and its connections, or 'null' if 'BroadcastChannel' is not available.
+ */
+function channelOf(dbName) {
+  if (typeof BroadcastChannel === 'undefined') return null;
+
+  if (!dataBaseChannels.has(dbName)) {
+    const channel = new BroadcastChannel(channelName(dbName));
+
+    channel.onmessage = ({ data }) => notifyWatchers(dbName, data.storeName, data.changes, true);
+    if (typeof channel.unref === 'function') channel.unref();
+
+    dataBaseChannels.set(dbName, { channel, connections: new Set() });
+  }
+  return dataBaseChannels.get(dbName);
+}
+
+
+
+/**
+ * Close the channel of a database once nothing uses it anymore.
+ *
+ * @param {string} dbName - The name of the database.
+ * @param {IDBDatabase} [dataBase] - The connection which was closed, if any.
+ */
+function releaseChannel(dbName, dataBase) {
+  const entry = dataBaseChannels.get(dbName);
+
+  if (!entry) return;
+
+  entry.connections.delete(dataBase);
+
+  if (entry.connections.size === 0 && !watchedDataBases.has(dbName)) {
+    entry.channel.close();
+    dataBaseChannels.delete(dbName);
+  }
+}
+
+
+
+/**
+ * Publish the changes of a committed transaction: notify the watchers of this tab and post them to the other tabs.
+ * 
+ * The channel of the database is kept open for the next transactions, until the connection is closed.
+ * The browser closes a connection on its own e.g. when the database is deleted, and fires 'close' then.
+ *
+ * @param {IDBDatabase} dataBase - The connection which committed the transaction.
+ * @param {string} storeName - The name of the object store.
+ * @param {Change[]} changes - The changes.
+ * @param {boolean} broadcast - Whether to post the changes to the other tabs. The data of the in-memory backend exists only in this one.
+ */
+function publishChanges(dataBase, storeName, changes, broadcast) {
+  const dbName = dataBase.name;
+
+  notifyWatchers(dbName, storeName, changes, false);
+
+  if (!broadcast) return;
+
+  const entry = channelOf(dbName);
+
+  if (!entry) return;
+
+  if (!entry.connections.has(dataBase)) {
+    entry.connections.add(dataBase);
+    dataBase.addEventListener('close', () => releaseChannel(dbName, dataBase));
+  }
+  entry.channel.postMessage({ storeName, changes });
+}
+
+
+
+/**
+ * Call the listeners whose key or range is affected by the changes.
+ * 
+ * Listeners are called in a microtask each, so a throwing listener is reported but doesn't prevent the others from being called.
+ *
+ * @param {string} dbName - The name of the database.
+ * @param {string} storeName - The name of the object store.
+ * @param {Change[]} changes - The changes.
+ * @param {boolean} remote - Whether the changes were committed in another tab.
+ */
+function notifyWatchers(dbName, storeName, changes, remote) {
+  const watched = watchedDataBases.get(dbName);
+  const watchers = watched && watched.stores.get(storeName);
+
+  if (!watchers) return;
+
+  watchers.forEach(({ target, listener }) => {
+    const matching = changes.filter(change => changeMatches(change, target));
+
+    if (matching.length > 0) {
+      queueMicrotask(() => listener({ dbName, storeName, changes: matching, remote }));
+    }
+  });
+}
+
+
+
+/**
+ * Watch a key, a key range or the whole store for changes.
+ * 
+ * The listener is called after every committed transaction which changed the watched keys through 'set', 'setMany', 'update', 'del', 'delMany', 'clear' or 'purgeExpired', 
+ * in this tab or in any other tab or worker of the same origin (through a 'BroadcastChannel', where available).
+ * It receives the matching changes of that transaction with their types ('set', 'delete' or 'clear'). A 'clear' matches every watcher.
+ * 
+ * Watching starts once the database is open. Changes committed before that are not reported, so await 'unwatch.ready' if it matters.
+ *
+ * @example
+ * const unwatch = watch(customStore, 'settings', ({ changes, remote }) => render());
+ * await unwatch.ready;
+ * // Later:
+ * unwatch();
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {IDBValidKey|IDBKeyRange|null} keyOrRange - The key or key range to watch, or 'null' for every key of the store.
+ * @param {(event: ChangeEvent) => void} listener - Called with the matching changes of every committed transaction.
+ * @returns {(() => void) & { ready: Promise<void> }} A function which stops watching. Its 'ready' promise resolves when watching has started.
+ */
+export function watch(customStore, keyOrRange, listener) {
+  const view = namespaceViews.get(customStore);
+  /**
+   * A namespace watches its keys in the store, and the changes are reported with the keys of the namespace.
+   */
+  if (view) {
+    return watch(view.customStore, view.namespace.toStoredQuery(keyOrRange), (event) => {
+      const changes = event.changes.map(view.namespace.toViewChange).filter(Boolean);
+
+      if (changes.length > 0) listener({ ...event, changes });
+    });
+  }
+
+  const watcher = {
+    target: keyOrRange === undefined || keyOrRange === null ? null : isKeyRange(keyOrRange) ? toPlainRange(keyOrRange) : keyOrRange,
+    listener,
+  };
+  let location = null;
+  let stopped = false;
+
+  /**
+   * The database and store names are not known until the store is open, so ask a short transaction for them.
+   */
+  const ready = customStore('readonly', store => [store.transaction.db.name, store.name, memoryConnections.has(store.transaction.db)]).then(([dbName, storeName, inMemory]) => {
+    if (stopped) return;
+
+    location = [dbName, storeName];
+
+    if (!watchedDataBases.has(dbName)) {
+      watchedDataBases.set(dbName, { stores: new Map() });
+      /**
+       * Listen to the other tabs. The data of the in-memory backend exists only in this one.
+       */
+      if (!inMemory) channelOf(dbName);
+    }
+
+    const { stores } = watchedDataBases.get(dbName);
+
+    if (!stores.has(storeName)) {
+      stores.set(storeName, new Set());
+    }
+    stores.get(storeName).add(watcher);
+  });
+
+  const unwatch = () => {
+    stopped = true;
+
+    if (!location) return;
+
+    const [dbName, storeName] = location;
+    const watched = watchedDataBases.get(dbName);
+    const watchers = watched.stores.get(storeName);
+
+    watchers.delete(watcher);
+    if (watchers.size === 0) {
+      watched.stores.delete(storeName);
+    }
+    /**
+     * Release the channel of the database with the last watcher, so an idle page doesn't keep listening.
+     */
+    if (watched.stores.size === 0) {
+      watchedDataBases.delete(dbName);
+      releaseChannel(dbName);
+    }
+    location = null;
+  };
+
+  unwatch.ready = ready;
+  return unwatch;
+}
+
+
+
+/**
+ * Subscribe to every change of the store. A shorthand for 'watch(customStore, null, listener)'.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {(event: ChangeEvent) => void} listener - Called with the changes of every committed transaction.
+ * @returns {(() => void) & { ready: Promise<void> }} A function which stops watching. Its 'ready' promise resolves when watching has started.
+ */
+export function subscribe(customStore, listener) {
+  return watch(customStore, null, listener);
+}
+
+
+
+/**
+ * Create the error which reports that the transaction has already finished while the 'transaction' callback was still running.
+ * 
+ * The transaction committed rather than aborted, so the writes the callback made before that point are stored. Only the rest of the callback is lost.
+ *
+ * @param {string} operation - What was attempted, for the message.
+ * @param {string} storeName - The name of the object store.
+ * @param {Error} [cause] - The original error, if any.
+ * @returns {TransactionAbortedError} The error.
+ */
+function autoCommitError(operation, storeName, cause) {
+  return new TransactionAbortedError(
+    `Error during a transaction on '${storeName}' in IndexedDB: ${operation} after the transaction had already committed. ` +
+    `The writes made before that were committed, everything after them is lost. ` +
+    `The callback most likely awaited a promise which is not an IndexedDB request (e.g. 'fetch' or a timer), so the transaction committed underneath it. ` +
+    `Do such work before or after 'transaction()'!`,
+    { storeName, operation: 'transaction', cause }
+  );
+}
+
+
+
+/**
+ * Create the 'tx' object passed to the 'transaction' callback.
+ * 
+ * Every method works on the same 'IDBTransaction' and resolves as soon as its own requests succeed, not when the transaction completes,
+ * so several reads and writes can be chained with 'await' inside one transaction.
+ *
+ * On a cache, 'set', 'setMany' and 'update' evict the entries over the limits right after their writes, just like the helpers do (see 'commitWrites'),
+ * and 'onEvict' is called once the transaction has committed.
+ *
+ * @param {IDBObjectStore} store - The object store within the transaction.
+ * @param {() => boolean} isFinished - Tells whether the transaction has already committed or aborted.
+ * @param {Validator} [validator] - The validator of the store, if it has one.
+ * @param {CacheOptions} [cache] - The cache options of the store, if it is a cache.
+ * @returns {object} The transaction handle.
+ */
+function createTransactionHandle(store, isFinished, validator, cache) {
+  /**
+   * The keys evicted by the writes of the transaction so far.
+   */
+  const evicted = [];
+
+  if (cache) {
+    store.transaction.addEventListener('complete', () => notifyEvicted(cache, evicted, 'limit'));
+  }
+  /**
+   * Evict the entries over the limits of a cache once the writes have succeeded. Resolves with the written keys.
+   */
+  const evictAfter = written => written.then(async keys => {
+    if (cache) evicted.push(...await evictOverflow(store, cache, keys));
+    return keys;
+  });
+  /**
+   * Refuse to use a finished transaction with a clear message instead of the bare 'TransactionInactiveError'.
+   */
+  const guard = (name, operation) => (...args) => {
+    if (isFinished()) {
+      return Promise.reject(autoCommitError(`'tx.${name}()' was called`, store.name));
+    }
+    const explain = error => error && error.name === 'TransactionInactiveError' ? autoCommitError(`'tx.${name}()' was called`, store.name, error) : error;
+
+    if (validator) {
+      return validateOperation(validator, name, args, operation).catch(error => Promise.reject(explain(error)));
+    }
+    try {
+      return Promise.resolve(operation(...args));
+    } catch (error) {
+      return Promise.reject(explain(error));
+    }
+  };
+
+  return {
+    /**
+     * The raw 'IDBObjectStore', for anything the methods below don't cover.
+     */
+    store,
+    get: guard('get', key => readValue(store, key)),
+    getMany: guard('getMany', keys => Promise.all(keys.map(key => readValue(store, key)))),
+    set: guard('set', (key, value, options) => evictAfter(promisifyRequest(writeValue(store, key, value, options)).then(key => [key])).then(([key]) => key)),
+    setMany: guard('setMany', (entries, options) => evictAfter(Promise.all(entries.map(entry => promisifyRequest(writeValue(store, entry[0], entry[1], options))))).then(() => undefined)),
+    update: guard('update', (key, updaterCallback) => evictAfter(updateValue(store, key, updaterCallback).then(() => [key])).then(() => undefined)),
+    del: guard('del', key => promisifyRequest(deleteValue(store, key))),
+    delMany: guard('delMany', keys => Promise.all(keys.map(key => promisifyRequest(deleteValue(store, key)))).then(() => undefined)),
+    clear: guard('clear', () => promisifyRequest(clearValues(store))),
+    count: guard('count', async (options = {}) => {
+      const range = toKeyRange(options);
+      return range === null ? 0 : countRecords(store, range, options, await expiryFilter(store));
+    }),
+    keys: guard('keys', options => readKeys(store, options)),
+    values: guard('values', options => readValues(store, options)),
+    entries: guard('entries', options => readEntries(store, options)),
+  };
+}
+
+
+
+/**
+ * Run several reads and writes in one atomic transaction.
+ * 
+ * Every helper ('get', 'set', ...) creates its own transaction, so "read A, read B, write C based on both" done with the helpers is not atomic: 
+ * another write can sneak in between the steps.
+ * The callback of 'transaction' receives a 'tx' object with promise-based 'get', 'getMany', 'set', 'setMany', 'update', 'del', 'delMany', 'clear', 
+ * 'count', 'keys', 'values' and 'entries' methods, which all work on one 'IDBTransaction'.
+ * 
+ * - The returned promise resolves with the return value of the callback, but only after the transaction has committed ('complete').
+ * - If the callback throws (or its promise rejects), the transaction is aborted, nothing is written, and the promise rejects with that error.
+ *   If IndexedDB aborts the transaction by itself, it rejects with a 'TransactionAbortedError' (or e.g. a 'ConstraintError', see 'toStoreError').
+ * - IndexedDB commits a transaction as soon as it has no pending requests when the event loop is idle. 
+ *   If the callback awaits anything else (a 'fetch', a timer...), the transaction commits underneath it. 
+ *   That is reported: the promise rejects with a 'TransactionAbortedError', and so does every 'tx' method called afterwards.
+ *   Unlike a real abort, the writes made before the stray await were already committed and stay in the store.
+ * - Encrypted stores (see 'encryptStore') are not supported: decrypting and encrypting can't happen inside a transaction.
+ *
+ * @example
+ * const total = await transaction(customStore, 'readwrite', async tx => {
+ *   const [a, b] = await tx.getMany(['a', 'b']);
+ *   await tx.set('total', a + b);
+ *   return a + b;
+ * });
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {IDBTransactionMode} transactionMode - The transaction mode ('readonly' or 'readwrite').
+ * @param {(tx: object) => any} callback - The work to do within the transaction.
+ * @returns {Promise<any>} A promise that resolves with the result of the callback once the transaction has committed.
+ * @throws {Error} Rejects if the store is encrypted.
+ */
+export function transaction(customStore, transactionMode, callback) {
+  if (codecOf(customStore)) {
+    return Promise.reject(new Error('Error during a transaction in IndexedDB: Transactions are not supported on encrypted stores, because values can\'t be decrypted or encrypted within a transaction!'));
+  }
+
+  return customStore(transactionMode, store => new Promise((resolve, reject) => {
+    const idbTransaction = store.transaction;
+    let finished = false;
+    let callbackSettled = false;
+    let callbackResult;
+    /**
+     * The error of the callback which made us abort the transaction.
+     */
+    let callbackError = null;
+
+    idbTransaction.addEventListener('complete', () => {
+      finished = true;
+      /**
+       * A well-behaved callback settles right after its last request succeeds, long before the transaction commits.
+       * If it is still running now, it must have been waiting for something which is not an IndexedDB request.
+       */
+      if (callbackSettled) {
+        resolve(callbackResult);
+      } else {
+        reject(autoCommitError('The callback was still running', store.name));
+      }
+    });
+    idbTransaction.addEventListener('abort', () => {
+      finished = true;
+      /**
+       * An abort without a callback error comes from IndexedDB (e.g. a failed write nobody handled, or 'tx.store.transaction.abort()').
+       */
+      reject(callbackError || toStoreError(idbTransaction.error, { storeName: store.name, operation: 'transaction' }));
+    });
+
+    let returned;
+    try {
+      const { validator, cache } = storeSettings.get(customStore) || {};
+
+      returned = callback(createTransactionHandle(store, () => finished, validator, cache));
+    } catch (error) {
+      returned = Promise.reject(error);
+    }
+
+    Promise.resolve(returned).then(
+      (value) => {
+        callbackSettled = true;
+        callbackResult = value;
+      },
+      (error) => {
+        callbackSettled = true;
+        callbackError = error;
+
+        if (finished) return;
+        /**
+         * Roll back everything the callback has written so far.
+         * 'abort()' throws if the transaction is already committing, then the error is reported directly.
+         */
+        try {
+          idbTransaction.abort();
+        } catch {
+          reject(error);
+        }
+      }
+    );
+  }));
+}
+
+
+
+/**
+ * The format name and version written into every snapshot. 'importStore' refuses snapshots of a newer version.
+ */
+const SNAPSHOT_FORMAT = 'idb-library-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * The typed array constructors which can be restored from a snapshot, by name.
+ */
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+  'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+];
+
+/**
+ * A snapshot of an object store, as produced by 'exportStore'. It is plain JSON, so it survives 'JSON.stringify' and 'JSON.parse'.
+ * @typedef {Object} Snapshot
+ * @property {string} format - Always 'idb-library-snapshot'.
+ * @property {number} version - The version of the snapshot format.
+ * @property {string} storeName - The name of the exported object store.
+ * @property {string} exportedAt - When the snapshot was taken (ISO 8601).
+ * @property {number} count - The number of entries.
+ * @property {Array} entries - The entries as `[key, value]`, or `[key, value, expiresAt]` for records with an expiry time. Keys and values are encoded with 'encodeSnapshotValue'.
+ */
+
+
+
+/**
+ * Encode bytes as base64.
+ * It's done in slices, because spreading a large array into 'String.fromCharCode' overflows the call stack.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The base64 string.
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+
+
+/**
+ * Decode base64 into bytes.
+ *
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array} The bytes.
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+
+
+/**
+ * Encode a key or a value into plain JSON.
+ * 
+ * IndexedDB stores anything the structured clone algorithm can copy, but JSON knows only strings, finite numbers, booleans, null, arrays and plain objects.
+ * Everything else is replaced by a tagged object `{ $type, value }`:
+ * - 'undefined', 'NaN', 'Infinity', '-0' and 'BigInt';
+ * - 'Date', 'RegExp', 'Map' and 'Set';
+ * - 'ArrayBuffer', typed arrays and 'DataView' (as base64);
+ * - 'Blob' and 'File' (as base64 with their type, and name for files). Reading them is asynchronous, that's why the whole encoding is.
+ * 
+ * Plain objects which happen to have a '$type' property are wrapped into `{ $type: 'Object', value }`, so they are never mistaken for a tag.
+ * Keys go through the same encoding, so number, date, binary and array keys keep their type.
+ *
+ * @param {any} value - The key or value.
+ * @param {Set<object>} [ancestors] - The objects on the path from the root to this one, to detect cycles. It is never modified.
+ *        Siblings are encoded in parallel, so a shared set would also contain the siblings and report an object referenced twice (e.g. `{ a: shared, b: shared }`) as a cycle.
+ * @returns {Promise<any>} A promise that resolves with the JSON-compatible value.
+ * @throws {Error} Throws an error for cyclic structures, which JSON can't represent.
+ */
+async function encodeSnapshotValue(value, ancestors = new Set()) {
+  if (value === undefined) return { $type: 'undefined' };
+  if (typeof value === 'bigint') return { $type: 'BigInt', value: value.toString() };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && !Object.is(value, -0) ? value : { $type: 'Number', value: String(Object.is(value, -0) ? '-0' : value) };
+  }
+  if (value === null || typeof value !== 'object') return value;
+
+  if (ancestors.has(value)) {
+    throw new Error(`Error during exporting from IndexedDB: Cyclic structures can't be exported to JSON!`);
+  }
+
+  if (value instanceof Date) return { $type: 'Date', value: String(value.getTime()) };
+  if (value instanceof RegExp) return { $type: 'RegExp', value: { source: value.source, flags: value.flags } };
+  if (value instanceof ArrayBuffer) return { $type: 'ArrayBuffer', value: bytesToBase64(new Uint8Array(value)) };
+  if (ArrayBuffer.isView(value)) {
+    return {
+      $type: value.constructor.name,
+      value: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)),
+    };
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    const tagged = { $type: 'Blob', value: bytesToBase64(new Uint8Array(await value.arrayBuffer())), type: value.type };
+
+    if (typeof File !== 'undefined' && value instanceof File) {
+      return { ...tagged, $type: 'File', name: value.name, lastModified: value.lastModified };
+    }
+    return tagged;
+  }
+
+  const path = new Set(ancestors).add(value);
+  const encodeAll = items => Promise.all(items.map(item => encodeSnapshotValue(item, path)));
+  let encoded;
+
+  if (value instanceof Map) {
+    encoded = { $type: 'Map', value: await Promise.all([...value].map(entry => encodeAll(entry))) };
+  } else if (value instanceof Set) {
+    encoded = { $type: 'Set', value: await encodeAll([...value]) };
+  } else if (Array.isArray(value)) {
+    /**
+     * 'Array.from' turns holes into 'undefined', which is what IndexedDB returns for them as well.
+     */
+    encoded = await encodeAll(Array.from(value));
+  } else {
+    const names = Object.keys(value);
+    const encodedValues = await encodeAll(names.map(name => value[name]));
+    const object = {};
+
+    names.forEach((name, i) => defineProperty(object, name, encodedValues[i]));
+    encoded = Object.prototype.hasOwnProperty.call(value, '$type') ? { $type: 'Object', value: object } : object;
+  }
+
+  return encoded;
+}
+
+
+
+/**
+ * Set an own property, also for names like '__proto__', which a plain assignment would turn into a prototype change.
+ *
+ * @param {object} object - The object.
+ * @param {string} name - The property name.
+ * @param {any} value - The property value.
+ */
+function defineProperty(object, name, value) {
+  Object.defineProperty(object, name, { value, enumerable: true, writable: true, configurable: true });
+}
+
+
+
+/**
+ * Decode a key or a value encoded by 'encodeSnapshotValue'.
+ *
+ * @param {any} value - The JSON-compatible value.
+ * @returns {any} The original key or value.
+ * @throws {Error} Throws an error for an unknown '$type' tag.
+ */
+function decodeSnapshotValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(decodeSnapshotValue);
+
+  const decodeObject = (encoded) => {
+    const object = {};
+
+    Object.keys(encoded).forEach(name => defineProperty(object, name, decodeSnapshotValue(encoded[name])));
+    return object;
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(value, '$type')) return decodeObject(value);
+
+  const type = value.$type;
+
+  switch (type) {
+    case 'undefined': return undefined;
+    case 'Number': return Number(value.value);
+    case 'BigInt': return BigInt(value.value);
+    case 'Date': return new Date(Number(value.value));
+    case 'RegExp': return new RegExp(value.value.source, value.value.flags);
+    case 'Map': return new Map(value.value.map(entry => entry.map(decodeSnapshotValue)));
+    case 'Set': return new Set(value.value.map(decodeSnapshotValue));
+    case 'Object': return decodeObject(value.value);
+    case 'ArrayBuffer': return base64ToBytes(value.value).buffer;
+    case 'DataView': return new DataView(base64ToBytes(value.value).buffer);
+    case 'Blob': return new Blob([base64ToBytes(value.value)], { type: value.type });
+    case 'File': return new File([base64ToBytes(value.value)], value.name, { type: value.type, lastModified: value.lastModified });
+  }
+
+  if (TYPED_ARRAYS.includes(type) && typeof globalThis[type] === 'function') {
+    return new globalThis[type](base64ToBytes(value.value).buffer);
+  }
+  throw new Error(`Error during importing into IndexedDB: Unknown type '${type}' in the snapshot!`);
+}
+
+
+
+/**
+ * Read a batch of entries together with their expiry times, in one read-only transaction.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {QueryOptions} options - The query options (see 'entries').
+ * @returns {Promise<{ storeName: string, entries: Array }>} A promise that resolves with the store name and the entries as `[key, value]` or `[key, value, expiresAt]`.
+ */
+function readSnapshotEntries(customStore, options) {
+  const read = customStore('readonly', async store => {
+    const items = await readEntries(store, options);
+    const expiryStore = expiryStoreOf(store);
+
+    if (expiryStore) {
+      const expiries = await Promise.all(items.map(([key]) => promisifyRequest(expiryStore.get(key))));
+
+      expiries.forEach((expiry, i) => {
+        if (expiry !== undefined) items[i].push(expiry.expiresAt);
+      });
+    }
+    return { storeName: store.name, entries: items };
+  });
+
+  return decodeResult(customStore, read, async (codec, { storeName, entries: items }) => ({
+    storeName,
+    entries: await Promise.all(items.map(async ([key, value, ...expiry]) => [key, await codec.decode(value, key), ...expiry])),
+  }));
+}
+
+
+
+/**
+ * Encode the entries read by 'readSnapshotEntries'.
+ *
+ * @param {Array} items - The entries as `[key, value]` or `[key, value, expiresAt]`.
+ * @returns {Promise<Array>} A promise that resolves with the encoded entries.
+ */
+function encodeSnapshotEntries(items) {
+  return Promise.all(items.map(async ([key, value, ...expiry]) => [await encodeSnapshotValue(key), await encodeSnapshotValue(value), ...expiry]));
+}
+
+
+
+/**
+ * Export all entries of the store into a versioned snapshot which can be saved as JSON.
+ * 
+ * The entries are read in a single read-only transaction (like 'entries'), so the snapshot is consistent.
+ * Values JSON can't represent are tagged (see 'encodeSnapshotValue'), so 'importStore' restores them with their type.
+ * Expiry times of stores with 'expiration: true' are kept, and expired records are left out.
+ * 
+ * For very large stores, 'exportStoreStream' produces the same data as NDJSON without holding all of it in memory.
+ *
+ * @example
+ * const snapshot = await exportStore(customStore);
+ * const file = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @returns {Promise<Snapshot>} A promise that resolves with the snapshot.
+ * @throws {Error} Throws an error if a value has cyclic references.
+ */
+export async function exportStore(customStore) {
+  const { storeName, entries: items } = await readSnapshotEntries(customStore, {});
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    storeName,
+    exportedAt: new Date().toISOString(),
+    count: items.length,
+    entries: await encodeSnapshotEntries(items),
+  };
+}
+
+
+
+/**
+ * Export all entries of the store as an NDJSON stream (one JSON document per line).
+ * 
+ * The first line is the snapshot header (a 'Snapshot' without 'count' and 'entries'), every other line is one entry.
+ * The entries are read in batches of 'batchSize', each batch in its own transaction (like 'iterate'), 
+ * so the consumer can write each line to a file or upload it while exporting. 
+ * The trade-off is that writes made during the export may be included only partly.
+ *
+ * @example
+ * const lines = [];
+ * for await (const line of exportStoreStream(customStore)) lines.push(line);
+ * const file = new Blob(lines, { type: 'application/x-ndjson' });
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ batchSize?: number }} [options={}] - The number of entries read per transaction (100 by default).
+ * @returns {AsyncGenerator<string>} An async iterator over the lines, each ending with '\n'.
+ * @throws {Error} Throws an error if 'batchSize' is not a positive integer or a value has cyclic references.
+ */
+export async function* exportStoreStream(customStore, options = {}) {
+  const { batchSize = 100 } = options;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Error during exporting from IndexedDB: 'batchSize' must be a positive integer, got '${batchSize}'!`);
+  }
+
+  let lastKey;
+  let headerWritten = false;
+
+  while (true) {
+    const { storeName, entries: items } = await readSnapshotEntries(customStore, { after: lastKey, limit: batchSize });
+
+    if (!headerWritten) {
+      yield JSON.stringify({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, storeName, exportedAt: new Date().toISOString() }) + '\n';
+      headerWritten = true;
+    }
+
+    for (const entry of await encodeSnapshotEntries(items)) {
+      yield JSON.stringify(entry) + '\n';
+    }
+
+    /**
+     * A batch which is not full means that the end of the store has been reached.
+     */
+    if (items.length < batchSize) return;
+
+    lastKey = items[items.length - 1][0];
+  }
+}
+
+
+
+/**
+ * Check the header of a snapshot.
+ *
+ * @param {any} header - The parsed snapshot, or the first line of an NDJSON snapshot.
+ * @throws {Error} Throws an error if it is not a snapshot, or if it was written by a newer version of the library.
+ */
+function checkSnapshotHeader(header) {
+  if (!header || typeof header !== 'object' || header.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Error during importing into IndexedDB: The data is not a snapshot made by 'exportStore'!`);
+  }
+  if (!Number.isInteger(header.version) || header.version > SNAPSHOT_VERSION) {
+    throw new Error(`Error during importing into IndexedDB: Snapshot version '${header.version}' is not supported (the latest supported version is ${SNAPSHOT_VERSION})!`);
+  }
+}
+
+
+
+/**
+ * Split a stream of text chunks into lines. Chunks don't have to end at line breaks (e.g. chunks of a file read with 'TextDecoderStream').
+ *
+ * @param {Iterable<string>|AsyncIterable<string>} chunks - The text chunks.
+ * @returns {AsyncGenerator<string>} An async iterator over the non-empty lines.
+ */
+async function* splitLines(chunks) {
+  let rest = '';
+
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split('\n');
+
+    rest = lines.pop();
+    yield* lines.filter(line => line.trim() !== '');
+  }
+  if (rest.trim() !== '') yield rest;
+}
+
+
+
+/**
+ * Read the encoded entries of any snapshot form accepted by 'importStore'.
+ *
+ * @param {Snapshot|string|Iterable<string>|AsyncIterable<string>} snapshot - The snapshot.
+ * @returns {AsyncGenerator<Array>} An async iterator over the encoded entries.
+ * @throws {Error} Throws an error if the snapshot is malformed.
+ */
+async function* snapshotEntries(snapshot) {
+  /**
+   * A string which is not a single JSON document (see 'importStore') is NDJSON text.
+   */
+  if (typeof snapshot === 'string') {
+    snapshot = [snapshot];
+  }
+
+  if (snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot) && !snapshot[Symbol.iterator] && !snapshot[Symbol.asyncIterator]) {
+    checkSnapshotHeader(snapshot);
+    /**
+     * A header without entries is what an NDJSON snapshot of an empty store looks like, once it is parsed as JSON.
+     */
+    if (snapshot.entries !== undefined && !Array.isArray(snapshot.entries)) {
+      throw new Error(`Error during importing into IndexedDB: The 'entries' of the snapshot must be an array!`);
+    }
+    yield* snapshot.entries || [];
+    return;
+  }
+
+  if (!snapshot || typeof snapshot !== 'object' || (!snapshot[Symbol.iterator] && !snapshot[Symbol.asyncIterator])) {
+    throw new Error(`Error during importing into IndexedDB: The data is not a snapshot made by 'exportStore'!`);
+  }
+
+  let headerRead = false;
+
+  for await (const line of splitLines(snapshot)) {
+    const parsed = JSON.parse(line);
+
+    if (!headerRead) {
+      checkSnapshotHeader(parsed);
+      headerRead = true;
+    } else {
+      yield parsed;
+    }
+  }
+  if (!headerRead) {
+    throw new Error(`Error during importing into IndexedDB: The snapshot is empty!`);
+  }
+}
+
+
+
+/**
+ * Whether a record exists inside the transaction, treating expired records as missing.
+ * 'count' doesn't read the value, unlike 'get', and tells a missing record apart from a stored 'undefined'.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key of the record.
+ * @returns {Promise<boolean>} A promise that resolves with 'true' if the record exists and has not expired.
+ */
+function hasValue(store, key) {
+  const expiryStore = expiryStoreOf(store);
+  const countPromise = promisifyRequest(store.count(key));
+
+  if (!expiryStore) return countPromise.then(count => count > 0);
+
+  const expiryPromise = promisifyRequest(expiryStore.get(key));
+
+  return Promise.all([countPromise, expiryPromise]).then(([count, expiry]) => count > 0 && !isExpired(expiry));
+}
+
+
+
+/**
+ * Write a chunk of decoded entries in one read-write transaction.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {Array} chunk - The entries as `[key, value]` or `[key, value, expiresAt]`.
+ * @param {'replace'|'merge'|'skipExisting'} mode - The import mode.
+ * @param {boolean} clearFirst - Whether to clear the store first (the first chunk of a 'replace' import).
+ * @returns {Promise<number>} A promise that resolves with the number of written entries, once the transaction has committed.
+ */
+function writeSnapshotChunk(customStore, chunk, mode, clearFirst) {
+  return encodeValues(customStore, chunk.map(entry => entry[1]), records => customStore('readwrite', async store => {
+    if (clearFirst) clearValues(store);
+
+    const existing = mode === 'skipExisting'
+      ? await Promise.all(chunk.map(([key]) => hasValue(store, key)))
+      : [];
+    /**
+     * Stores with a key path keep the key inside the value, so it must not be passed to 'put' separately.
+     * Expiry times are restored only if the store accepts them.
+     */
+    const inlineKeys = store.keyPath !== null;
+    const keepExpiry = !!expiryStoreOf(store);
+    let written = 0;
+
+    chunk.forEach(([key, , expiresAt], i) => {
+      if (existing[i]) return;
+
+      writeValue(store, inlineKeys ? undefined : key, records[i], keepExpiry && expiresAt !== undefined ? { expiresAt } : {});
+      written++;
+    });
+
+    await promisifyRequest(store.transaction);
+    return written;
+  }));
+}
+
+
+
+/**
+ * Import a snapshot made by 'exportStore' or 'exportStoreStream'.
+ * 
+ * Modes:
+ * - 'merge' (default): write every entry, overwriting existing ones with the same key (like 'setMany').
+ * - 'replace': clear the store, then write every entry. Afterwards the store holds exactly the snapshot.
+ * - 'skipExisting': write only the entries whose key is not in the store yet.
+ * 
+ * Entries are written in chunks of 'batchSize', each chunk in its own read-write transaction (atomic like 'setMany'), so large imports don't block the store for long.
+ * If a chunk fails, the promise rejects and the chunks written before it stay. For 'replace', the store is cleared in the same transaction as the first chunk.
+ *
+ * @example
+ * await importStore(customStore, await file.text(), {
+ *   mode: 'replace',
+ *   onProgress: ({ processed, total }) => console.log(`${processed} / ${total}`),
+ * });
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {Snapshot|string|Iterable<string>|AsyncIterable<string>} snapshot - The snapshot object, its JSON or NDJSON text, or an (async) iterable of NDJSON text chunks (e.g. from 'exportStoreStream' or a file stream).
+ * @param {{ mode?: 'replace'|'merge'|'skipExisting', batchSize?: number, onProgress?: (progress: { processed: number, written: number, total: number|undefined }) => void }} [options={}] - 
+ *        The import mode, the number of entries per transaction (500 by default), and a callback called after every chunk ('total' is known only for JSON snapshots).
+ * @returns {Promise<{ processed: number, written: number }>} A promise that resolves with the number of entries read from the snapshot and the number of entries written.
+ * @throws {Error} Throws an error if the options are invalid or the snapshot is malformed.
+ */
+export async function importStore(customStore, snapshot, options = {}) {
+  const { mode = 'merge', batchSize = 500, onProgress } = options;
+
+  if (!['replace', 'merge', 'skipExisting'].includes(mode)) {
+    throw new Error(`Error during importing into IndexedDB: 'mode' must be 'replace', 'merge' or 'skipExisting', got '${mode}'!`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Error during importing into IndexedDB: 'batchSize' must be a positive integer, got '${batchSize}'!`);
+  }
+
+  if (typeof snapshot === 'string') {
+    try {
+      snapshot = JSON.parse(snapshot);
+    } catch {
+      /**
+       * Not a single JSON document, so it's read as NDJSON.
+       */
+    }
+  }
+
+  const total = snapshot && Array.isArray(snapshot.entries) ? snapshot.entries.length : undefined;
+  const progress = { processed: 0, written: 0 };
+  let chunk = [];
+  let cleared = mode !== 'replace';
+
+  const flush = async () => {
+    progress.written += await writeSnapshotChunk(customStore, chunk, mode, !cleared);
+    progress.processed += chunk.length;
+    cleared = true;
+    chunk = [];
+
+    if (onProgress) onProgress({ ...progress, total });
+  };
+
+  for await (const entry of snapshotEntries(snapshot)) {
+    if (!Array.isArray(entry) || entry.length < 2) {
+      throw new Error(`Error during importing into IndexedDB: Every entry of the snapshot must be an array of '[key, value]'!`);
+    }
+    chunk.push([decodeSnapshotValue(entry[0]), decodeSnapshotValue(entry[1]), entry[2]]);
+
+    if (chunk.length === batchSize) await flush();
+  }
+
+  /**
+   * The last partial chunk. For 'replace', an empty snapshot still has to clear the store.
+   */
+  if (chunk.length > 0 || !cleared) await flush();
+
+  return progress;
+}
+
+
+
+/**
+ * In-memory backend.
+ * 
+ * The helpers of this library only ever talk to the 'IDBFactory' ('open', 'deleteDatabase', 'cmp') and to the objects it hands out 
+ * (databases, transactions, object stores, indexes, cursors and requests). 
+ * So a backend is any object with the 'IDBFactory' interface, and 'createMemoryBackend' implements one which keeps everything in memory.
+ * It follows the IndexedDB rules the helpers rely on:
+ * - keys are compared and ordered like 'indexedDB.cmp' (numbers < dates < strings < binary < arrays);
+ * - values are copied with 'structuredClone', so a stored value can't be changed from outside;
+ * - transactions run one after another, and requests of a transaction run in order, each in its own task;
+ * - a transaction commits once it has no pending requests, and a failed request (or 'abort()') rolls back all of its writes;
+ * - versions, 'upgradeneeded', 'versionchange' and 'blocked' work like in IndexedDB, so migrations work unchanged.
+ */
+
+
+
+/**
+ * Run a function in a new task, after the pending microtasks (like the events of IndexedDB).
+ * @type {(callback: () => void) => void}
+ */
+const scheduleTask = typeof setImmediate === 'function' ? setImmediate : callback => setTimeout(callback, 0);
+
+/**
+ * The order of the key types, as defined by IndexedDB.
+ */
+const KEY_TYPE_ORDER = { number: 0, date: 1, string: 2, binary: 3, array: 4 };
+
+/**
+ * Connections of the in-memory backend. Changes of their transactions are not posted to other tabs, because the data exists only in this one.
+ * @type {WeakSet<object>}
+ */
+const memoryConnections = new WeakSet();
+
+/**
+ * The in-memory backend which is used when IndexedDB is not available. It's created on first use and shared, like 'indexedDB' is.
+ * @type {object|null}
+ */
+let sharedMemoryBackend = null;
+
+
+
+/**
+ * Create the error IndexedDB would throw ('DOMException' where available, e.g. not in old Node versions).
+ *
+ * @param {string} name - The error name, e.g. 'DataError'.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function createDOMError(name, message) {
+  if (typeof DOMException !== 'undefined') return new DOMException(message, name);
+
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+
+
+/**
+ * Get the type of a valid IndexedDB key.
+ *
+ * @param {any} key - The key to check.
+ * @returns {'number'|'date'|'string'|'binary'|'array'|null} The key type, or 'null' if it is not a valid key.
+ */
+function keyTypeOf(key) {
+  if (typeof key === 'number') return Number.isNaN(key) ? null : 'number';
+  if (typeof key === 'string') return 'string';
+  if (key instanceof Date) return Number.isNaN(key.getTime()) ? null : 'date';
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return 'binary';
+  if (Array.isArray(key)) return key.every(item => keyTypeOf(item) !== null) ? 'array' : null;
+  return null;
+}
+
+
+
+/**
+ * Throw the 'DataError' of IndexedDB if the key is not valid.
+ *
+ * @param {any} key - The key to check.
+ * @throws {Error} Throws a 'DataError' for an invalid key.
+ */
+function assertValidKey(key) {
+  if (keyTypeOf(key) === null) {
+    throw createDOMError('DataError', 'The parameter is not a valid key.');
+  }
+}
+
+
+
+/**
+ * Get the bytes of a binary key.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} key - The binary key.
+ * @returns {Uint8Array} The bytes.
+ */
+function keyBytes(key) {
+  return key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+}
+
+
+
+/**
+ * Compare two keys like 'indexedDB.cmp'.
+ *
+ * @param {IDBValidKey} a - The first key.
+ * @param {IDBValidKey} b - The second key.
+ * @returns {-1|0|1} -1 if 'a' sorts before 'b', 1 if after, 0 if they are equal.
+ * @throws {Error} Throws a 'DataError' if one of the keys is not valid.
+ */
+function compareMemoryKeys(a, b) {
+  const typeA = keyTypeOf(a);
+  const typeB = keyTypeOf(b);
+
+  if (typeA === null || typeB === null) {
+    throw createDOMError('DataError', 'The parameter is not a valid key.');
+  }
+  if (typeA !== typeB) return KEY_TYPE_ORDER[typeA] < KEY_TYPE_ORDER[typeB] ? -1 : 1;
+
+  switch (typeA) {
+    case 'date':
+      return Math.sign(a.getTime() - b.getTime());
+    case 'binary': {
+      const bytesA = keyBytes(a);
+      const bytesB = keyBytes(b);
+
+      for (let i = 0; i < Math.min(bytesA.length, bytesB.length); i++) {
+        if (bytesA[i] !== bytesB[i]) return bytesA[i] < bytesB[i] ? -1 : 1;
+      }
+      return Math.sign(bytesA.length - bytesB.length);
+    }
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = compareMemoryKeys(a[i], b[i]);
+        if (order !== 0) return order;
+      }
+      return Math.sign(a.length - b.length);
+    default:
+      return a < b ? -1 : a > b ? 1 : 0;
+  }
+}
+
+
+
+/**
+ * Copy a key, so it can't be changed from outside. Binary keys come back as 'ArrayBuffer', like in IndexedDB.
+ *
+ * @param {IDBValidKey} key - The key.
+ * @returns {IDBValidKey} The copy.
+ */
+function copyKey(key) {
+  if (key instanceof Date) return new Date(key.getTime());
+  if (Array.isArray(key)) return key.map(copyKey);
+  if (keyTypeOf(key) === 'binary') return keyBytes(key).slice().buffer;
+  return key;
+}
+
+
+
+/**
+ * Copy a value like IndexedDB does when it stores or returns it.
+ *
+ * @param {any} value - The value.
+ * @returns {any} The copy.
+ * @throws {Error} Throws a 'DataCloneError' if the value can't be cloned (e.g. a function).
+ */
+function cloneValue(value) {
+  return typeof structuredClone === 'function' ? structuredClone(value) : value;
+}
+
+
+
+/**
+ * Key ranges of the in-memory backend, with the same factory methods as 'IDBKeyRange'.
+ * The backend accepts any object with 'lower', 'upper', 'lowerOpen' and 'upperOpen', so native key ranges work too.
+ */
+const MemoryKeyRange = {
+  only: key => MemoryKeyRange.bound(key, key),
+  lowerBound: (lower, open = false) => createMemoryKeyRange(lower, undefined, open, true),
+  upperBound: (upper, open = false) => createMemoryKeyRange(undefined, upper, true, open),
+  bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    assertValidKey(lower);
+    assertValidKey(upper);
+
+    const order = compareMemoryKeys(lower, upper);
+
+    if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+      throw createDOMError('DataError', 'The lower key is greater than the upper key, or the range is empty.');
+    }
+    return createMemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+  },
+};
+
+
+
+/**
+ * Create a key range of the in-memory backend.
+ *
+ * @param {IDBValidKey|undefined} lower - The lower bound, or 'undefined' if there is none.
+ * @param {IDBValidKey|undefined} upper - The upper bound, or 'undefined' if there is none.
+ * @param {boolean} lowerOpen - Whether the lower bound is excluded.
+ * @param {boolean} upperOpen - Whether the upper bound is excluded.
+ * @returns {object} The key range.
+ */
+function createMemoryKeyRange(lower, upper, lowerOpen, upperOpen) {
+  if (lower !== undefined) assertValidKey(lower);
+  if (upper !== undefined) assertValidKey(upper);
+
+  const range = {
+    lower: lower === undefined ? undefined : copyKey(lower),
+    upper: upper === undefined ? undefined : copyKey(upper),
+    lowerOpen,
+    upperOpen,
+    includes: key => rangeContains(range, key),
+  };
+  return Object.freeze(range);
+}
+
+
+
+/**
+ * Whether a key is within a key range (or equal to a key).
+ *
+ * @param {object|null} range - The key range, or 'null' for every key.
+ * @param {IDBValidKey} key - The key.
+ * @returns {boolean} 'true' if the key is within the range.
+ */
+function rangeContains(range, key) {
+  if (range === null) return true;
+
+  if (range.lower !== undefined) {
+    const order = compareMemoryKeys(key, range.lower);
+    if (order < 0 || (order === 0 && range.lowerOpen)) return false;
+  }
+  if (range.upper !== undefined) {
+    const order = compareMemoryKeys(key, range.upper);
+    if (order > 0 || (order === 0 && range.upperOpen)) return false;
+  }
+  return true;
+}
+
+
+
+/**
+ * Turn the query argument of a request (a key, a key range, or nothing) into a key range.
+ *
+ * @param {any} query - The query.
+ * @param {boolean} [required=false] - Whether the query is required (e.g. for 'delete').
+ * @returns {object|null} The key range, or 'null' for every key.
+ * @throws {Error} Throws a 'DataError' if the query is neither a key nor a key range.
+ */
+function toMemoryRange(query, required = false) {
+  if ((query === undefined || query === null) && !required) return null;
+  if (isKeyRange(query)) return query;
+
+  assertValidKey(query);
+  return createMemoryKeyRange(query, query, false, false);
+}
+
+
+
+/**
+ * Find the first position in a sorted array for which 'isBefore' is false.
+ *
+ * @param {Array} items - The sorted items.
+ * @param {(item: any) => boolean} isBefore - 'true' for the items before the position. Must be monotonous.
+ * @returns {number} The position.
+ */
+function bisect(items, isBefore) {
+  let low = 0;
+  let high = items.length;
+
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+
+    if (isBefore(items[middle])) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+
+
+/**
+ * Evaluate a key path on a value.
+ *
+ * @param {any} value - The value.
+ * @param {string|string[]} keyPath - The key path.
+ * @returns {any} The key (not validated), or 'undefined' if the path doesn't exist.
+ */
+function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) return keyPath.map(path => evaluateKeyPath(value, path));
+  if (keyPath === '') return value;
+
+  let current = value;
+
+  for (const name of keyPath.split('.')) {
+    if (current === null || current === undefined || (typeof current !== 'object' && typeof current !== 'string') || !(name in Object(current))) {
+      return undefined;
+    }
+    current = current[name];
+  }
+  return current;
+}
+
+
+
+/**
+ * Write a generated key into a value at the key path, creating the missing objects on the way.
+ *
+ * @param {any} value - The value (already cloned).
+ * @param {string} keyPath - The key path.
+ * @param {number} key - The generated key.
+ * @throws {Error} Throws a 'DataError' if the key can't be written into the value.
+ */
+function injectKey(value, keyPath, key) {
+  const names = keyPath.split('.');
+  let current = value;
+
+  names.forEach((name, i) => {
+    if (current === null || typeof current !== 'object') {
+      throw createDOMError('DataError', `The generated key can't be written into the value at '${keyPath}'.`);
+    }
+    if (i === names.length - 1) {
+      current[name] = key;
+    } else {
+      if (current[name] === undefined) current[name] = {};
+      current = current[name];
+    }
+  });
+}
+
+
+
+/**
+ * Create a tiny event target for the objects of the in-memory backend.
+ * Listeners are called with 'this' set to the target, and the 'on<type>' handler is called before them, like in the DOM.
+ *
+ * @param {object} target - The object which gets 'addEventListener' and 'removeEventListener'.
+ * @returns {(type: string, properties?: object) => object} A function which dispatches an event and returns it.
+ */
+function makeEventTarget(target) {
+  const listeners = new Map();
+
+  target.addEventListener = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+  };
+  target.removeEventListener = (type, listener) => {
+    if (listeners.has(type)) listeners.get(type).delete(listener);
+  };
+
+  return (type, properties = {}) => {
+    const event = {
+      type,
+      target,
+      currentTarget: target,
+      defaultPrevented: false,
+      preventDefault() { event.defaultPrevented = true; },
+      ...properties,
+    };
+    const handlers = [target[`on${type}`], ...(listeners.get(type) || [])].filter(handler => typeof handler === 'function');
+
+    handlers.forEach(handler => handler.call(target, event));
+    return event;
+  };
+}
+
+
+
+/**
+ * Create a list of names like 'DOMStringList' (sorted, with 'contains' and 'item').
+ *
+ * @param {Iterable<string>} names - The names.
+ * @returns {string[] & { contains: (name: string) => boolean, item: (index: number) => string|null }} The list.
+ */
+function createNameList(names) {
+  const list = [...names].sort();
+
+  list.contains = name => list.includes(name);
+  list.item = index => list[index] ?? null;
+  return list;
+}
+
+
+
+/**
+ * Create an in-memory backend with the 'IDBFactory' interface ('open', 'deleteDatabase', 'cmp').
+ * 
+ * Every backend has its own databases, so two backends never share data. The data lives as long as the backend (e.g. until the page is reloaded).
+ * Pass it to 'createDatabase' with the 'backend' option, or use 'createMemoryStore'.
+ *
+ * @example
+ * const db = createDatabase('app', { stores: { users: null }, backend: createMemoryBackend() });
+ *
+ * @returns {{ open: (name: string, version?: number) => object, deleteDatabase: (name: string) => object, cmp: (a: IDBValidKey, b: IDBValidKey) => number, databases: () => Promise<{ name: string, version: number }[]> }} The backend.
+ */
+export function createMemoryBackend() {
+  /**
+   * The databases by name. Each one is '{ name, version, stores: Map<string, StoreData>, connections: Set, queue: [], opening: Promise }'.
+   */
+  const dataBases = new Map();
+
+  const getDataBase = (name) => {
+    if (!dataBases.has(name)) {
+      dataBases.set(name, { name, version: 0, stores: new Map(), connections: new Set(), queue: [], opening: Promise.resolve() });
+    }
+    return dataBases.get(name);
+  };
+
+  /**
+   * Ask the other connections to close, and wait until they do. Fires 'blocked' on the request while they don't.
+   */
+  const waitForOtherConnections = (dataBase, request, oldVersion, newVersion) => new Promise((resolve) => {
+    const open = () => [...dataBase.connections].filter(connection => !connection.closePending);
+
+    open().forEach(connection => connection.dispatch('versionchange', { oldVersion, newVersion }));
+
+    if (open().length === 0) {
+      resolve();
+      return;
+    }
+    request.dispatch('blocked', { oldVersion, newVersion });
+    dataBase.onConnectionClosed = () => {
+      if (open().length > 0) return;
+
+      dataBase.onConnectionClosed = null;
+      resolve();
+    };
+  });
+
+  const createRequest = () => {
+    const request = { result: undefined, error: null, readyState: 'pending', source: null, transaction: null, onsuccess: null, onerror: null, onupgradeneeded: null, onblocked: null };
+
+    request.dispatch = makeEventTarget(request);
+    return request;
+  };
+
+  const nextTask = () => new Promise(resolve => scheduleTask(resolve));
+
+  return {
+    cmp: compareMemoryKeys,
+
+    async databases() {
+      return [...dataBases.values()].filter(dataBase => dataBase.version > 0).map(({ name, version }) => ({ name, version }));
+    },
+
+    open(name, version) {
+      if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+        throw new TypeError(`The version must be a positive integer, got '${version}'.`);
+      }
+      const request = createRequest();
+      const dataBase = getDataBase(String(name));
+      /**
+       * Opens of one database are handled one after another, like in IndexedDB.
+       */
+      dataBase.opening = dataBase.opening.then(nextTask).then(async () => {
+        const oldVersion = dataBase.version;
+        const newVersion = version === undefined ? Math.max(oldVersion, 1) : version;
+
+        request.readyState = 'done';
+
+        if (newVersion < oldVersion) {
+          request.error = createDOMError('VersionError', `The requested version (${newVersion}) is less than the existing version (${oldVersion}).`);
+          request.dispatch('error');
+          return;
+        }
+
+        if (newVersion === oldVersion) {
+          request.result = createMemoryConnection(dataBase);
+          request.dispatch('success');
+          return;
+        }
+
+        await waitForOtherConnections(dataBase, request, oldVersion, newVersion);
+        /**
+         * The upgrade runs in a 'versionchange' transaction. If it aborts, its undo steps restore the stores, and the version is restored here.
+         */
+        const connection = createMemoryConnection(dataBase);
+        const upgrade = createMemoryTransaction(connection, [...dataBase.stores.keys()], 'versionchange');
+
+        connection.upgradeTransaction = upgrade;
+        dataBase.version = newVersion;
+        request.result = connection;
+        request.transaction = upgrade;
+
+        await new Promise((resolve) => {
+          upgrade.addEventListener('complete', () => {
+            connection.upgradeTransaction = null;
+            request.transaction = null;
+            resolve();
+            request.dispatch('success');
+          });
+          upgrade.addEventListener('abort', () => {
+            dataBase.version = oldVersion;
+            connection.upgradeTransaction = null;
+            connection.close();
+            request.result = undefined;
+            request.transaction = null;
+            request.error = createDOMError('AbortError', 'The upgrade transaction was aborted.');
+            resolve();
+            request.dispatch('error');
+          });
+
+          request.dispatch('upgradeneeded', { oldVersion, newVersion });
+        });
+      });
+
+      return request;
+    },
+
+    deleteDatabase(name) {
+      const request = createRequest();
+      const dataBase = getDataBase(String(name));
+
+      dataBase.opening = dataBase.opening.then(nextTask).then(async () => {
+        const oldVersion = dataBase.version;
+
+        await waitForOtherConnections(dataBase, request, oldVersion, null);
+        dataBases.delete(dataBase.name);
+        request.readyState = 'done';
+        request.dispatch('success', { oldVersion, newVersion: null });
+      });
+
+      return request;
+    },
+  };
+}
+
+
+
+/**
+ * Create a connection to an in-memory database (the 'IDBDatabase' of the in-memory backend).
+ *
+ * @param {object} dataBase - The database data of the backend.
+ * @returns {object} The connection.
+ */
+function createMemoryConnection(dataBase) {
+  const connection = {
+    name: dataBase.name,
+    get version() { return dataBase.version; },
+    get objectStoreNames() { return createNameList(dataBase.stores.keys()); },
+    onversionchange: null,
+    onclose: null,
+    onabort: null,
+    onerror: null,
+    closePending: false,
+    upgradeTransaction: null,
+
+    transaction(scope, mode = 'readonly') {
+      if (connection.closePending) {
+        throw createDOMError('InvalidStateError', 'The database connection is closing.');
+      }
+      if (connection.upgradeTransaction) {
+        throw createDOMError('InvalidStateError', 'A version change transaction is running.');
+      }
+      if (mode !== 'readonly' && mode !== 'readwrite') {
+        throw new TypeError(`The transaction mode must be 'readonly' or 'readwrite', got '${mode}'.`);
+      }
+
+      const names = [...new Set(typeof scope === 'string' ? [scope] : scope)];
+
+      if (names.length === 0) {
+        throw createDOMError('InvalidAccessError', 'The scope of the transaction is empty.');
+      }
+      names.forEach((name) => {
+        if (!dataBase.stores.has(name)) {
+          throw createDOMError('NotFoundError', `The object store '${name}' was not found.`);
+        }
+      });
+      return createMemoryTransaction(connection, names, mode);
+    },
+
+    createObjectStore(name, options = {}) {
+      const upgrade = connection.upgradeTransaction;
+
+      if (!upgrade) {
+        throw createDOMError('InvalidStateError', 'Object stores can only be created during an upgrade.');
+      }
+      if (dataBase.stores.has(name)) {
+        throw createDOMError('ConstraintError', `The object store '${name}' already exists.`);
+      }
+
+      const { keyPath = null, autoIncrement = false } = options || {};
+
+      if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) {
+        throw createDOMError('InvalidAccessError', 'An auto-increment store can\'t have an empty or an array key path.');
+      }
+      dataBase.stores.set(name, { name, keyPath, autoIncrement: !!autoIncrement, currentKey: 1, records: [], indexes: new Map(), revision: 0 });
+      upgrade.addUndoStep(() => dataBase.stores.delete(name));
+      upgrade.addToScope(name);
+      return upgrade.objectStore(name);
+    },
+
+    deleteObjectStore(name) {
+      if (!connection.upgradeTransaction) {
+        throw createDOMError('InvalidStateError', 'Object stores can only be deleted during an upgrade.');
+      }
+      const data = dataBase.stores.get(name);
+
+      if (!data) {
+        throw createDOMError('NotFoundError', `The object store '${name}' was not found.`);
+      }
+      dataBase.stores.delete(name);
+      connection.upgradeTransaction.addUndoStep(() => dataBase.stores.set(name, data));
+    },
+
+    close() {
+      if (connection.closePending) return;
+
+      connection.closePending = true;
+      dataBase.connections.delete(connection);
+      if (dataBase.onConnectionClosed) dataBase.onConnectionClosed();
+    },
+  };
+
+  connection.dispatch = makeEventTarget(connection);
+  connection.dataBase = dataBase;
+  dataBase.connections.add(connection);
+  memoryConnections.add(connection);
+  return connection;
+}
+
+
+
+/**
+ * Create a transaction of the in-memory backend.
+ * 
+ * Transactions of one database run one after another (a simple but correct way to isolate them).
+ * Every write keeps an undo step, so an abort restores the previous state.
+ *
+ * @param {object} connection - The connection.
+ * @param {string[]} scope - The names of the object stores.
+ * @param {'readonly'|'readwrite'|'versionchange'} mode - The transaction mode.
+ * @returns {object} The transaction.
+ */
+function createMemoryTransaction(connection, scope, mode) {
+  const { dataBase } = connection;
+  /**
+   * The pending requests: '{ request, operation }', where 'operation' returns the result or throws an error.
+   */
+  const requests = [];
+  const undoSteps = [];
+  const storeHandles = new Map();
+  let started = false;
+  let finished = false;
+  let scheduled = false;
+
+  const transaction = {
+    db: connection,
+    mode,
+    error: null,
+    durability: 'default',
+    oncomplete: null,
+    onerror: null,
+    onabort: null,
+    get objectStoreNames() { return createNameList(scope); },
+
+    objectStore(name) {
+      if (finished) {
+        throw createDOMError('InvalidStateError', 'The transaction has finished.');
+      }
+      if (!scope.includes(name) || !dataBase.stores.has(name)) {
+        throw createDOMError('NotFoundError', `The object store '${name}' is not in the scope of the transaction.`);
+      }
+      if (!storeHandles.has(name)) {
+        storeHandles.set(name, createMemoryObjectStore(transaction, name));
+      }
+      return storeHandles.get(name);
+    },
+
+    abort() {
+      if (finished) {
+        throw createDOMError('InvalidStateError', 'The transaction has already finished.');
+      }
+      fail(createDOMError('AbortError', 'The transaction was aborted.'), false);
+    },
+
+    commit() {
+      if (finished) {
+        throw createDOMError('InvalidStateError', 'The transaction has already finished.');
+      }
+      transaction.commitPending = true;
+    },
+
+    /**
+     * Used by 'createObjectStore' during an upgrade.
+     */
+    addToScope(name) {
+      if (!scope.includes(name)) scope.push(name);
+    },
+
+    /**
+     * Queue a request. The operation runs once all earlier requests of the transaction have run.
+     */
+    queue(request, operation) {
+      if (finished || transaction.commitPending) {
+        throw createDOMError('TransactionInactiveError', 'The transaction has finished.');
+      }
+      if (mode === 'readonly' && operation.writes) {
+        throw createDOMError('ReadOnlyError', 'The transaction is read-only.');
+      }
+      request.readyState = 'pending';
+      requests.push({ request, operation });
+      schedule();
+      return request;
+    },
+
+    addUndoStep(step) {
+      undoSteps.push(step);
+    },
+
+    isFinished: () => finished,
+  };
+
+  const dispatch = makeEventTarget(transaction);
+
+  /**
+   * Start the next transaction of the database.
+   */
+  const release = () => {
+    dataBase.queue.shift();
+    if (dataBase.queue.length > 0) dataBase.queue[0].start();
+  };
+
+  /**
+   * Roll back and report the abort.
+   * @param {Error} error - The reason.
+   * @param {boolean} isRequestError - Whether a failed request caused it ('transaction.error' is then that request's error).
+   */
+  const fail = (error, isRequestError) => {
+    finished = true;
+    transaction.error = isRequestError || error.name !== 'AbortError' ? error : null;
+
+    while (undoSteps.length > 0) undoSteps.pop()();
+
+    const pending = requests.splice(0);
+
+    scheduleTask(() => {
+      pending.forEach(({ request }) => {
+        request.readyState = 'done';
+        request.result = undefined;
+        request.error = createDOMError('AbortError', 'The transaction was aborted.');
+        request.dispatch('error');
+      });
+      dispatch('abort');
+      /**
+       * A transaction which was aborted before it started just leaves the queue.
+       */
+      if (started) {
+        release();
+      } else {
+        dataBase.queue.splice(dataBase.queue.indexOf(transaction), 1);
+      }
+    });
+  };
+
+  const schedule = () => {
+    if (scheduled || !started || finished) return;
+
+    scheduled = true;
+    scheduleTask(step);
+  };
+
+  /**
+   * Run the next request, or commit when there is none left.
+   */
+  const step = () => {
+    scheduled = false;
+
+    if (finished) return;
+
+    if (requests.length === 0) {
+      finished = true;
+      undoSteps.length = 0;
+      dispatch('complete');
+      release();
+      return;
+    }
+
+    const { request, operation } = requests.shift();
+
+    request.readyState = 'done';
+    try {
+      request.result = operation();
+      request.error = null;
+    } catch (error) {
+      request.result = undefined;
+      request.error = error;
+    }
+
+    try {
+      if (request.error) {
+        /**
+         * A failed request aborts the transaction, unless an 'error' handler calls 'preventDefault()'.
+         */
+        const event = request.dispatch('error');
+        const bubbled = dispatch('error', { target: request });
+
+        if (!event.defaultPrevented && !bubbled.defaultPrevented) {
+          fail(request.error, true);
+          return;
+        }
+      } else {
+        request.dispatch('success');
+      }
+    } catch (error) {
+      /**
+       * An exception in an event handler aborts the transaction, like in IndexedDB.
+       */
+      fail(error, true);
+      return;
+    }
+    schedule();
+  };
+
+  /**
+   * Once started, the transaction runs its requests, or commits right away if the caller doesn't make any.
+   */
+  transaction.start = () => {
+    started = true;
+    schedule();
+  };
+
+  dataBase.queue.push(transaction);
+  if (dataBase.queue.length === 1) transaction.start();
+
+  return transaction;
+}
+
+
+
+/**
+ * Create a request of the in-memory backend.
+ *
+ * @param {object} source - The object store, index or cursor which made the request.
+ * @param {object} transaction - The transaction.
+ * @returns {object} The request.
+ */
+function createMemoryRequest(source, transaction) {
+  const request = { result: undefined, error: null, readyState: 'pending', source, transaction, onsuccess: null, onerror: null };
+
+  request.dispatch = makeEventTarget(request);
+  return request;
+}
+
+
+
+/**
+ * Get the store data of the database, or throw if the store was deleted.
+ *
+ * @param {object} transaction - The transaction.
+ * @param {string} name - The object store name.
+ * @returns {object} The store data.
+ */
+function memoryStoreData(transaction, name) {
+  const data = transaction.db.dataBase.stores.get(name);
+
+  if (!data) {
+    throw createDOMError('InvalidStateError', `The object store '${name}' has been deleted.`);
+  }
+  return data;
+}
+
+
+
+/**
+ * Get the sorted entries of an index: '{ key, primaryKey, record }', ordered by index key, then by primary key.
+ * The entries are cached until the store changes.
+ *
+ * @param {object} data - The store data.
+ * @param {object} index - The index definition.
+ * @returns {object[]} The entries.
+ */
+function memoryIndexEntries(data, index) {
+  if (index.cache && index.cache.revision === data.revision) return index.cache.entries;
+
+  const entries = [];
+
+  data.records.forEach((record) => {
+    const indexKey = evaluateKeyPath(record.value, index.keyPath);
+
+    if (index.multiEntry && Array.isArray(indexKey)) {
+      const unique = [];
+
+      indexKey.forEach((item) => {
+        if (keyTypeOf(item) !== null && !unique.some(other => compareMemoryKeys(other, item) === 0)) unique.push(item);
+      });
+      unique.forEach(item => entries.push({ key: item, primaryKey: record.key, record }));
+    } else if (keyTypeOf(indexKey) !== null) {
+      entries.push({ key: indexKey, primaryKey: record.key, record });
+    }
+  });
+
+  entries.sort((a, b) => compareMemoryKeys(a.key, b.key) || compareMemoryKeys(a.primaryKey, b.primaryKey));
+  index.cache = { revision: data.revision, entries };
+  return entries;
+}
+
+
+
+/**
+ * Check the unique indexes before writing a record.
+ *
+ * @param {object} data - The store data.
+ * @param {IDBValidKey} key - The primary key of the record.
+ * @param {any} value - The value of the record.
+ * @throws {Error} Throws a 'ConstraintError' if another record has the same key in a unique index.
+ */
+function checkUniqueIndexes(data, key, value) {
+  data.indexes.forEach((index) => {
+    if (!index.unique) return;
+
+    const indexKey = evaluateKeyPath(value, index.keyPath);
+    const indexKeys = index.multiEntry && Array.isArray(indexKey) ? indexKey : [indexKey];
+
+    indexKeys.filter(item => keyTypeOf(item) !== null).forEach((item) => {
+      const conflict = memoryIndexEntries(data, index).some(entry => compareMemoryKeys(entry.key, item) === 0 && compareMemoryKeys(entry.primaryKey, key) !== 0);
+
+      if (conflict) {
+        throw createDOMError('ConstraintError', `The unique index '${index.name}' already contains the key.`);
+      }
+    });
+  });
+}
+
+
+
+/**
+ * Write a record into the store data, with an undo step.
+ *
+ * @param {object} transaction - The transaction.
+ * @param {object} data - The store data.
+ * @param {IDBValidKey} key - The key.
+ * @param {any} value - The value (already cloned).
+ */
+function putMemoryRecord(transaction, data, key, value) {
+  const position = bisect(data.records, record => compareMemoryKeys(record.key, key) < 0);
+  const existing = data.records[position] && compareMemoryKeys(data.records[position].key, key) === 0 ? data.records[position] : null;
+  const record = { key: copyKey(key), value };
+
+  if (existing) {
+    data.records[position] = record;
+  } else {
+    data.records.splice(position, 0, record);
+  }
+  data.revision++;
+
+  transaction.addUndoStep(() => {
+    const index = bisect(data.records, item => compareMemoryKeys(item.key, key) < 0);
+
+    if (existing) {
+      data.records[index] = existing;
+    } else {
+      data.records.splice(index, 1);
+    }
+    data.revision++;
+  });
+}
+
+
+
+/**
+ * Delete the records within a key range from the store data, with an undo step.
+ *
+ * @param {object} transaction - The transaction.
+ * @param {object} data - The store data.
+ * @param {object|null} range - The key range, or 'null' for every record.
+ */
+function deleteMemoryRecords(transaction, data, range) {
+  const before = data.records;
+
+  data.records = before.filter(record => !rangeContains(range, record.key));
+
+  if (data.records.length !== before.length) {
+    data.revision++;
+    transaction.addUndoStep(() => {
+      data.records = before;
+      data.revision++;
+    });
+  } else {
+    data.records = before;
+  }
+}
+
+
+
+/**
+ * Find the records of the store data within a key range, in key order.
+ *
+ * @param {object} data - The store data.
+ * @param {object|null} range - The key range, or 'null' for every record.
+ * @param {number} [count] - The maximum number of records ('0' or 'undefined' for all of them).
+ * @returns {object[]} The records.
+ */
+function findMemoryRecords(data, range, count) {
+  const start = range && range.lower !== undefined
+    ? bisect(data.records, record => compareMemoryKeys(record.key, range.lower) < (range.lowerOpen ? 1 : 0))
+    : 0;
+  const found = [];
+
+  for (let i = start; i < data.records.length && (!count || found.length < count); i++) {
+    if (!rangeContains(range, data.records[i].key)) {
+      if (range && range.upper !== undefined && compareMemoryKeys(data.records[i].key, range.upper) >= 0) break;
+      continue;
+    }
+    found.push(data.records[i]);
+  }
+  return found;
+}
+
+
+
+/**
+ * Create an object store handle of the in-memory backend (the 'IDBObjectStore' of one transaction).
+ *
+ * @param {object} transaction - The transaction.
+ * @param {string} name - The object store name.
+ * @returns {object} The object store.
+ */
+function createMemoryObjectStore(transaction, name) {
+  const data = () => memoryStoreData(transaction, name);
+  const indexHandles = new Map();
+
+  /**
+   * Make a request which runs 'operation' in order within the transaction.
+   */
+  const request = (operation, writes = false) => {
+    operation.writes = writes;
+    return transaction.queue(createMemoryRequest(store, transaction), operation);
+  };
+
+  /**
+   * The shared part of 'put' and 'add'.
+   */
+  const write = (value, key, overwrite) => {
+    const { keyPath, autoIncrement } = data();
+
+    if (keyPath !== null && key !== undefined) {
+      throw createDOMError('DataError', 'The object store uses in-line keys and the key parameter was provided.');
+    }
+    if (keyPath === null && !autoIncrement && key === undefined) {
+      throw createDOMError('DataError', 'The object store uses out-of-line keys and has no key generator, but the key parameter was not provided.');
+    }
+
+    const copy = cloneValue(value);
+    let ownKey = keyPath !== null ? evaluateKeyPath(copy, keyPath) : key;
+
+    if (ownKey !== undefined || !autoIncrement) assertValidKey(ownKey);
+
+    return request(() => {
+      const storeData = data();
+
+      if (ownKey === undefined) {
+        ownKey = storeData.currentKey;
+        if (keyPath !== null) injectKey(copy, keyPath, ownKey);
+      }
+      if (!overwrite && findMemoryRecords(storeData, toMemoryRange(ownKey)).length > 0) {
+        throw createDOMError('ConstraintError', 'A record with the key already exists.');
+      }
+      checkUniqueIndexes(storeData, ownKey, copy);
+      /**
+       * The key generator moves past numeric keys, and is restored on abort.
+       */
+      if (storeData.autoIncrement && typeof ownKey === 'number' && ownKey >= storeData.currentKey) {
+        const previous = storeData.currentKey;
+
+        storeData.currentKey = Math.floor(ownKey) + 1;
+        transaction.addUndoStep(() => { storeData.currentKey = previous; });
+      }
+      putMemoryRecord(transaction, storeData, ownKey, copy);
+      return copyKey(ownKey);
+    }, true);
+  };
+
+  const store = {
+    name,
+    transaction,
+    get keyPath() { return data().keyPath; },
+    get autoIncrement() { return data().autoIncrement; },
+    get indexNames() { return createNameList(data().indexes.keys()); },
+
+    put: (value, key) => write(value, key, true),
+    add: (value, key) => write(value, key, false),
+
+    get(query) {
+      const range = toMemoryRange(query, true);
+      return request(() => {
+        const [record] = findMemoryRecords(data(), range, 1);
+        return record ? cloneValue(record.value) : undefined;
+      });
+    },
+
+    getKey(query) {
+      const range = toMemoryRange(query, true);
+      return request(() => {
+        const [record] = findMemoryRecords(data(), range, 1);
+        return record ? copyKey(record.key) : undefined;
+      });
+    },
+
+    getAll(query, count) {
+      const range = toMemoryRange(query);
+      return request(() => findMemoryRecords(data(), range, count).map(record => cloneValue(record.value)));
+    },
+
+    getAllKeys(query, count) {
+      const range = toMemoryRange(query);
+      return request(() => findMemoryRecords(data(), range, count).map(record => copyKey(record.key)));
+    },
+
+    count(query) {
+      const range = toMemoryRange(query);
+      return request(() => findMemoryRecords(data(), range).length);
+    },
+
+    delete(query) {
+      const range = toMemoryRange(query, true);
+      return request(() => { deleteMemoryRecords(transaction, data(), range); }, true);
+    },
+
+    clear() {
+      return request(() => { deleteMemoryRecords(transaction, data(), null); }, true);
+    },
+
+    openCursor: (query, direction) => openMemoryCursor(store, transaction, () => data().records.map(record => ({ key: record.key, primaryKey: record.key, record })), query, direction, true),
+    openKeyCursor: (query, direction) => openMemoryCursor(store, transaction, () => data().records.map(record => ({ key: record.key, primaryKey: record.key, record })), query, direction, false),
+
+    index(indexName) {
+      if (transaction.isFinished()) {
+        throw createDOMError('InvalidStateError', 'The transaction has finished.');
+      }
+      if (!data().indexes.has(indexName)) {
+        throw createDOMError('NotFoundError', `The index '${indexName}' was not found.`);
+      }
+      if (!indexHandles.has(indexName)) {
+        indexHandles.set(indexName, createMemoryIndex(store, transaction, data, indexName));
+      }
+      return indexHandles.get(indexName);
+    },
+
+    createIndex(indexName, keyPath, options = {}) {
+      if (transaction.mode !== 'versionchange') {
+        throw createDOMError('InvalidStateError', 'Indexes can only be created during an upgrade.');
+      }
+      const storeData = data();
+
+      if (storeData.indexes.has(indexName)) {
+        throw createDOMError('ConstraintError', `The index '${indexName}' already exists.`);
+      }
+      if (options.multiEntry && Array.isArray(keyPath)) {
+        throw createDOMError('InvalidAccessError', 'A multi-entry index can\'t have an array key path.');
+      }
+
+      const index = { name: indexName, keyPath, unique: !!options.unique, multiEntry: !!options.multiEntry, cache: null };
+
+      storeData.indexes.set(indexName, index);
+      transaction.addUndoStep(() => storeData.indexes.delete(indexName));
+      /**
+       * Existing records which break the unique constraint abort the upgrade.
+       */
+      if (index.unique) {
+        const entries = memoryIndexEntries(storeData, index);
+
+        if (entries.some((entry, i) => i > 0 && compareMemoryKeys(entries[i - 1].key, entry.key) === 0)) {
+          request(() => { throw createDOMError('ConstraintError', `The existing records break the unique index '${indexName}'.`); });
+        }
+      }
+      return store.index(indexName);
+    },
+
+    deleteIndex(indexName) {
+      if (transaction.mode !== 'versionchange') {
+        throw createDOMError('InvalidStateError', 'Indexes can only be deleted during an upgrade.');
+      }
+      const storeData = data();
+      const index = storeData.indexes.get(indexName);
+
+      if (!index) {
+        throw createDOMError('NotFoundError', `The index '${indexName}' was not found.`);
+      }
+      storeData.indexes.delete(indexName);
+      transaction.addUndoStep(() => storeData.indexes.set(indexName, index));
+    },
+  };
+
+  return store;
+}
+
+
+
+/**
+ * Create an index handle of the in-memory backend (the 'IDBIndex' of one transaction).
+ *
+ * @param {object} store - The object store handle.
+ * @param {object} transaction - The transaction.
+ * @param {() => object} data - Returns the store data.
+ * @param {string} name - The index name.
+ * @returns {object} The index.
+ */
+function createMemoryIndex(store, transaction, data, name) {
+  const definition = () => data().indexes.get(name);
+  const entries = () => memoryIndexEntries(data(), definition());
+  const find = (range, count) => {
+    const found = [];
+
+    for (const entry of entries()) {
+      if (count && found.length >= count) break;
+      if (rangeContains(range, entry.key)) found.push(entry);
+    }
+    return found;
+  };
+  const request = operation => transaction.queue(createMemoryRequest(index, transaction), operation);
+
+  const index = {
+    name,
+    objectStore: store,
+    get keyPath() { return definition().keyPath; },
+    get unique() { return definition().unique; },
+    get multiEntry() { return definition().multiEntry; },
+
+    get(query) {
+      const range = toMemoryRange(query, true);
+      return request(() => {
+        const [entry] = find(range, 1);
+        return entry ? cloneValue(entry.record.value) : undefined;
+      });
+    },
+
+    getKey(query) {
+      const range = toMemoryRange(query, true);
+      return request(() => {
+        const [entry] = find(range, 1);
+        return entry ? copyKey(entry.primaryKey) : undefined;
+      });
+    },
+
+    getAll(query, count) {
+      const range = toMemoryRange(query);
+      return request(() => find(range, count).map(entry => cloneValue(entry.record.value)));
+    },
+
+    getAllKeys(query, count) {
+      const range = toMemoryRange(query);
+      return request(() => find(range, count).map(entry => copyKey(entry.primaryKey)));
+    },
+
+    count(query) {
+      const range = toMemoryRange(query);
+      return request(() => find(range).length);
+    },
+
+    openCursor: (query, direction) => openMemoryCursor(index, transaction, entries, query, direction, true),
+    openKeyCursor: (query, direction) => openMemoryCursor(index, transaction, entries, query, direction, false),
+  };
+
+  return index;
+}
+
+
+
+/**
+ * Open a cursor of the in-memory backend.
+ * 
+ * The cursor is live like in IndexedDB: every step looks for the next entry after the current position in the current data, 
+ * so records written or deleted during the iteration are taken into account.
+ *
+ * @param {object} source - The object store or index handle.
+ * @param {object} transaction - The transaction.
+ * @param {() => object[]} getEntries - Returns the sorted entries '{ key, primaryKey, record }' of the source.
+ * @param {any} query - The key or key range.
+ * @param {IDBCursorDirection} [direction='next'] - The direction.
+ * @param {boolean} withValue - Whether the cursor has 'value' ('openCursor') or not ('openKeyCursor').
+ * @returns {object} The request. Its result is the cursor, or 'null' once the end is reached.
+ */
+function openMemoryCursor(source, transaction, getEntries, query, direction = 'next', withValue) {
+  if (!['next', 'nextunique', 'prev', 'prevunique'].includes(direction)) {
+    throw new TypeError(`The cursor direction must be 'next', 'nextunique', 'prev' or 'prevunique', got '${direction}'.`);
+  }
+
+  const range = toMemoryRange(query);
+  const forward = direction.startsWith('next');
+  const unique = direction.endsWith('unique');
+  const request = createMemoryRequest(source, transaction);
+  const store = source.objectStore || source;
+  /**
+   * The position of the cursor: the index key and the primary key of the current entry.
+   */
+  let position = null;
+  let gotValue = false;
+
+  /**
+   * Compare an entry with the current position.
+   */
+  const compareToPosition = entry => compareMemoryKeys(entry.key, position.key) || (unique ? 0 : compareMemoryKeys(entry.primaryKey, position.primaryKey));
+
+  /**
+   * Compare an entry with the target of 'continue' (an index key) or 'continuePrimaryKey' (an index key and a primary key).
+   */
+  const compareToTarget = (entry, targetKey, targetPrimaryKey) => (
+    compareMemoryKeys(entry.key, targetKey) || (targetPrimaryKey === undefined ? 0 : compareMemoryKeys(entry.primaryKey, targetPrimaryKey))
+  );
+
+  const findNext = (targetKey, targetPrimaryKey) => {
+    const entries = getEntries();
+
+    if (forward) {
+      let start = range && range.lower !== undefined
+        ? bisect(entries, entry => compareMemoryKeys(entry.key, range.lower) < (range.lowerOpen ? 1 : 0))
+        : 0;
+      if (position) start = Math.max(start, bisect(entries, entry => compareToPosition(entry) <= 0));
+      if (targetKey !== undefined) start = Math.max(start, bisect(entries, entry => compareToTarget(entry, targetKey, targetPrimaryKey) < 0));
+
+      const entry = entries[start];
+      return entry && rangeContains(range, entry.key) ? entry : null;
+    }
+
+    let end = range && range.upper !== undefined
+      ? bisect(entries, entry => compareMemoryKeys(entry.key, range.upper) < (range.upperOpen ? 0 : 1))
+      : entries.length;
+    if (position) end = Math.min(end, bisect(entries, entry => compareToPosition(entry) < 0));
+    if (targetKey !== undefined) end = Math.min(end, bisect(entries, entry => compareToTarget(entry, targetKey, targetPrimaryKey) <= 0));
+
+    let entry = entries[end - 1];
+
+    if (!entry || !rangeContains(range, entry.key)) return null;
+    /**
+     * 'prevunique' returns the first record (by primary key) of each index key.
+     */
+    if (unique) entry = entries[bisect(entries, other => compareMemoryKeys(other.key, entry.key) < 0)];
+    return entry;
+  };
+
+  const cursor = {
+    source,
+    direction,
+    request,
+    key: undefined,
+    primaryKey: undefined,
+
+    advance(count) {
+      if (!Number.isInteger(count) || count < 1) {
+        throw new TypeError('The count must be a positive integer.');
+      }
+      move(count);
+    },
+
+    continue(key) {
+      if (key !== undefined) assertValidKey(key);
+      move(1, key);
+    },
+
+    /**
+     * Like in IndexedDB, only index cursors which visit every record can seek a primary key, and only past the current position.
+     */
+    continuePrimaryKey(key, primaryKey) {
+      if (source === store || unique) {
+        throw createDOMError('InvalidAccessError', `'continuePrimaryKey' needs an index cursor with the direction 'next' or 'prev'.`);
+      }
+      assertValidKey(key);
+      assertValidKey(primaryKey);
+      if (position) {
+        const order = compareMemoryKeys(key, position.key) || compareMemoryKeys(primaryKey, position.primaryKey);
+
+        if (forward ? order <= 0 : order >= 0) {
+          throw createDOMError('DataError', 'The key and the primary key must be past the current position of the cursor.');
+        }
+      }
+      move(1, key, primaryKey);
+    },
+
+    update(value) {
+      if (!withValue) throw createDOMError('InvalidStateError', 'A key cursor has no value.');
+      return store.keyPath !== null ? store.put(value) : store.put(value, cursor.primaryKey);
+    },
+
+    delete() {
+      if (!withValue) throw createDOMError('InvalidStateError', 'A key cursor has no value.');
+      return store.delete(cursor.primaryKey);
+    },
+  };
+
+  if (withValue) cursor.value = undefined;
+
+  /**
+   * Queue the next step of the cursor on the same request.
+   */
+  const move = (count, targetKey, targetPrimaryKey) => {
+    if (!gotValue) {
+      throw createDOMError('InvalidStateError', 'The cursor is being iterated or has reached its end.');
+    }
+    gotValue = false;
+    transaction.queue(request, () => {
+      let entry = null;
+
+      for (let i = 0; i < count; i++) {
+        entry = i === 0 ? findNext(targetKey, targetPrimaryKey) : findNext();
+        if (!entry) break;
+        position = { key: entry.key, primaryKey: entry.primaryKey };
+      }
+      return show(entry);
+    });
+  };
+
+  const show = (entry) => {
+    if (!entry) return null;
+
+    position = { key: entry.key, primaryKey: entry.primaryKey };
+    cursor.key = copyKey(entry.key);
+    cursor.primaryKey = copyKey(entry.primaryKey);
+    if (withValue) cursor.value = cloneValue(entry.record.value);
+    gotValue = true;
+    return cursor;
+  };
+
+  return transaction.queue(request, () => show(findNext()));
+}
+
+
+
+/**
+ * Get the backend which 'createStore' and 'createDatabase' use by default: IndexedDB, or the shared in-memory backend where IndexedDB is missing.
+ *
+ * @returns {object} The backend.
+ */
+function defaultBackend() {
+  if (typeof indexedDB !== 'undefined') return indexedDB;
+  return memoryBackend();
+}
+
+
+
+/**
+ * Get the shared in-memory backend, creating it on first use.
+ *
+ * @returns {object} The backend.
+ */
+function memoryBackend() {
+  if (!sharedMemoryBackend) sharedMemoryBackend = createMemoryBackend();
+  return sharedMemoryBackend;
+}
+
+
+
+/**
+ * Whether an error of 'indexedDB.open' means that IndexedDB can't be used here at all 
+ * (e.g. Firefox private browsing, disabled storage, or a sandboxed iframe), as opposed to an error of the application (e.g. a failed migration).
+ *
+ * @param {any} error - The error.
+ * @returns {boolean} 'true' if IndexedDB is unavailable.
+ */
+function isUnavailableError(error) {
+  return !!error && ['InvalidStateError', 'SecurityError', 'UnknownError', 'NotSupportedError', 'NotAllowedError'].includes(error.name);
+}
+
+
+
+/**
+ * Create a store which keeps its data in memory, with the same contract as 'createStore'.
+ * 
+ * Every helper works with it unchanged: transaction modes, atomic writes with rollback on errors, IndexedDB key ordering, indexes, expiration and migrations.
+ * It's meant for unit tests, Node and server-side rendering. 
+ * Each call gets its own in-memory backend, so stores never share data, and the data is gone once the store is garbage collected.
+ * 
+ * Note that 'createStore' switches to the in-memory backend by itself when IndexedDB is missing or can't be opened.
+ *
+ * @example
+ * const customStore = createMemoryStore();
+ * await set('a', 1, customStore);
+ *
+ * @param {string} [dbName='keyval-store'] - The name of the database.
+ * @param {string} [storeName='keyval'] - The name of the object store.
+ * @param {object|null} [dbOptions=null] - The object store options, like for 'createStore'.
+ * @param {function|Migration[]|null} [upgradeCallback=null] - Optional callback function for database upgrade actions, or an array of versioned migrations.
+ * @returns {function} The store, like the one returned by 'createStore'.
+ */
+export function createMemoryStore(dbName = 'keyval-store', storeName = 'keyval', dbOptions = null, upgradeCallback = null) {
+  return createStoreWithBackend(dbName, storeName, dbOptions, upgradeCallback, createMemoryBackend());
+}
+
+
+
+/**
+ * The error thrown when an encrypted record can't be decrypted: the key is wrong or unknown, or the data was tampered with or is not encrypted at all.
+ */
+export class DecryptionError extends StoreError {
+  /**
+   * @param {string} message - The error message.
+   * @param {{ key?: IDBValidKey, keyId?: string, storeName?: string, operation?: string, cause?: any }} [details={}] - The key of the record, the id of the encryption key, the store, the operation, and the original error.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'DecryptionError';
+    this.keyId = details.keyId;
+  }
+}
+
+
+
+/**
+ * The property of an encrypted record which holds the encrypted value. It's the only property of the record, besides in-line keys.
+ */
+const ENCRYPTED_PROPERTY = '__encrypted';
+
+/**
+ * The version of the encrypted record format.
+ */
+const ENCRYPTION_VERSION = 1;
+
+/**
+ * The options of the encrypted stores, to let the helpers encrypt and decrypt their values, and 'rotateEncryptionKey' re-encrypt their records.
+ * @type {WeakMap<Function, { customStore: Function, keyring: Keyring, codec: ValueCodec }>}
+ */
+const encryptedStores = new WeakMap();
+
+/**
+ * The encryption keys of an encrypted store.
+ * @typedef {Object} Keyring
+ * @property {string} keyId - The id of the key used for new writes. It is saved with every record, so the right key can be picked for reading.
+ * @property {Map<string, CryptoKey>} keys - All keys by id, including the previous ones which are needed to read records not re-encrypted yet.
+ * @property {boolean} allowPlaintext - Whether records which are not encrypted are read as they are.
+ */
+
+/**
+ * Turns values into stored records and back, outside of any transaction.
+ * @typedef {Object} ValueCodec
+ * @property {(value: any) => Promise<any>} encode - Turns a value into the record to store.
+ * @property {(record: any, key?: IDBValidKey) => Promise<any>} decode - Turns a stored record (or 'undefined') back into the value.
+ */
+
+
+
+/**
+ * Build the keyring of an encrypted store from its options.
+ *
+ * @param {{ key: CryptoKey, keyId?: string, previousKeys?: Object<string, CryptoKey>, allowPlaintext?: boolean }} options - The encryption options.
+ * @returns {Keyring} The keyring.
+ * @throws {Error} Throws an error if the key is missing or WebCrypto is not available.
+ */
+function createKeyring(options = {}) {
+  const { key, keyId = 'default', previousKeys = {}, allowPlaintext = false } = options;
+
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error(`Error during encrypting IndexedDB values: WebCrypto ('crypto.subtle') is not available in this environment!`);
+  }
+  if (!key || typeof key !== 'object' || key.type !== 'secret') {
+    throw new Error(`Error during encrypting IndexedDB values: 'key' must be an AES-GCM 'CryptoKey' (see 'crypto.subtle.generateKey' and 'crypto.subtle.importKey')!`);
+  }
+
+  return { keyId, keys: new Map([...Object.entries(previousKeys), [keyId, key]]), allowPlaintext };
+}
+
+
+
+/**
+ * Get the key paths of a store with in-line keys as an array.
+ *
+ * @param {string|string[]|null} keyPath - The key path of the store.
+ * @returns {string[]} The key paths, empty for out-of-line keys.
+ * @throws {Error} Throws an error for key paths which an encrypted record can't keep (the whole value, or the encrypted property itself).
+ */
+function inlineKeyPaths(keyPath) {
+  if (keyPath === null || keyPath === undefined) return [];
+
+  const paths = Array.isArray(keyPath) ? keyPath : [keyPath];
+
+  paths.forEach((path) => {
+    if (path === '' || path.split('.')[0] === ENCRYPTED_PROPERTY) {
+      throw new Error(`Error during encrypting IndexedDB values: Stores with the key path '${path}' can't be encrypted!`);
+    }
+  });
+  return paths;
+}
+
+
+
+/**
+ * Encrypt a value into a record.
+ * 
+ * The value is serialized with the snapshot encoding (see 'encodeSnapshotValue'), so dates, maps, binary data and the rest keep their type,
+ * and encrypted with AES-GCM under a fresh random 96-bit IV. 
+ * In-line keys are copied into the record in plain text, because IndexedDB has to read them.
+ *
+ * @param {any} value - The value.
+ * @param {Keyring} keyring - The keyring.
+ * @param {string[]} keyPaths - The in-line key paths of the store.
+ * @returns {Promise<object>} A promise that resolves with the encrypted record.
+ */
+async function encryptValue(value, keyring, keyPaths) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(await encodeSnapshotValue(value)));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keyring.keys.get(keyring.keyId), plaintext);
+  const record = { [ENCRYPTED_PROPERTY]: { version: ENCRYPTION_VERSION, keyId: keyring.keyId, iv, data } };
+
+  keyPaths.forEach((path) => {
+    const key = evaluateKeyPath(value, path);
+    if (key !== undefined) injectKey(record, path, key);
+  });
+  return record;
+}
+
+
+
+/**
+ * Whether a stored value is an encrypted record.
+ *
+ * @param {any} record - The stored value.
+ * @returns {boolean} 'true' for an encrypted record.
+ */
+function isEncryptedRecord(record) {
+  return record !== null && typeof record === 'object' && record[ENCRYPTED_PROPERTY] !== null && typeof record[ENCRYPTED_PROPERTY] === 'object';
+}
+
+
+
+/**
+ * Decrypt a record.
+ *
+ * @param {any} record - The stored value.
+ * @param {Keyring} keyring - The keyring.
+ * @param {string[]} keyPaths - The in-line key paths of the store. Keys generated by the store exist only in the record, so they are copied into the value.
+ * @param {IDBValidKey} [key] - The key of the record, for the error.
+ * @returns {Promise<any>} A promise that resolves with the value.
+ * @throws {DecryptionError} Throws if the record can't be decrypted.
+ */
+async function decryptValue(record, keyring, keyPaths, key) {
+  if (record === undefined) return undefined;
+
+  if (!isEncryptedRecord(record)) {
+    if (keyring.allowPlaintext) return record;
+    throw new DecryptionError(`Error during decrypting an IndexedDB value: The record is not encrypted!`, { key });
+  }
+
+  const { version, keyId, iv, data } = record[ENCRYPTED_PROPERTY];
+
+  if (version !== ENCRYPTION_VERSION) {
+    throw new DecryptionError(`Error during decrypting an IndexedDB value: Unsupported encryption format version '${version}'!`, { key, keyId });
+  }
+  if (!keyring.keys.has(keyId)) {
+    throw new DecryptionError(`Error during decrypting an IndexedDB value: Unknown encryption key '${keyId}'. Pass it in 'previousKeys'!`, { key, keyId });
+  }
+
+  let value;
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, keyring.keys.get(keyId), data);
+    value = decodeSnapshotValue(JSON.parse(new TextDecoder().decode(plaintext)));
+  } catch (error) {
+    throw new DecryptionError(`Error during decrypting an IndexedDB value: The key '${keyId}' doesn't match, or the record is corrupted!`, { key, keyId, cause: error });
+  }
+
+  keyPaths.forEach((path) => {
+    const inlineKey = evaluateKeyPath(record, path);
+    if (inlineKey !== undefined && value !== null && typeof value === 'object') injectKey(value, path, inlineKey);
+  });
+  return value;
+}
+
+
+
+/**
+ * Create the codec of an encrypted store.
+ * 
+ * The key paths of the store are read once, in a transaction of their own, and kept.
+ *
+ * @param {Function} customStore - The wrapped store.
+ * @param {Keyring} keyring - The keyring.
+ * @returns {ValueCodec} The codec.
+ */
+function createEncryptionCodec(customStore, keyring) {
+  let keyPathsPromise = null;
+
+  const keyPaths = () => {
+    if (!keyPathsPromise) {
+      keyPathsPromise = customStore('readonly', store => inlineKeyPaths(store.keyPath));
+      keyPathsPromise.catch(() => { keyPathsPromise = null; });
+    }
+    return keyPathsPromise;
+  };
+
+  return {
+    encode: async value => encryptValue(value, keyring, await keyPaths()),
+    decode: async (record, key) => decryptValue(record, keyring, await keyPaths(), key),
+  };
+}
+
+
+
+/**
+ * Get the codec of a store, if it has one (see 'encryptStore').
+ *
+ * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
+ * @returns {ValueCodec|null} The codec, or 'null' for a store which keeps values as they are.
+ */
+function codecOf(customStore) {
+  const encrypted = encryptedStores.get(customStore);
+  return encrypted ? encrypted.codec : null;
+}
+
+
+
+/**
+ * Decode the result of a read once its transaction is done.
+ * 
+ * Stores without a codec get the promise back untouched, so their results don't wait for an extra tick.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
+ * @param {Promise<any>} result - The result of the read.
+ * @param {(codec: ValueCodec, result: any) => Promise<any>} decode - Decodes the result with the codec.
+ * @returns {Promise<any>} A promise that resolves with the decoded result.
+ */
+function decodeResult(customStore, result, decode) {
+  const codec = codecOf(customStore);
+  return codec ? result.then(value => decode(codec, value)) : result;
+}
+
+
+
+/**
+ * Decode the values of '[key, value]' entries.
+ *
+ * @param {ValueCodec} codec - The codec.
+ * @param {Array<[IDBValidKey, any]>} items - The entries with stored records.
+ * @returns {Promise<Array<[IDBValidKey, any]>>} A promise that resolves with the entries with decoded values.
+ */
+function decodeEntries(codec, items) {
+  return Promise.all(items.map(async ([key, record]) => [key, await codec.decode(record, key)]));
+}
+
+
+
+/**
+ * Encode values before a write, and start the write with the records.
+ * 
+ * Stores without a codec start the write right away with the values, so the order of their transactions doesn't change.
+ *
+ * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
+ * @param {any[]} values - The values to write.
+ * @param {(records: any[]) => Promise<any>} write - Writes the records.
+ * @returns {Promise<any>} A promise that resolves with the result of 'write'.
+ */
+function encodeValues(customStore, values, write) {
+  const codec = codecOf(customStore);
+
+  if (!codec) return write(values);
+  return Promise.all(values.map(value => codec.encode(value))).then(write);
+}
+
+
+
+/**
+ * Whether a stored record is still the one that was read before. 
+ * Every encryption uses a fresh IV, so two encrypted records are the same write exactly when their IVs are.
+ *
+ * @param {any} current - The record stored now.
+ * @param {any} record - The record read before ('undefined' if there was none).
+ * @returns {boolean} 'true' if nothing was written in between.
+ */
+function isSameRecord(current, record) {
+  if (record === undefined) return current === undefined;
+
+  if (isEncryptedRecord(record)) {
+    return isEncryptedRecord(current) && compareKeys(current[ENCRYPTED_PROPERTY].iv, record[ENCRYPTED_PROPERTY].iv) === 0;
+  }
+  return current !== undefined && !isEncryptedRecord(current);
+}
+
+
+
+/**
+ * Wrap a store so that its values are encrypted at rest with AES-GCM (WebCrypto).
+ * 
+ * The helpers recognize the wrapped store: 'set', 'setMany', 'update' and 'importStore' encrypt, 'get', 'getMany', 'values', 'entries' (and the rest) decrypt.
+ * Every record gets its own random IV. Keys stay in plain text, because IndexedDB has to sort them, and so do expiry times.
+ * 
+ * WebCrypto is asynchronous, and a transaction which waits for anything else than its own requests commits underneath it. 
+ * So values are encrypted before the write transaction starts, and decrypted after the read transaction is done. This means:
+ * - 'transaction' rejects for an encrypted store, and the callbacks of the wrapped store itself see the encrypted records;
+ * - 'update' reads, decrypts, encrypts and then writes only if the record is unchanged, otherwise it starts over, so the updater may run more than once;
+ * - writes which are not awaited may reach IndexedDB in another order than they were made, because encrypting takes a different time for every value.
+ * 
+ * Index key paths refer to the encrypted record, so indexes can only use in-line keys.
+ * 
+ * The caller supplies the key, e.g. derived from a password with PBKDF2, or generated and kept as a non-extractable 'CryptoKey'.
+ * Records remember the id of their key, so after 'rotateEncryptionKey' the old key can be kept in 'previousKeys' until every record is re-encrypted.
+ * A record which can't be decrypted rejects with a 'DecryptionError'.
+ *
+ * @example
+ * const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+ * const secureStore = encryptStore(createStore('app', 'secrets'), { key, keyId: '2024-01' });
+ * await set('token', token, secureStore);
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ key: CryptoKey, keyId?: string, previousKeys?: Object<string, CryptoKey>, allowPlaintext?: boolean }} options - 
+ *        The AES-GCM key for new writes and its id ('default' by default), older keys by id for reading, 
+ *        and whether records which are not encrypted (e.g. written before encryption was enabled) are read as they are instead of rejecting.
+ * @returns {Function} The wrapped store. It also has the 'close', 'on' and 'off' methods and the settings (plugins, validation, retry policy) of the wrapped store, if any.
+ * @throws {Error} Throws an error if the key is missing or WebCrypto is not available.
+ */
+export function encryptStore(customStore, options) {
+  const keyring = createKeyring(options);
+
+  const encryptedStore = (transactionMode, callback) => customStore(transactionMode, callback);
+
+  inheritStoreExtras(customStore, encryptedStore);
+  encryptedStores.set(encryptedStore, { customStore, keyring, codec: createEncryptionCodec(customStore, keyring) });
+  return encryptedStore;
+}
+
+
+
+/**
+ * Re-encrypt every record of an encrypted store under a new key.
+ * 
+ * Records are processed in batches of 'batchSize': each batch is read in one transaction, re-encrypted outside of it, and written back in another one.
+ * Expired records which are not purged yet are re-encrypted too, so that the old key can be dropped afterwards.
+ * A record changed in the meantime is left as it is, because it was written with the new key anyway (by the returned store) or will be re-encrypted on the next run. 
+ * Re-encrypting doesn't count as a change for 'watch', and keeps the expiry times.
+ * 
+ * Use the returned store from then on. If the rotation is interrupted, run it again: records already under the new key are skipped.
+ * With 'allowPlaintext', records which are not encrypted yet are encrypted as well, which is how an existing store is migrated to encryption.
+ *
+ * @example
+ * secureStore = await rotateEncryptionKey(secureStore, { key: newKey, keyId: '2024-06' });
+ *
+ * @param {Function} encryptedStore - A store returned by 'encryptStore'.
+ * @param {{ key: CryptoKey, keyId: string, batchSize?: number, onProgress?: (progress: { processed: number, reencrypted: number }) => void }} options - 
+ *        The new key and its id (which must differ from the current one), the number of records per batch (100 by default), and a callback called after every batch.
+ * @returns {Promise<Function>} A promise that resolves with the store wrapped with the new key (the old keys stay available for reading), with the settings (plugins, validation, retry policy) of the given store.
+ * @throws {Error} Throws an error if the store is not encrypted, the key id is not new, or a record can't be decrypted ('DecryptionError').
+ */
+export async function rotateEncryptionKey(encryptedStore, options = {}) {
+  const wrapped = encryptedStores.get(encryptedStore);
+  const { key, keyId, batchSize = 100, onProgress } = options;
+
+  if (!wrapped) {
+    throw new Error(`Error during rotating the encryption key: The store must be created by 'encryptStore'!`);
+  }
+  if (!keyId || keyId === wrapped.keyring.keyId) {
+    throw new Error(`Error during rotating the encryption key: 'keyId' must be set and differ from the current key id '${wrapped.keyring.keyId}'!`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Error during rotating the encryption key: 'batchSize' must be a positive integer, got '${batchSize}'!`);
+  }
+
+  const { customStore, keyring } = wrapped;
+  const rotatedStore = encryptStore(customStore, {
+    key,
+    keyId,
+    previousKeys: Object.fromEntries(keyring.keys),
+    allowPlaintext: keyring.allowPlaintext,
+  });
+  const newKeyring = encryptedStores.get(rotatedStore).keyring;
+
+  if (storeSettings.has(encryptedStore)) {
+    storeSettings.set(rotatedStore, storeSettings.get(encryptedStore));
+  }
+  const progress = { processed: 0, reencrypted: 0 };
+  let lastKey;
+
+  while (true) {
+    const { keyPath, batch } = await customStore('readonly', async store => {
+      const items = [];
+      /**
+       * The records are read straight from the store, because 'readEntries' skips expired ones.
+       */
+      await eachCursor(store, cursor => items.push([cursor.primaryKey, cursor.value]), toKeyRange({ after: lastKey }), { limit: batchSize });
+      return { keyPath: store.keyPath, batch: items };
+    });
+    const keyPaths = inlineKeyPaths(keyPath);
+    const stale = batch.filter(([, record]) => !isEncryptedRecord(record) || record[ENCRYPTED_PROPERTY].keyId !== keyId);
+    const replacements = await Promise.all(stale.map(async ([recordKey, record]) => {
+      const value = await decryptValue(record, newKeyring, keyPaths, recordKey);
+      return [recordKey, record, await encryptValue(value, newKeyring, keyPaths)];
+    }));
+
+    if (replacements.length > 0) {
+      progress.reencrypted += await customStore('readwrite', async store => {
+        /**
+         * Write back only the records which are still the ones that were read.
+         */
+        const current = await Promise.all(replacements.map(([recordKey]) => promisifyRequest(store.get(recordKey))));
+        let written = 0;
+
+        replacements.forEach(([recordKey, record, replacement], i) => {
+          if (!isSameRecord(current[i], record)) return;
+
+          store.put(replacement, keyPaths.length > 0 ? undefined : recordKey);
+          written++;
+        });
+
+        await promisifyRequest(store.transaction);
+        return written;
+      });
+    }
+
+    progress.processed += batch.length;
+    if (onProgress) onProgress({ ...progress });
+
+    if (batch.length < batchSize) return rotatedStore;
+
+    lastKey = batch[batch.length - 1][0];
+  }
+}
+
+
+
+/**
+ * The error thrown when a value doesn't pass the validation of the store (see the 'validate' option of 'createStore').
+ */
+export class ValidationError extends StoreError {
+  /**
+   * @param {string} message - The error message.
+   * @param {{ key?: IDBValidKey, path?: string, value?: any, storeName?: string, operation?: string, cause?: any }} [details={}] - The key of the record, the JSON Pointer of the failing part of the value ('' for the value itself), the value, the store, the operation, and the original error.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.path = details.path === undefined ? '' : details.path;
+    this.value = details.value;
+  }
+}
+
+
+
+/**
+ * The validation of a store.
+ * @typedef {Object} Validator
+ * @property {(value: any, key: IDBValidKey) => void} check - Throws a 'ValidationError' if the value is invalid.
+ * @property {boolean|((error: ValidationError) => void)} onRead - Whether read values are validated too: 'true' rejects the read, a function is called with the error and the value is still returned.
+ */
+
+/**
+ * A validator function. It receives the value and its key, and returns:
+ * - 'true' or 'undefined' if the value is valid,
+ * - 'false', an error message, or '{ path, message }' (where 'path' is a JSON Pointer like '/address/zip') if it's not.
+ * It may also throw a 'ValidationError' by itself.
+ * @typedef {(value: any, key: IDBValidKey) => boolean|string|{ path?: string, message?: string }|void} ValidateFunction
+ */
+
+/**
+ * A JSON Schema of the stored values. The supported subset of JSON Schema keywords:
+ * 'type' (a name or an array of 'string', 'number', 'integer', 'boolean', 'null', 'array', 'object'), 'enum', 'const',
+ * 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+ * 'items', 'minItems', 'maxItems', 'properties', 'required' and 'additionalProperties'. Other keywords are ignored.
+ * @typedef {Object|boolean} ValueSchema
+ */
+
+
+
+/**
+ * Build the validator of a store from the 'validate' and 'validateOnRead' options.
+ *
+ * @param {ValidateFunction|ValueSchema} validate - A validator function or a JSON Schema.
+ * @param {{ keyPath?: string|string[]|null, validateOnRead?: boolean|((error: ValidationError) => void) }} [options={}] - The key path of the store, to name the key of in-line keys, and the read validation.
+ * @returns {Validator} The validator.
+ * @throws {TypeError} Throws an error if 'validate' is neither a function nor a schema.
+ */
+function createValidator(validate, options = {}) {
+  const { keyPath = null, validateOnRead = false } = options;
+
+  if (typeof validate !== 'function' && typeof validate !== 'boolean' && (validate === null || typeof validate !== 'object')) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'validate' must be a function or a JSON Schema object!`);
+  }
+  if (typeof validateOnRead !== 'boolean' && typeof validateOnRead !== 'function') {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'validateOnRead' must be a boolean or a function!`);
+  }
+
+  const check = (value, key) => {
+    /**
+     * Stores with in-line keys get 'undefined' as the key of a write, so the key is taken from the value.
+     */
+    const recordKey = key === undefined && keyPath !== null ? evaluateKeyPath(value, keyPath) : key;
+    let failure;
+
+    if (typeof validate === 'function') {
+      let result;
+
+      try {
+        result = validate(value, recordKey);
+      } catch (error) {
+        if (error instanceof ValidationError && error.key === undefined) error.key = recordKey;
+        throw error;
+      }
+      if (result === false) failure = { path: '', message: 'is invalid' };
+      if (typeof result === 'string') failure = { path: '', message: result };
+      if (result && typeof result === 'object') failure = { path: result.path || '', message: result.message || 'is invalid' };
+    } else {
+      failure = checkSchema(validate, value, '');
+    }
+
+    if (failure) {
+      throw new ValidationError(
+        `Error during validating the value of key '${String(recordKey)}': ${failure.path ? `'${failure.path}'` : 'The value'} ${failure.message}!`,
+        { key: recordKey, path: failure.path, value }
+      );
+    }
+  };
+
+  return { check, onRead: validateOnRead };
+}
+
+
+
+/**
+ * Check a value against a JSON Schema (see 'ValueSchema').
+ *
+ * @param {ValueSchema} schema - The schema.
+ * @param {any} value - The value.
+ * @param {string} path - The JSON Pointer of the value, for the failure.
+ * @returns {{ path: string, message: string }|null} The first failure, or 'null' if the value is valid.
+ */
+function checkSchema(schema, value, path) {
+  if (schema === true) return null;
+  if (schema === false) return { path, message: 'is not allowed' };
+
+  const fail = message => ({ path, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some(type => matchesSchemaType(type, value))) return fail(`must be of type ${types.join(' or ')}`);
+  }
+  if ('const' in schema && !sameSchemaValue(schema.const, value)) {
+    return fail(`must be equal to ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => sameSchemaValue(item, value))) {
+    return fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must have at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) return fail(`must match the pattern ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) return fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        const failure = checkSchema(schema.items, value[i], `${path}/${i}`);
+
+        if (failure) return failure;
+      }
+    }
+  }
+
+  if (matchesSchemaType('object', value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, name)) return { path: schemaPath(path, name), message: 'is required' };
+    }
+    for (const name of Object.keys(value)) {
+      const known = Object.prototype.hasOwnProperty.call(properties, name);
+      const propertySchema = known ? properties[name] : schema.additionalProperties;
+
+      if (propertySchema === undefined) continue;
+
+      const failure = checkSchema(propertySchema, value[name], schemaPath(path, name));
+
+      if (failure) return failure;
+    }
+  }
+
+  return null;
+}
+
+
+
+/**
+ * Check a value against a JSON Schema type name.
+ *
+ * @param {string} type - The type name.
+ * @param {any} value - The value.
+ * @returns {boolean} Whether the value has the type.
+ */
+function matchesSchemaType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+
+
+/**
+ * Compare a value with a JSON value of a schema ('const' and 'enum').
+ *
+ * @param {any} expected - The value of the schema.
+ * @param {any} value - The value.
+ * @returns {boolean} Whether they are equal.
+ */
+function sameSchemaValue(expected, value) {
+  if (expected === null || typeof expected !== 'object') return expected === value;
+  return value !== null && typeof value === 'object' && JSON.stringify(expected) === JSON.stringify(value);
+}
+
+
+
+/**
+ * Append a property name to a JSON Pointer.
+ *
+ * @param {string} path - The JSON Pointer.
+ * @param {string} name - The property name.
+ * @returns {string} The JSON Pointer of the property.
+ */
+function schemaPath(path, name) {
+  return `${path}/${String(name).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+
+
+/**
+ * Run an operation with the validation of the store: the values are checked before they are written, and after they are read if 'validateOnRead' is set.
+ * Used by the helpers (through 'runOperation') and by the 'transaction' handle, whose methods take the same arguments.
+ *
+ * A write is checked before its transaction starts ('setMany' checks all entries first), so an invalid value means that nothing is written.
+ * The value returned by the updater of 'update' is checked inside the transaction, before it's written, and the value of 'updateAsync' before its write transaction.
+ *
+ * @param {Validator} validator - The validator of the store.
+ * @param {string} operation - The name of the operation.
+ * @param {any[]} args - The arguments of the operation.
+ * @param {(...args: any[]) => any} run - Runs the operation.
+ * @returns {Promise<any>} A promise that resolves with the result, or rejects with a 'ValidationError'.
+ */
+function validateOperation(validator, operation, args, run) {
+  try {
+    if (operation === 'set' || operation === 'setIfAbsent') validator.check(args[1], args[0]);
+    if (operation === 'compareAndSet') validator.check(args[2], args[0]);
+    if (operation === 'setMany') args[0].forEach(entry => validator.check(entry[1], entry[0]));
+    if (operation === 'update') {
+      const [key, updaterCallback] = args;
+
+      args = [key, (oldValue) => {
+        const value = updaterCallback(oldValue);
+
+        /**
+         * A promise is refused by 'updateValue' with a clearer message.
+         */
+        if (!(value && typeof value.then === 'function')) validator.check(value, key);
+        return value;
+      }, ...args.slice(2)];
+    }
+    if (operation === 'updateAsync') {
+      const [key, updaterCallback] = args;
+
+      args = [key, async (oldValue) => {
+        const value = await updaterCallback(oldValue);
+
+        validator.check(value, key);
+        return value;
+      }, ...args.slice(2)];
+    }
+
+    const result = Promise.resolve(run(...args));
+
+    return validator.onRead ? result.then(value => validateRead(validator, operation, args, value)) : result;
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+
+
+
+/**
+ * Check the values returned by a read operation.
+ *
+ * @param {Validator} validator - The validator of the store.
+ * @param {string} operation - The name of the operation.
+ * @param {any[]} args - The arguments of the operation.
+ * @param {any} result - The result of the operation.
+ * @returns {any} The result, unchanged.
+ * @throws {ValidationError} Throws the error of the first invalid value if 'validateOnRead' is 'true'.
+ */
+function validateRead(validator, operation, args, result) {
+  const checkValue = (value, key) => {
+    if (value === undefined) return;
+    try {
+      validator.check(value, key);
+    } catch (error) {
+      if (typeof validator.onRead !== 'function' || !(error instanceof ValidationError)) throw error;
+      validator.onRead(error);
+    }
+  };
+
+  if (operation === 'get') checkValue(result, args[0]);
+  if (operation === 'getMany') result.forEach((value, i) => checkValue(value, args[0][i]));
+  if (operation === 'values' || operation === 'getAllByIndex') result.forEach(value => checkValue(value, undefined));
+  if (operation === 'entries') result.forEach(([key, value]) => checkValue(value, key));
+  if (operation === 'getByIndex') checkValue(result, undefined);
+  return result;
+}
+
+
+
+/**
+ * The limits of a cache (the 'cache' option of 'createStore').
+ * 
+ * When a write ('set', 'setMany' or 'update') makes the store exceed a limit, the least valuable entries are deleted in the same transaction, 
+ * so the store never stays over the limit. The entries written by the operation itself are never evicted by it.
+ * @typedef {Object} CacheOptions
+ * @property {number} [maxEntries] - The maximum number of entries.
+ * @property {number} [maxBytes] - The maximum approximate size of all values in bytes (see 'estimateSize').
+ * @property {'lru'|'lfu'} [policy='lru'] - Which entries are evicted first: the least recently used ('lru') or the least frequently used ('lfu').
+ * @property {(event: { key: IDBValidKey, reason: 'limit'|'quota' }) => void} [onEvict] - Called for every evicted entry, after the transaction has committed.
+ */
+
+/**
+ * The access records of the transactions which are still being written. 'evictOverflow' waits for them, so it sees the sizes of the new values.
+ * @type {WeakMap<IDBTransaction, Promise<any>[]>}
+ */
+const pendingTouches = new WeakMap();
+
+/**
+ * The accesses of cache entries read in read-only transactions, waiting to be recorded (see 'recordAccesses').
+ * @type {WeakMap<CacheOptions, { key: IDBValidKey, accessedAt: number }[]>}
+ */
+const pendingAccesses = new WeakMap();
+
+/**
+ * The operations which write values, and may fail with a 'QuotaExceededError' which eviction can help with.
+ */
+const CACHE_WRITE_OPERATIONS = ['set', 'setMany', 'update', 'updateAsync', 'setIfAbsent', 'compareAndSet'];
+
+
+
+/**
+ * Validate the 'cache' option of a store and fill in the defaults.
+ *
+ * @param {CacheOptions} cache - The cache options.
+ * @returns {CacheOptions} The normalized options.
+ * @throws {TypeError} Throws an error if the options are malformed or have no limit.
+ */
+function normalizeCacheOptions(cache) {
+  if (cache === null || typeof cache !== 'object') {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache' must be an object with 'maxEntries' and/or 'maxBytes'!`);
+  }
+
+  const { maxEntries, maxBytes, policy = 'lru', onEvict } = cache;
+
+  if (maxEntries === undefined && maxBytes === undefined) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache' needs 'maxEntries' and/or 'maxBytes'!`);
+  }
+  if (maxEntries !== undefined && (!Number.isInteger(maxEntries) || maxEntries < 1)) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache.maxEntries' must be a positive integer!`);
+  }
+  if (maxBytes !== undefined && (typeof maxBytes !== 'number' || !(maxBytes > 0))) {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache.maxBytes' must be a positive number!`);
+  }
+  if (policy !== 'lru' && policy !== 'lfu') {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache.policy' must be 'lru' or 'lfu', got '${policy}'!`);
+  }
+  if (onEvict !== undefined && typeof onEvict !== 'function') {
+    throw new TypeError(`Error during creating an object store in IndexedDB: 'cache.onEvict' must be a function!`);
+  }
+  return { maxEntries, maxBytes, policy, onEvict };
+}
+
+
+
+/**
+ * Get the cache options of a store.
+ *
+ * @param {Function} customStore - The store.
+ * @returns {CacheOptions|undefined} The cache options, or 'undefined' if the store is not a cache.
+ */
+function cacheOf(customStore) {
+  return (storeSettings.get(customStore) || {}).cache;
+}
+
+
+
+/**
+ * Estimate the size of a value in bytes, roughly as it's stored: 2 bytes per character of strings and property names, 8 bytes per number, 
+ * the byte length of binary data and blobs, and the sum of the items of arrays, objects, maps and sets.
+ *
+ * @param {any} value - The value.
+ * @param {Set<object>} [seen=new Set()] - The objects already counted, so shared and circular references are counted once.
+ * @returns {number} The approximate size in bytes.
+ */
+function estimateSize(value, seen = new Set()) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value === 'boolean') return 4;
+  if (typeof value === 'number' || typeof value === 'bigint') return 8;
+  if (typeof value !== 'object' || seen.has(value)) return 0;
+
+  seen.add(value);
+
+  if (value instanceof Date) return 8;
+  if (value instanceof RegExp) return value.source.length * 2;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+  if (value instanceof Map) {
+    return [...value].reduce((size, [key, item]) => size + estimateSize(key, seen) + estimateSize(item, seen), 0);
+  }
+  if (value instanceof Set || Array.isArray(value)) {
+    return [...value].reduce((size, item) => size + estimateSize(item, seen), 0);
+  }
+  return Object.keys(value).reduce((size, name) => size + name.length * 2 + estimateSize(value[name], seen), 0);
+}
+
+
+
+/**
+ * Record an access of a cache entry in its access record: the time, the number of accesses, and the size of the value.
+ * 
+ * Only read-write transactions can record it. 'get' and 'getMany' read in read-only transactions, so they record their accesses later (see 'recordAccesses'). 
+ * Reads in read-only transactions of 'transaction' don't count as accesses.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key of the entry.
+ * @param {any} value - The value of the entry.
+ * @param {boolean} written - Whether the value was just written, so its size has to be estimated again.
+ */
+function touchRecord(store, key, value, written) {
+  const accessStore = accessStoreOf(store);
+
+  if (!accessStore || store.transaction.mode !== 'readwrite') return;
+
+  const touched = promisifyRequest(accessStore.get(key)).then(previous => promisifyRequest(accessStore.put({
+    key,
+    accessedAt: Date.now(),
+    hits: (previous ? previous.hits : 0) + 1,
+    size: written || !previous ? estimateSize(value) : previous.size,
+  })));
+  /**
+   * A failed request fails the transaction, which is reported by the operation. The rejection here must not be reported again as unhandled.
+   */
+  touched.catch(() => {});
+
+  if (!pendingTouches.has(store.transaction)) pendingTouches.set(store.transaction, []);
+  pendingTouches.get(store.transaction).push(touched);
+}
+
+
+
+/**
+ * Queue the accesses of cache entries read in a read-only transaction.
+ * 
+ * Reads must not wait for each other, but recording an access is a write. So the accesses are collected, and recorded together in one read-write transaction 
+ * right after the current task, or by the next write to the cache if it comes first (see 'evictOverflow'), so the eviction always sees them.
+ *
+ * @param {Function} customStore - The store.
+ * @param {IDBValidKey[]} keys - The keys which were read.
+ * @param {any[]} values - The values which were read. Missing entries ('undefined') are not accesses.
+ */
+function recordAccesses(customStore, keys, values) {
+  const cache = cacheOf(customStore);
+
+  if (!cache) return;
+  if (!pendingAccesses.has(cache)) pendingAccesses.set(cache, []);
+
+  const accesses = pendingAccesses.get(cache);
+  const accessedAt = Date.now();
+
+  if (accesses.length === 0) setTimeout(() => flushAccesses(customStore, cache), 0);
+
+  keys.forEach((key, i) => {
+    if (values[i] !== undefined) accesses.push({ key, accessedAt });
+  });
+}
+
+
+
+/**
+ * Record the queued accesses of a cache in a read-write transaction of their own, unless a write has recorded them already.
+ *
+ * @param {Function} customStore - The store.
+ * @param {CacheOptions} cache - The cache options.
+ */
+function flushAccesses(customStore, cache) {
+  if ((pendingAccesses.get(cache) || []).length === 0) return;
+
+  customStore('readwrite', async store => {
+    /**
+     * The callback runs as soon as the transaction is created, but its requests wait for the writes created before it. 
+     * Those writes record the queued accesses themselves, so the queue is taken only once the transaction really runs.
+     */
+    await promisifyRequest(accessStoreOf(store).count());
+    await applyAccesses(store, cache);
+    return promisifyRequest(store.transaction);
+  }).catch(() => {
+    /**
+     * The accesses only order the eviction. Losing them (e.g. because the connection was closed) is not worth an error nobody could handle.
+     */
+  });
+}
+
+
+
+/**
+ * Record the queued accesses of a cache within a read-write transaction: the time of the last access, and the number of accesses.
+ * Several accesses of one key are added up, because their requests would otherwise read the same previous record.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {CacheOptions} cache - The cache options.
+ * @returns {Promise<void>} A promise that resolves when the access records are written.
+ */
+function applyAccesses(store, cache) {
+  const accesses = pendingAccesses.get(cache);
+
+  if (!accesses || accesses.length === 0) return Promise.resolve();
+
+  const accessStore = accessStoreOf(store);
+  const byKey = new Map();
+
+  accesses.splice(0).forEach(({ key, accessedAt }) => {
+    const signature = keySignature(key);
+    const access = byKey.get(signature) || { key, accessedAt, hits: 0 };
+
+    access.accessedAt = Math.max(access.accessedAt, accessedAt);
+    access.hits++;
+    byKey.set(signature, access);
+  });
+
+  return Promise.all([...byKey.values()].map(({ key, accessedAt, hits }) => promisifyRequest(accessStore.get(key)).then((previous) => {
+    /**
+     * An entry deleted since it was read has no access record anymore, and must not get one.
+     */
+    if (!previous) return;
+    return promisifyRequest(accessStore.put({ ...previous, accessedAt: Math.max(previous.accessedAt, accessedAt), hits: previous.hits + hits }));
+  }))).then(() => undefined);
+}
+
+
+
+/**
+ * Delete entries of a cache in eviction order (the 'accessedAt' or 'hits' index of the access store) within the transaction.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {CacheOptions} cache - The cache options.
+ * @param {IDBValidKey[]} protectedKeys - The keys which are not evicted.
+ * @param {(evicted: IDBValidKey[], bytes: number) => boolean} isEnough - Tells whether enough entries were evicted, given the evicted keys and their total size.
+ * @returns {Promise<IDBValidKey[]>} A promise that resolves with the evicted keys.
+ */
+function evictRecords(store, cache, protectedKeys, isEnough) {
+  const accessStore = accessStoreOf(store);
+  const evicted = [];
+  let bytes = 0;
+
+  return new Promise((resolve, reject) => {
+    if (isEnough(evicted, bytes)) return resolve(evicted);
+
+    const request = accessStore.index(cache.policy === 'lfu' ? 'hits' : 'accessedAt').openCursor();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = function() {
+      const cursor = this.result;
+
+      if (!cursor) return resolve(evicted);
+
+      const { key, size } = cursor.value;
+
+      /**
+       * An eviction only frees space on this device, so it's not journaled for 'sync'.
+       */
+      if (!protectedKeys.some(protectedKey => compareKeys(protectedKey, key) === 0)) {
+        withoutJournal(store, () => deleteValue(store, key));
+        evicted.push(key);
+        bytes += size;
+      }
+      if (isEnough(evicted, bytes)) return resolve(evicted);
+      cursor.continue();
+    };
+  });
+}
+
+
+
+/**
+ * Evict the entries which exceed the limits of a cache, within the transaction of a write.
+ * The queued accesses of the cache are recorded first, so the least valuable entries are the right ones.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {CacheOptions} cache - The cache options.
+ * @param {IDBValidKey[]} writtenKeys - The keys written by the operation. They are not evicted.
+ * @returns {Promise<IDBValidKey[]>} A promise that resolves with the evicted keys.
+ */
+async function evictOverflow(store, cache, writtenKeys) {
+  await Promise.all(pendingTouches.get(store.transaction) || []);
+  await applyAccesses(store, cache);
+
+  const count = cache.maxEntries === undefined ? 0 : await promisifyRequest(store.count());
+  const records = cache.maxBytes === undefined ? [] : await promisifyRequest(accessStoreOf(store).getAll());
+  const totalBytes = records.reduce((sum, record) => sum + record.size, 0);
+
+  return evictRecords(store, cache, writtenKeys, (evicted, bytes) => (
+    (cache.maxEntries === undefined || count - evicted.length <= cache.maxEntries) &&
+    (cache.maxBytes === undefined || totalBytes - bytes <= cache.maxBytes)
+  ));
+}
+
+
+
+/**
+ * Call 'onEvict' of a cache for the evicted entries, once their transaction has committed.
+ *
+ * @param {CacheOptions} cache - The cache options.
+ * @param {IDBValidKey[]} keys - The evicted keys.
+ * @param {'limit'|'quota'} reason - Why they were evicted.
+ */
+function notifyEvicted(cache, keys, reason) {
+  if (!cache.onEvict) return;
+  keys.forEach(key => queueMicrotask(() => cache.onEvict({ key, reason })));
+}
+
+
+
+/**
+ * Wait for the writes of a helper to commit. For caches, the entries over the limits are evicted in the same transaction first.
+ * Shared by 'set', 'setMany' and 'update'.
+ *
+ * @param {Function} customStore - The store.
+ * @param {IDBObjectStore} store - The object store within the transaction.
+ * @param {Promise<IDBValidKey[]>} written - A promise that resolves with the written keys once the writes have succeeded.
+ * @returns {Promise<void>} A promise that resolves when the transaction has committed.
+ */
+function commitWrites(customStore, store, written) {
+  const cache = cacheOf(customStore);
+
+  if (!cache) return written.then(() => promisifyRequest(store.transaction));
+
+  return written
+    .then(keys => evictOverflow(store, cache, keys))
+    .then(evicted => promisifyRequest(store.transaction).then(() => notifyEvicted(cache, evicted, 'limit')));
+}
+
+
+
+/**
+ * Run a write on a cache, and if it fails because the storage quota is used up, evict about a tenth of the entries and run it once more.
+ *
+ * @param {Function} customStore - The store.
+ * @param {CacheOptions} cache - The cache options.
+ * @param {() => Promise<any>} write - Runs the write.
+ * @returns {Promise<any>} A promise that resolves with the result of the write.
+ */
+async function evictOnQuota(customStore, cache, write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (!error || error.name !== 'QuotaExceededError') throw error;
+  }
+
+  const evicted = await customStore('readwrite', async store => {
+    const count = await promisifyRequest(store.count());
+    const keys = await evictRecords(store, cache, [], evicted => evicted.length >= Math.max(1, Math.ceil(count / 10)));
+
+    await promisifyRequest(store.transaction);
+    return keys;
+  });
+
+  notifyEvicted(cache, evicted, 'quota');
+  return write();
+}
+
+
+
+/**
+ * Estimate how much storage the origin uses and how much it may use, with 'navigator.storage.estimate()'.
+ * Useful to pick the 'maxBytes' of a cache, or to warn before the quota is used up.
+ *
+ * @example
+ * const estimate = await storageEstimate();
+ * if (estimate && estimate.usage / estimate.quota > 0.9) await clear(cacheStore);
+ *
+ * @returns {Promise<{ usage: number, quota: number }|null>} A promise that resolves with the used and available bytes, or 'null' where the estimate is not available.
+ */
+export async function storageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+    return null;
+  }
+
+  const { usage, quota } = await navigator.storage.estimate();
+
+  return { usage, quota };
+}
+
+
+
+/**
+ * The queue of a batched store (see 'batchStore').
+ * @typedef {Object} WriteBatch
+ * @property {(operation: string, args: any[], run: (...args: any[]) => Promise<any>) => Promise<any>} run - Queues a write, answers a read from the queue, or runs the operation.
+ * @property {() => Promise<void>} flush - Commits the queued writes now.
+ * @property {() => boolean} isEmpty - Whether no write is queued.
+ */
+
+/**
+ * The queued writes of one key of a batch.
+ * @typedef {Object} BatchEntry
+ * @property {IDBValidKey|undefined} key - The key ('undefined' for stores with a key path).
+ * @property {'set'|'deleted'|'unknown'} state - What the key holds after the queued writes: a known value, nothing, or the stored value changed by 'updaters'.
+ * @property {any} [value] - The value, if 'state' is 'set'.
+ * @property {object} [options] - The write options of the value ('ttl', 'expiresAt').
+ * @property {{ updater: Function, caller: { reject: Function } }[]} updaters - The updaters which run on the stored value, if 'state' is 'unknown'.
+ * @property {{ resolve: Function, reject: Function }[]} callers - The callers waiting for the writes of this key.
+ */
+
+
+
+/**
+ * Wrap a store so that its writes are batched: 'set', 'setMany', 'del', 'delMany' and 'update' calls made within a short window are queued, 
+ * and committed together in one transaction, like 'setMany'.
+ * 
+ * - Repeated writes of the same key are coalesced: only the last value is written. 
+ *   An 'update' of a key with a queued value runs right away on that value; otherwise its updater runs on the stored value when the batch commits.
+ * - Every call resolves when the batch has committed. If the batch fails, every call of it rejects. 
+ *   An updater which throws rejects only its own call.
+ * - 'get' and 'getMany' see the queued values right away. Any other use of the store (other helpers, 'transaction', deleting a key range...) 
+ *   commits the queued writes first, so it sees them too.
+ * 
+ * Plugins, validation and the retry policy of the store apply to every call, as usual. A cache evicts entries when the batch commits.
+ *
+ * @example
+ * const drafts = batchStore(createStore('editor', 'drafts'), { window: 200 });
+ * editor.on('input', () => set('current', editor.getState(), drafts));
+ * window.addEventListener('pagehide', () => drafts.flush());
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {{ window?: number }} [options={}] - How long writes are collected, in milliseconds. '0' (the default) collects the writes of the current task, until the next microtask checkpoint.
+ * @returns {Function} The batched store. It has a 'flush()' method which commits the queued writes now, and the 'close', 'on' and 'off' methods of the store, if any. 'close()' commits the queued writes first.
+ * @throws {TypeError} Throws an error if 'window' is not a non-negative number.
+ */
+export function batchStore(customStore, options = {}) {
+  const { window: delay = 0 } = options;
+
+  if (typeof delay !== 'number' || !(delay >= 0)) {
+    throw new TypeError(`Error during batching writes: 'window' must be a non-negative number of milliseconds!`);
+  }
+
+  const batch = createWriteBatch(customStore, delay);
+  const batchedStore = (transactionMode, callback) => (
+    batch.isEmpty() ? customStore(transactionMode, callback) : batch.flush().then(() => customStore(transactionMode, callback))
+  );
+
+  inheritStoreExtras(customStore, batchedStore);
+  storeSettings.set(batchedStore, { ...storeSettings.get(batchedStore), batch });
+  batchedStore.flush = batch.flush;
+  if (typeof customStore.close === 'function') {
+    batchedStore.close = () => batch.flush().catch(() => {}).then(() => customStore.close());
+  }
+  return batchedStore;
+}
+
+
+
+/**
+ * Create the queue of a batched store.
+ *
+ * @param {Function} customStore - The store which the batches are written to.
+ * @param {number} delay - How long writes are collected, in milliseconds ('0' for a microtask).
+ * @returns {WriteBatch} The queue.
+ */
+function createWriteBatch(customStore, delay) {
+  /**
+   * The entries of the batch which is being collected, by key (see 'keySignature'). The batch being committed is not here anymore.
+   * @type {Map<string|symbol, BatchEntry>}
+   */
+  let entries = new Map();
+  let scheduled = null;
+
+  /**
+   * A failed batch is reported to its callers, so the scheduled commit doesn't report it again as unhandled.
+   */
+  const scheduledFlush = () => flush().catch(() => {});
+  const schedule = () => {
+    if (scheduled) return;
+    scheduled = delay > 0 ? setTimeout(scheduledFlush, delay) : true;
+    if (delay === 0) queueMicrotask(scheduledFlush);
+  };
+
+  const entryOf = (key) => {
+    /**
+     * Without a key (stores with a key path), a write can't be coalesced with others, so it gets an entry of its own.
+     */
+    const signature = key === undefined ? Symbol('key') : keySignature(key);
+
+    if (!entries.has(signature)) entries.set(signature, { key, state: 'unknown', updaters: [], callers: [] });
+    return entries.get(signature);
+  };
+
+  const enqueue = (key, change) => new Promise((resolve, reject) => {
+    const entry = entryOf(key);
+    const caller = { resolve, reject };
+
+    change(entry, caller);
+    entry.callers.push(caller);
+    schedule();
+  });
+
+  const setEntry = (key, value, options) => enqueue(key, (entry) => {
+    Object.assign(entry, { state: 'set', value, options, updaters: [] });
+  });
+
+  const deleteEntry = key => enqueue(key, (entry) => {
+    Object.assign(entry, { state: 'deleted', value: undefined, options: undefined, updaters: [] });
+  });
+
+  const updateEntry = (key, updaterCallback) => enqueue(key, (entry, caller) => {
+    if (entry.state === 'unknown') {
+      entry.updaters.push({ updater: updaterCallback, caller });
+      return;
+    }
+    /**
+     * The value is known, so the updater runs right away, like it would in the transaction. It can only fail its own call.
+     */
+    try {
+      const value = applyUpdater(updaterCallback, key, entry.state === 'set' ? entry.value : undefined);
+
+      Object.assign(entry, { state: 'set', value, options: entry.state === 'set' ? entry.options : undefined });
+    } catch (error) {
+      caller.reject(error);
+    }
+  });
+
+  /**
+   * Run the queued updaters of an entry on the stored value. An updater which throws rejects only its own call.
+   * If every updater fails, the record is left as it is instead of being written back (or created with 'undefined').
+   */
+  const runUpdaters = (entry, oldValue) => entry.updaters.reduce((value, { updater, caller }) => {
+    try {
+      return applyUpdater(updater, entry.key, value === UNCHANGED ? oldValue : value);
+    } catch (error) {
+      caller.reject(error);
+      return value;
+    }
+  }, UNCHANGED);
+
+  /**
+   * Write the entries within the transaction.
+   * 'records' holds what to write for the entries of an encrypted store: the encoded values, and the encoded results of the updaters.
+   */
+  const writeEntries = (store, batchEntries, records) => {
+    const writeEntry = (entry) => {
+      if (entry.state === 'set') {
+        return promisifyRequest(writeValue(store, entry.key, records ? records.get(entry) : entry.value, entry.options));
+      }
+      if (entry.state === 'deleted') {
+        return promisifyRequest(deleteValue(store, entry.key)).then(() => entry.key);
+      }
+      return updateValue(store, entry.key, records ? () => records.get(entry) : oldValue => runUpdaters(entry, oldValue)).then(() => entry.key);
+    };
+    const writes = [];
+
+    /**
+     * A write which throws (e.g. an invalid key) aborts the transaction, so the batch is written entirely or not at all.
+     * The writes made before it fail with an 'AbortError', which is already reported by the thrown error.
+     */
+    try {
+      batchEntries.forEach(entry => writes.push(writeEntry(entry)));
+    } catch (error) {
+      writes.forEach(write => write.catch(() => {}));
+      store.transaction.abort();
+      throw error;
+    }
+
+    return commitWrites(customStore, store, Promise.all(writes));
+  };
+
+  /**
+   * Commit the entries of an encrypted store (see 'encryptStore').
+   * 
+   * Like 'updateEncoded', the values are encoded before the transaction, and the records with queued updaters are read and decoded in a transaction before. 
+   * The batch is written only if those records are still the ones that were read. Otherwise it starts over, so the updaters may run more than once.
+   */
+  const writeEncodedEntries = async (batchEntries, codec) => {
+    const pending = batchEntries.filter(entry => entry.state === 'unknown');
+
+    for (let attempt = 0; attempt < MAX_ENCODED_UPDATE_ATTEMPTS; attempt++) {
+      const stored = pending.length === 0 ? [] : await customStore('readonly', store => Promise.all(pending.map(entry => readValue(store, entry.key))));
+      const records = new Map(await Promise.all(batchEntries.filter(entry => entry.state !== 'deleted').map(async (entry) => {
+        if (entry.state === 'set') return [entry, await codec.encode(entry.value)];
+
+        const record = stored[pending.indexOf(entry)];
+        const value = runUpdaters(entry, await codec.decode(record, entry.key));
+
+        return [entry, value === UNCHANGED ? UNCHANGED : await codec.encode(value)];
+      })));
+
+      const written = await customStore('readwrite', async (store) => {
+        const current = await Promise.all(pending.map(entry => readValue(store, entry.key)));
+
+        if (current.some((record, i) => !isSameRecord(record, stored[i]))) return false;
+
+        await writeEntries(store, batchEntries, records);
+        return true;
+      });
+
+      if (written) return;
+    }
+    throw new Error(`Error during writing a batch to an encrypted IndexedDB store: Its records were changed by other writes on all ${MAX_ENCODED_UPDATE_ATTEMPTS} attempts!`);
+  };
+
+  /**
+   * Commit the collected entries in one transaction.
+   */
+  const flush = () => {
+    if (scheduled !== true && scheduled !== null) clearTimeout(scheduled);
+    scheduled = null;
+
+    const batchEntries = [...entries.values()];
+    const codec = codecOf(customStore);
+
+    entries = new Map();
+    if (batchEntries.length === 0) return Promise.resolve();
+
+    const committed = codec
+      ? writeEncodedEntries(batchEntries, codec)
+      : customStore('readwrite', store => writeEntries(store, batchEntries, null));
+
+    /**
+     * A caller which was already rejected by its updater ignores the outcome of the batch.
+     */
+    return committed.then(
+      () => batchEntries.forEach(entry => entry.callers.forEach(caller => caller.resolve())),
+      (error) => {
+        batchEntries.forEach(entry => entry.callers.forEach(caller => caller.reject(error)));
+        throw error;
+      }
+    );
+  };
+
+  /**
+   * Read the keys from the queue where it knows their value, and from the store otherwise.
+   * A key with queued updaters needs the stored value, so the batch is committed first, and 'null' tells the caller to read the store as usual.
+   * Like 'getMany', the store is read in a read-only transaction, and on a cache the accesses are recorded afterwards (see 'recordAccesses').
+   */
+  const read = async (keys) => {
+    const queued = keys.map(key => key === undefined || isKeyRange(key) ? undefined : entries.get(keySignature(key)));
+
+    if (queued.some(entry => entry && entry.state === 'unknown')) {
+      await flush();
+      return null;
+    }
+
+    const missing = keys.filter((key, i) => !queued[i]);
+    const records = missing.length === 0 ? [] : await customStore('readonly', store => Promise.all(missing.map(key => readValue(store, key))));
+    const codec = codecOf(customStore);
+
+    recordAccesses(customStore, missing, records);
+
+    const stored = codec ? await Promise.all(records.map((record, i) => codec.decode(record, missing[i]))) : records;
+
+    return queued.map(entry => entry ? (entry.state === 'set' ? cloneValue(entry.value) : undefined) : stored.shift());
+  };
+
+  return {
+    run(operation, args, run) {
+      const [first, second, third] = args;
+
+      if (operation === 'set') return setEntry(first, second, third);
+      if (operation === 'setMany') return Promise.all(first.map(entry => setEntry(entry[0], entry[1], second))).then(() => undefined);
+      if (operation === 'update') return updateEntry(first, second);
+      if (operation === 'del' && !isKeyRange(first)) return deleteEntry(first);
+      if (operation === 'delMany' && !first.some(isKeyRange)) return Promise.all(first.map(deleteEntry)).then(() => undefined);
+      if (operation === 'get' && entries.size > 0) return read([first]).then(values => values ? values[0] : run(...args));
+      if (operation === 'getMany' && entries.size > 0) return read(first).then(values => values || run(...args));
+      /**
+       * Everything else goes through the batched store, which commits the queued writes first.
+       */
+      return run(...args);
+    },
+    flush,
+    isEmpty: () => entries.size === 0,
+  };
+}
+
+
+
+/**
+ * The transactions which are writing without journaling right now (see 'withoutJournal').
+ * @type {WeakSet<IDBTransaction>}
+ */
+const unjournaledTransactions = new WeakSet();
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} seq - The position of the entry in the journal.
+ * @property {'set'|'delete'|'clear'} op - The kind of change.
+ * @property {IDBValidKey} [key] - The changed key (none for 'clear').
+ * @property {number} timestamp - When the change was made, in milliseconds since the epoch.
+ * @property {string} revision - A random token which identifies the change (see 'createRevision').
+ */
+
+/**
+ * @typedef {Object} SyncChange
+ * @property {'set'|'delete'|'clear'} op - The kind of change.
+ * @property {IDBValidKey} [key] - The changed key (none for 'clear').
+ * @property {any} [value] - The new value, for 'set'.
+ * @property {number} timestamp - When the change was made, in milliseconds since the epoch.
+ * @property {string} revision - A random token which identifies the change.
+ */
+
+/**
+ * @typedef {Object} SyncAdapter
+ * @property {(changes: SyncChange[]) => Promise<void>} push - Send local changes to the remote. Once it resolves, they are removed from the journal, so it must not resolve before the remote has stored them.
+ * @property {(checkpoint: any, options: { limit: number }) => Promise<{ changes: SyncChange[], checkpoint: any, hasMore?: boolean }>} pull - 
+ *           Get up to 'limit' remote changes after the checkpoint ('undefined' the first time), and the checkpoint after them.
+ *           The checkpoint is stored in IndexedDB, so it must be a value which IndexedDB can store.
+ */
+
+/**
+ * @callback ConflictResolver
+ * @param {{ key: IDBValidKey, local: SyncChange, remote: SyncChange }} conflict - The remote change of a key which was also changed locally since the last sync.
+ *        'local' holds the current local value, with the time and revision of the last local change.
+ * @returns {any} The value to keep, or 'undefined' to delete the key. It must not be a promise, because it is called inside a transaction.
+ */
+
+
+
+/**
+ * Journal a change made by a helper, within the transaction of the change, so it is journaled only if the change commits.
+ *
+ * @param {IDBObjectStore|null} journalStore - The journal store (see 'journalStoreOf'), or 'null' if the change is not journaled.
+ * @param {'set'|'delete'|'clear'} op - The kind of change.
+ * @param {IDBValidKey} [key] - The changed key (none for 'clear').
+ * @param {string} [revision=createRevision()] - The revision of the change. Writes pass the new revision of the record.
+ */
+function journalChange(journalStore, op, key, revision = createRevision()) {
+  if (!journalStore) return;
+
+  const entry = { op, timestamp: Date.now(), revision };
+
+  if (key !== undefined) entry.key = key;
+  journalStore.add(entry);
+}
+
+
+
+/**
+ * Make writes within the transaction without journaling them. 
+ * The helpers look up the journal store synchronously (see 'journalStoreOf'), so the writes must be made before 'write' returns.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {() => any} write - Makes the writes.
+ * @returns {any} The result of 'write'.
+ */
+function withoutJournal(store, write) {
+  unjournaledTransactions.add(store.transaction);
+  try {
+    return write();
+  } finally {
+    unjournaledTransactions.delete(store.transaction);
+  }
+}
+
+
+
+/**
+ * Get the journal store and the sync store within the same transaction as the store.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @returns {[IDBObjectStore, IDBObjectStore]} The journal store and the sync store.
+ * @throws {Error} Throws an error if the store was not declared with 'journal: true', or is a namespace.
+ */
+function syncStoresOf(store) {
+  const names = [journalStoreName(store.name), syncStoreName(store.name)];
+
+  if (namespacedStores.has(store)) {
+    throw new Error(`Error during syncing IndexedDB: Sync the store itself, its journal covers the changes made through the namespaces!`);
+  }
+  if (!names.every(name => store.transaction.objectStoreNames.contains(name))) {
+    throw new Error(`Error during syncing IndexedDB: Object store '${store.name}' must be created with 'journal: true'!`);
+  }
+  return names.map(name => store.transaction.objectStore(name));
+}
+
+
+
+/**
+ * Reduce journal entries to the last change of every key. A 'clear' drops the changes before it.
+ *
+ * @param {JournalEntry[]} entries - The entries, in journal order.
+ * @returns {{ clear: JournalEntry|null, changes: Map<string, JournalEntry> }} The last 'clear', and the last change of every key after it by key signature (see 'keySignature'), in the order they were made.
+ */
+function coalesceJournal(entries) {
+  let clear = null;
+  let changes = new Map();
+
+  entries.forEach((entry) => {
+    if (entry.op === 'clear') {
+      clear = entry;
+      changes = new Map();
+      return;
+    }
+
+    const signature = keySignature(entry.key);
+
+    changes.delete(signature);
+    changes.set(signature, entry);
+  });
+  return { clear, changes };
+}
+
+
+
+/**
+ * The default conflict resolution: the change made last wins. Changes made at the same time are ordered by their revisions, so every device picks the same one.
+ *
+ * @type {ConflictResolver}
+ */
+function lastWriteWins({ local, remote }) {
+  const remoteWins = remote.timestamp !== local.timestamp ? remote.timestamp > local.timestamp : String(remote.revision) > String(local.revision);
+  const winner = remoteWins ? remote : local;
+
+  return winner.op === 'set' ? winner.value : undefined;
+}
+
+
+
+/**
+ * Write a value pulled from the remote, or delete the key if the value is 'undefined'.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {IDBValidKey} key - The key.
+ * @param {any} value - The value.
+ * @returns {IDBRequest} The request.
+ */
+function writeSyncedValue(store, key, value) {
+  if (value === undefined) return deleteValue(store, key);
+  return writeValue(store, store.keyPath !== null ? undefined : key, value);
+}
+
+
+
+/**
+ * The key of the record in the sync store which remembers the revision of the last pushed change of a key (or of the last pushed 'clear').
+ * The remote sends the pushed changes back on the next pull, and the revision tells 'applyRemoteChanges' that they are echoes of our own.
+ *
+ * @param {SyncChange} change - The change.
+ * @returns {IDBValidKey} The key of the record.
+ */
+function pushedRecordKey(change) {
+  return change.op === 'clear' ? ['pushed'] : ['pushed', change.key];
+}
+
+
+
+/**
+ * Apply a page of remote changes in one transaction, and store the checkpoint after them in the same transaction.
+ * If the transaction fails, the next 'sync' pulls the page again.
+ * 
+ * Changes which this store pushed itself come back as they were pushed. They are skipped, so newer local changes of their keys are not taken for conflicts.
+ * A remote change of a key without local changes since the last sync is written without journaling, so it's not pushed back.
+ * Otherwise the conflict is resolved:
+ * - If the remote value is kept, the local changes of the key are dropped from the journal. 
+ *   If there is a local 'clear' which wasn't pushed yet, the value is journaled again, so the 'clear' doesn't delete it on the remote.
+ * - If the local value is kept, its change stays in the journal and is pushed.
+ * - A merged value is written and journaled like a local change.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {SyncChange[]} changes - The remote changes.
+ * @param {any} checkpoint - The checkpoint after the changes.
+ * @param {ConflictResolver} resolve - The conflict resolution.
+ * @returns {Promise<number>} A promise that resolves with the number of conflicts.
+ * @throws {Error} Throws an error if a change is malformed.
+ * @throws {TypeError} Throws an error if the conflict resolution returns a promise.
+ */
+async function applyRemoteChanges(store, changes, checkpoint, resolve) {
+  const [journalStore, syncStore] = syncStoresOf(store);
+  let journal = await promisifyRequest(journalStore.getAll());
+  let conflicts = 0;
+
+  const applyKeyChange = async (change) => {
+    const { clear, changes: pending } = coalesceJournal(journal);
+    const localEntry = pending.get(keySignature(change.key)) || clear;
+    /**
+     * A change which reached the remote although its 'push' failed comes back with the revision of its journal entry. It's ours, so it's no conflict.
+     */
+    if (localEntry && localEntry.revision === change.revision) return;
+
+    const current = await readValue(store, change.key);
+    const remoteValue = change.op === 'set' ? change.value : undefined;
+
+    if (!localEntry) {
+      if (!isSameValue(current, remoteValue)) {
+        await promisifyRequest(withoutJournal(store, () => writeSyncedValue(store, change.key, remoteValue)));
+      }
+      return;
+    }
+
+    const local = { op: current === undefined ? 'delete' : 'set', key: change.key, value: current, timestamp: localEntry.timestamp, revision: localEntry.revision };
+    const resolved = resolve({ key: change.key, local, remote: change });
+
+    if (resolved && typeof resolved.then === 'function') {
+      throw new TypeError(`Error during syncing IndexedDB: The conflict resolution must return the value, not a promise!`);
+    }
+    conflicts++;
+
+    if (isSameValue(resolved, remoteValue)) {
+      journal
+        .filter(entry => entry.key !== undefined && compareKeys(entry.key, change.key) === 0)
+        .forEach(entry => journalStore.delete(entry.seq));
+
+      if (clear) {
+        await promisifyRequest(writeSyncedValue(store, change.key, remoteValue));
+      } else if (!isSameValue(current, remoteValue)) {
+        await promisifyRequest(withoutJournal(store, () => writeSyncedValue(store, change.key, remoteValue)));
+      }
+    } else if (!isSameValue(resolved, current)) {
+      await promisifyRequest(writeSyncedValue(store, change.key, resolved));
+    }
+    journal = await promisifyRequest(journalStore.getAll());
+  };
+
+  for (const change of changes) {
+    if (!change || !['set', 'delete', 'clear'].includes(change.op)) {
+      throw new Error(`Error during syncing IndexedDB: The adapter returned a change with an unknown 'op'!`);
+    }
+
+    const pushed = await promisifyRequest(syncStore.get(pushedRecordKey(change)));
+
+    if (pushed && pushed.revision === change.revision) {
+      syncStore.delete(pushedRecordKey(change));
+      continue;
+    }
+    if (change.op !== 'clear') {
+      await applyKeyChange(change);
+      continue;
+    }
+
+    const { clear, changes: pending } = coalesceJournal(journal);
+
+    if (clear && clear.revision === change.revision) continue;
+    /**
+     * A remote 'clear' deletes every local key, but the keys with local changes are resolved one by one.
+     */
+    if (!clear && pending.size === 0) {
+      await promisifyRequest(withoutJournal(store, () => clearValues(store)));
+      continue;
+    }
+    for (const key of await promisifyRequest(store.getAllKeys())) {
+      await applyKeyChange({ op: 'delete', key, timestamp: change.timestamp, revision: change.revision });
+    }
+  }
+
+  syncStore.put({ key: 'checkpoint', checkpoint });
+  return conflicts;
 }
 
 
 
 /**
- * Set a readable and writable value with a key.
- * 
- * Setting operation is promisified, because all IndexedDB methods are asynchronous and Promises help to work with them efficiently (e.g. better error handling - otherwise async functionality errors might be silent).
- * 
- * In case of 'put' method, the first argument is the value, and the second one is the key.
- * 
- * 
- * 'promisifyRequest(store.transaction)' ensures that the entire transaction completes successfully before resolving the promise.
- * Transaction itself is asynchronous.
- * 'store.transaction' refers to the 'IDBTransaction' object associated with the object store operations being performed.
- * When we do operations (like 'get', 'put', 'delete', etc.) on an 'IDBObjectStore', these operations are always done within the context of an 'IDBTransaction'. 
- * The 'transaction' property of an 'IDBObjectStore' provides a reference to this transaction.
- * The 'IDBTransaction' ensures that a series of operations within the transaction are treated as a single unit. Either all operations succeed, or none do. If any operation fails, the transaction is rolled back.
- * Promisifying the transaction is essential for ensuring that we are aware when the transaction as a whole is complete.
+ * Read the oldest entries of the journal as changes to push. Repeated changes of a key are pushed once, with the current value.
  *
- * @param {IDBValidKey} key - Key to set the value.
- * @param {any} value - Value to set.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - Promise that resolves when the value is set.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {number} limit - The number of journal entries to read.
+ * @returns {Promise<{ changes: SyncChange[], lastSeq: number|undefined, count: number }>} A promise that resolves with the changes, 
+ *          the position of the last entry read (to remove the entries once they are pushed), and the number of entries read.
  */
-export function set(key, value, customStore) {
-  return customStore('readwrite', store => {
-    store.put(value, key);
-    return promisifyRequest(store.transaction);
-  })
+async function readJournalChanges(store, limit) {
+  const [journalStore] = syncStoresOf(store);
+  const entries = await promisifyRequest(journalStore.getAll(null, limit));
+  const { clear, changes } = coalesceJournal(entries);
+  const keyEntries = [...changes.values()];
+  const values = await Promise.all(keyEntries.map(entry => entry.op === 'set' ? readValue(store, entry.key) : undefined));
+  /**
+   * A written value which is gone now was removed locally (it has expired, or was evicted from a cache), so it's not pushed at all.
+   */
+  const keyChanges = keyEntries
+    .map(({ op, key, timestamp, revision }, i) => (op === 'set' ? { op, key, value: values[i], timestamp, revision } : { op, key, timestamp, revision }))
+    .filter(change => change.op === 'delete' || change.value !== undefined);
+
+  return {
+    changes: clear ? [{ op: 'clear', timestamp: clear.timestamp, revision: clear.revision }, ...keyChanges] : keyChanges,
+    lastSeq: entries.length > 0 ? entries[entries.length - 1].seq : undefined,
+    count: entries.length,
+  };
 }
 
 
 
 /**
- * Set multiple values at once. This is faster than calling set() multiple times.
- * It's also atomic – if one of the pairs can't be added, none will be added.
+ * Sync a store with a remote through an adapter: pull the remote changes, then push the local ones.
  * 
+ * The store must be created with 'journal: true'. Then every committed change made by the helpers ('set', 'setMany', 'update', 'del', 'delMany', 'clear', 
+ * 'transaction', 'importStore'...) is journaled in a companion store, with its key, kind, time and revision. 
+ * Records removed by 'purgeExpired' or evicted from a cache are not journaled, because expiry and cache limits are local to the device.
  * 
- * 'promisifyRequest(store.transaction)' ensures that the entire transaction completes successfully before resolving the promise.
- * Transaction itself is asynchronous.
- * 'store.transaction' refers to the 'IDBTransaction' object associated with the object store operations being performed.
- * When we do operations (like 'get', 'put', 'delete', etc.) on an 'IDBObjectStore', these operations are always done within the context of an 'IDBTransaction'. 
- * The 'transaction' property of an 'IDBObjectStore' provides a reference to this transaction.
- * The 'IDBTransaction' ensures that a series of operations within the transaction are treated as a single unit. Either all operations succeed, or none do. If any operation fails, the transaction is rolled back.
- * Promisifying the transaction is essential for ensuring that we are aware when the transaction as a whole is complete.
+ * The remote changes are pulled first, so the conflicts with local changes are resolved here (see 'applyRemoteChanges'), before the local changes are pushed.
+ * Both directions work in pages of 'batchSize', each in its own transaction, so an interrupted sync resumes where it stopped:
+ * - A pulled page is applied together with its checkpoint, and the next 'sync' continues after the last applied page.
+ * - The journal entries of a pushed page are removed once 'push' resolves. A page which failed is pushed again, so 'push' must accept changes it already has.
+ * 
+ * The remote is expected to send the pushed changes back to every store, including the one which pushed them. That store recognizes them by their revisions and skips them.
+ * 
+ * An encrypted store (see 'encryptStore') pushes and pulls its records encrypted, so the remote never sees the values, and every device needs the key. 
+ * A conflict resolution gets the encrypted records then: it runs inside the transaction, where nothing can be decrypted, so it can pick one of them, but not merge them.
  *
+ * @example
+ * const notes = createStore('app', 'notes', { journal: true });
  * 
- * @param {[IDBValidKey, any][]} entries - Array of entries, where each entry is an array of `[key, value]`.
- *  @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - Promise that resolves when all values are set.
+ * await set('draft', { text: 'Hello' }, notes);
+ * await sync(notes, {
+ *   push: changes => fetch('/api/notes/changes', { method: 'POST', body: JSON.stringify(changes) }).then((response) => {
+ *     if (!response.ok) throw new Error(`Push failed with status ${response.status}`);
+ *   }),
+ *   pull: (checkpoint, { limit }) => fetch(`/api/notes/changes?after=${checkpoint ?? ''}&limit=${limit}`).then(response => response.json()),
+ * }, {
+ *   conflict: ({ local, remote }) => ({ ...remote.value, ...local.value }),
+ * });
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {SyncAdapter} adapter - The remote (see 'createLocalAdapter' for an in-process one).
+ * @param {{ conflict?: 'last-write-wins'|ConflictResolver, batchSize?: number }} [options={}] - How conflicts are resolved ('last-write-wins' by default), 
+ *        and the number of changes per page (100 by default).
+ * @returns {Promise<{ pulled: number, pushed: number, conflicts: number }>} A promise that resolves with the numbers of pulled and pushed changes and of resolved conflicts.
+ * @throws {TypeError} Throws an error if the adapter or the options are invalid.
+ * @throws {Error} Throws an error if the store was not declared with 'journal: true', or the error of the adapter.
  */
-export function setMany(entries, customStore) {
-  return customStore('readwrite', store => {
-    entries.forEach(entry => store.put(entry[1], entry[0]));
-    return promisifyRequest(store.transaction);
-  });
+export async function sync(customStore, adapter, options = {}) {
+  const { conflict = 'last-write-wins', batchSize = 100 } = options;
+
+  if (!adapter || typeof adapter.push !== 'function' || typeof adapter.pull !== 'function') {
+    throw new TypeError(`Error during syncing IndexedDB: The adapter must have 'push' and 'pull' methods!`);
+  }
+  if (conflict !== 'last-write-wins' && typeof conflict !== 'function') {
+    throw new TypeError(`Error during syncing IndexedDB: 'conflict' must be 'last-write-wins' or a function!`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new TypeError(`Error during syncing IndexedDB: 'batchSize' must be a positive integer!`);
+  }
+
+  const resolve = conflict === 'last-write-wins' ? lastWriteWins : conflict;
+  const result = { pulled: 0, pushed: 0, conflicts: 0 };
+  let checkpoint = await customStore('readonly', store => promisifyRequest(syncStoresOf(store)[1].get('checkpoint')))
+    .then(record => record && record.checkpoint);
+
+  while (true) {
+    const { changes = [], checkpoint: next, hasMore = false } = (await adapter.pull(checkpoint, { limit: batchSize })) || {};
+
+    result.conflicts += await customStore('readwrite', async store => {
+      const conflicts = await applyRemoteChanges(store, changes, next, resolve);
+
+      await promisifyRequest(store.transaction);
+      return conflicts;
+    });
+    result.pulled += changes.length;
+    checkpoint = next;
+    if (!hasMore || changes.length === 0) break;
+  }
+
+  while (true) {
+    const { changes, lastSeq, count } = await customStore('readonly', store => readJournalChanges(store, batchSize));
+
+    if (count === 0) break;
+    if (changes.length > 0) await adapter.push(changes);
+    await customStore('readwrite', store => {
+      const [journalStore, syncStore] = syncStoresOf(store);
+
+      journalStore.delete(keyRanges().upperBound(lastSeq));
+      changes.forEach(change => syncStore.put({ key: pushedRecordKey(change), revision: change.revision }));
+      return promisifyRequest(store.transaction);
+    });
+    result.pushed += changes.length;
+    if (count < batchSize) break;
+  }
+  return result;
 }
 
 
 
 /**
- * Get multiple values by their keys.
- * 
- * Promise.all takes an array of promises and returns a single promise that resolves when all the promises in the array resolve, or rejects, if any of the promises in the array reject.
- * 
- * Array of Promises is created by mapping each Key in an Key array and promisifying the get request.
+ * Create an in-process sync adapter, e.g. for tests or to sync stores of one app with each other. 
+ * Every store synced with the same adapter sees the changes of the others.
  * 
- * 'customStore('readonly', store => { ... })' initiates a readonly transaction.
- * The 'store' object represents the object store within this transaction.
- * Inside this transaction we perform necessary operations.
- * This process doesn't need to wait for the entire transaction to complete, because the operations involved are read-only and can be resolved individually as soon as each 'get' request completes.
- * Since no data is being modified, there's no need to ensure that multiple operations within the transaction succeed or fail together.
+ * It keeps all pushed changes in memory, in the order they were pushed, and the checkpoint is the number of changes pulled so far.
+ * A store also pulls back its own changes, and 'sync' skips them.
+ *
+ * @example
+ * const remote = createLocalAdapter();
  * 
+ * await set('theme', 'dark', laptopStore);
+ * await sync(laptopStore, remote);
+ * await sync(phoneStore, remote);
+ * await get('theme', phoneStore); // 'dark'
  *
- * @param {IDBValidKey[]} keys - An array of keys to retrieve from the store.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<Array>} - A promise that resolves to an array of values corresponding to the provided keys.
+ * @returns {SyncAdapter & { changes: SyncChange[] }} The adapter. 'changes' is the list of pushed changes.
  */
-export function getMany(keys, customStore) {
-  return customStore('readOnly', store => {
-    return Promise.all(keys.map(key => promisifyRequest(store.get(key))));
-  })
+export function createLocalAdapter() {
+  const changes = [];
+
+  return {
+    changes,
+    async push(pushed) {
+      pushed.forEach(change => changes.push(cloneValue(change)));
+    },
+    async pull(checkpoint = 0, { limit = Infinity } = {}) {
+      const page = changes.slice(checkpoint, checkpoint + limit).map(cloneValue);
+
+      return { changes: page, checkpoint: checkpoint + page.length, hasMore: checkpoint + page.length < changes.length };
+    },
+  };
 }
 
 
 
 /**
- * Updates a value in the IndexedDB store using the specified key and an updater callback function.
- * 
- * The update operation is wrapped in a Promise for asynchronous handling. IndexedDB operations are asynchronous, and Promises help manage them effectively, ensuring proper error handling.
- * 
- * @param {IDBValidKey} key - The key to update the value for.
- * @param {Function} updaterCallback - A callback function that receives the current value from IndexedDB and returns the updated value.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - A promise that resolves when the update operation completes successfully.
+ * The object stores of namespaces, with their namespace and the store they wrap (see 'createNamespacedObjectStore').
+ * @type {WeakMap<object, { namespace: Namespace, store: IDBObjectStore }>}
  */
-export function update(key, updaterCallback, customStore) {
-  return customStore('readwrite', store => {
-    return new Promise((resolve, reject) => {
-      /**
-       * Sets up an event handler for the 'onsuccess' event of an 'IDBRequest' object which is returned by 'store.get(key)' call.
-       * 
-       * It is important NOT to use an arrow function to keep correct 'this' context. Otherwise, we should retrieve the 'result' like this: 'event.target.result'.
-       * 
-       * In our case, 'this' refers to an event target, which is the object that triggered the event - 'IDBRequest' object.
-       */
-      store.get(key).onsuccess = function() {
-        try {
-          /**
-           * 'this.result' refers to the result of 'get' request - the value retrueved from the object store associated with the specific 'key'.
-           * 
-           * 'put' method either adds a new key-value pair if specified key doesn't exist, or updates the value if the key exists.
-           * 
-           * 
-           * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
-           * The 'store' object represents the object store within this transaction.
-           * Inside this transaction we perform necessary operations.
-           * 'store.transaction' works as marking point. 
-           * 'resolve(promisifyRequest(store.transaction))' call ensures that the promise resolves only when the transaction successfully completes.
-           */
-          store.put(updaterCallback(this.result), key);
-          resolve(promisifyRequest(store.transaction));
-        } catch(error) {
-          reject(error);
-        }
-      }
-    });
-  });
-}
+const namespacedStores = new WeakMap();
 
+/**
+ * The stores returned by 'namespace', with the store they were made from.
+ * @type {WeakMap<Function, { customStore: Function, namespace: Namespace }>}
+ */
+const namespaceViews = new WeakMap();
 
+/**
+ * A result which a namespaced cursor doesn't deliver, because the record is outside of the namespace.
+ */
+const SKIPPED = Symbol('skipped');
 
 /**
- * Delete a particular key from the store.
- * 
- * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
- * The 'store' object represents the object store within this transaction.
- * Inside this transaction we perform necessary operations.
- * 'store.transaction' works as marking point. 
- * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
- *
- * @param {IDBValidKey} key - Key to delete from the store.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - Promise that resolves when the key is deleted.
+ * The key translation of a namespace. Its keys are the keys of the store without the prefix.
+ * @typedef {Object} Namespace
+ * @property {string} prefix - The prefix.
+ * @property {(key: string) => string} toStored - Turn a key of the namespace into a key of the store.
+ * @property {(key: string) => string} toView - Turn a key of the store into a key of the namespace.
+ * @property {(key: any) => boolean} contains - Whether a key of the store is in the namespace.
+ * @property {(query?: IDBValidKey|IDBKeyRange|null) => IDBValidKey|IDBKeyRange} toStoredQuery - Turn a key or key range of the namespace into one of the store. No query is the whole namespace.
+ * @property {(change: Change) => Change} toStoredChange - Turn a change of the namespace into a change of the store.
+ * @property {(change: Change) => Change|null} toViewChange - Turn a change of the store into a change of the namespace, or 'null' if it's outside of it.
  */
-export function del(key, customStore) {
-  return customStore('readwrite', store => {
-    store.delete(key);
-    return promisifyRequest(store.transaction);
-  })
-}
 
 
 
 /**
- * Delete multiple keys at once.
+ * Create the key translation of a namespace.
  * 
- * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
- * The 'store' object represents the object store within this transaction.
- * Inside this transaction we perform necessary operations.
- * 'store.transaction' works as marking point. 
- * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ * The namespace covers the strings which start with the prefix, like the 'prefix' query option (see 'toKeyRange'). Its keys must be strings.
  *
- * @param {IDBValidKey[]} keys - List of keys to delete.
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - Promise that resolves when all keys are deleted.
+ * @param {string} prefix - The prefix.
+ * @returns {Namespace} The namespace.
  */
-export function delMany(keys, customStore) {
-  return customStore('readwrite', store => {
-    keys.forEach(key => store.delete(key));
-    return promisifyRequest(store.transaction);
-  });
+function createNamespace(prefix) {
+  const bounds = { lower: prefix, upper: prefix + '\uffff', lowerOpen: false, upperOpen: false };
+
+  const toStored = (key) => {
+    if (typeof key !== 'string') {
+      throw createDOMError('DataError', `The keys of namespace '${prefix}' must be strings.`);
+    }
+    return prefix + key;
+  };
+  const toView = key => key === undefined ? undefined : key.slice(prefix.length);
+  const contains = key => typeof key === 'string' && key.startsWith(prefix);
+
+  const toStoredRange = (range) => {
+    const narrowed = { ...bounds };
+
+    narrowBounds(narrowed, {
+      lower: range.lower === undefined ? undefined : toStored(range.lower),
+      upper: range.upper === undefined ? undefined : toStored(range.upper),
+      lowerOpen: range.lowerOpen,
+      upperOpen: range.upperOpen,
+    });
+    return narrowed;
+  };
+
+  const toStoredQuery = (query) => {
+    if (query !== undefined && query !== null && !isKeyRange(query)) return toStored(query);
+
+    const { lower, upper, lowerOpen, upperOpen } = query ? toStoredRange(query) : bounds;
+
+    return keyRanges().bound(lower, upper, lowerOpen, upperOpen);
+  };
+
+  const toViewChange = (change) => {
+    if (change.type === 'clear') return change;
+    if (change.range) {
+      if (!rangesOverlap(change.range, bounds)) return null;
+      /**
+       * Deleting the whole namespace is how a namespace is cleared (see 'clearValues').
+       */
+      if (rangeIncludes(change.range, bounds.lower) && rangeIncludes(change.range, bounds.upper)) return { type: 'clear' };
+
+      const { lower, upper, lowerOpen, upperOpen } = change.range;
+      const range = { lowerOpen, upperOpen };
+      /**
+       * A bound beyond the namespace doesn't limit it.
+       */
+      range.lower = contains(lower) ? toView(lower) : undefined;
+      range.upper = contains(upper) ? toView(upper) : undefined;
+      return { ...change, range };
+    }
+    return contains(change.key) ? { ...change, key: toView(change.key) } : null;
+  };
+
+  return {
+    prefix,
+    toStored,
+    toView,
+    contains,
+    toStoredQuery,
+    toStoredChange: change => (
+      change.range ? { ...change, range: toStoredRange(change.range) } : change.key === undefined ? change : { ...change, key: toStored(change.key) }
+    ),
+    toViewChange,
+  };
 }
 
 
 
 /**
- * Clear all values in the store.
- * 
- * customStore('readwrite', store => { ... })' initiates a readwrite transaction.
- * The 'store' object represents the object store within this transaction.
- * Inside this transaction we perform necessary operations.
- * 'store.transaction' works as marking point. 
- * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ * Copy a value with the key at its key path translated. Only the objects on the path are copied.
  *
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<void>} - Promise that resolves when the store is cleared.
+ * @param {any} value - The value.
+ * @param {string} keyPath - The key path.
+ * @param {(key: any) => any} translate - Translates the key.
+ * @returns {any} The copy.
  */
-export function clear(customStore) {
-  return customStore('readwrite', store => {
-    store.clear();
-    return promisifyRequest(store.transaction);
-  });
+function translateInlineKey(value, keyPath, translate) {
+  const [name, ...rest] = keyPath.split('.');
+
+  if (value === null || typeof value !== 'object') return value;
+
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+
+  copy[name] = rest.length > 0 ? translateInlineKey(value[name], rest.join('.'), translate) : translate(value[name]);
+  return copy;
 }
 
 
 
 /**
- * Helper function to iterate over cursor results.
- * 
- * Cursor provides a way to iterate over the records sequentially.
- * 'openCursor()' initiates a cursor operation and allows us to handle each record as it becomes available.
- * As the cursor iterates through each record, the 'onsuccess' event of the cursor's request ('IDBRequest') is triggered. And inside 'onsuccess' we can access the current record ('this.result') and perform operations on it.
- * When 'this.result' becomes 'null', it indicates that there are no more records to iterate over and cursor iteration stops.
+ * Wrap an object store (within a transaction), so it shows only the records of a namespace, with the prefix removed from their keys.
  * 
- * 
- *  'store.openCursor().onsuccess = function() { ... })' initiates a readwrite transaction.
- * The 'store' object represents the object store within this transaction.
- * Inside this transaction we perform necessary operations.
- * 'store.transaction' works as marking point. 
- * 'promisifyRequest(store.transaction)' call ensures that the promise resolves only when the transaction successfully completes.
+ * Queries are narrowed to the key range of the namespace, and written keys get the prefix. 
+ * The transaction is wrapped as well, so the companion stores (expiry times, access records, revisions) are translated the same way,
+ * and the journal gets the keys of the store (see 'sync').
+ * Index queries can't be narrowed by the key, so the records of other namespaces are skipped.
  *
- * @param {IDBObjectStore} store - The object store to iterate over.
- * @param {(cursor: IDBCursorWithValue) => void} callback - Callback function to handle each cursor result.
- * @returns {Promise<void>} - Promise that resolves when the iteration completes.
+ * @param {IDBObjectStore} store - The object store.
+ * @param {Namespace} namespace - The namespace.
+ * @returns {IDBObjectStore} The wrapped store. It supports what the helpers use.
  */
-function eachCursor(store, callback) {
-  store.openCursor().onsuccess = function() {
-    /**
-     * Base case to stop the iteration when there is no more record.
-     */
-    if (!this.result) return;
-    /**
-     * Handles each record.
-     */
-    callback(this.result);
-    /**
-     * Moves to the next record.
-     */
-    this.result.continue();
+function createNamespacedObjectStore(store, namespace) {
+  const { toStored, toView, contains, toStoredQuery } = namespace;
+  const { transaction } = store;
+  const wrappedStores = new Map();
+
+  const wrappedTransaction = {
+    get db() { return transaction.db; },
+    get mode() { return transaction.mode; },
+    get error() { return transaction.error; },
+    get objectStoreNames() { return transaction.objectStoreNames; },
+    objectStore(name) {
+      if (!wrappedStores.has(name)) wrappedStores.set(name, wrapCompanion(name));
+      return wrappedStores.get(name);
+    },
+    abort: () => transaction.abort(),
+    commit: () => transaction.commit(),
+    addEventListener: (type, listener) => transaction.addEventListener(type, listener),
+    removeEventListener: (type, listener) => transaction.removeEventListener(type, listener),
   };
-  return promisifyRequest(store.transaction);
-}
 
+  ['oncomplete', 'onerror', 'onabort'].forEach((name) => {
+    Object.defineProperty(wrappedTransaction, name, { get: () => transaction[name], set: (handler) => { transaction[name] = handler; } });
+  });
 
+  /**
+   * Forward a request, with its result translated. 'transform' may return 'SKIPPED' to hold a result back (a cursor record of another namespace).
+   */
+  const forward = (source, realRequest, transform = result => result) => {
+    const request = { result: undefined, error: null, readyState: 'pending', source, transaction: wrappedTransaction, onsuccess: null, onerror: null };
+    const dispatch = makeEventTarget(request);
 
-/**
- * Retrieves all keys from the IndexedDB store using the provided custom store function.
- * 
- * This function initiates a read-only transaction on the IndexedDB store.
- * If available, it uses the modern IndexedDB method 'getAllKeys()' to fetch all keys asynchronously.
- * For older browsers without 'getAllKeys()', it iterates over each record in the store using the 'eachCursor' helper function.
- * 
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<Array>} A promise that resolves with an array of keys retrieved from the IndexedDB store.
- */
-export function keys(customStore) {
-  return customStore('readonly', async store => {
+    realRequest.addEventListener('success', () => {
+      const result = transform(realRequest.result);
+
+      if (result === SKIPPED) return;
+      request.readyState = 'done';
+      request.result = result;
+      dispatch('success');
+    });
+    realRequest.addEventListener('error', (event) => {
+      request.readyState = 'done';
+      request.error = realRequest.error;
+      if (dispatch('error').defaultPrevented) event.preventDefault();
+    });
+    return request;
+  };
+
+  const wrapStore = (realStore, keyPath) => {
+    const toViewValue = value => keyPath === null || value === undefined ? value : translateInlineKey(value, keyPath, toView);
+    const toStoredValue = value => keyPath === null ? value : translateInlineKey(value, keyPath, key => toStored(key));
     /**
-     * Fast path for modern browsers.
-     * This method fetches all keys asynchronously and returns a promise that resolves with an array of keys.
+     * Stores with a key path take the key from the value, so there is no key to translate.
      */
-    if (store.getAllKeys) {
-      return promisifyRequest(store.getAllKeys());
-    }
+    const write = method => (value, key) => forward(wrapped, keyPath === null ? realStore[method](value, toStored(key)) : realStore[method](toStoredValue(value)), toView);
+
     /**
-     * Fallback for Older Browsers.
-     * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
-     * For each cursor result, it pushes the 'cursor.key' (which represents the primary key of the record) into the items array.
-     * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes). This promise resolvs to the 'items' array containing all keys retrieved from the object store.
+     * Cursors of an index walk over every namespace, so they skip the records of other namespaces, also when advancing.
      */
-    const items = [];
+    const openCursor = (source, realSource, query, direction, withValue, isIndex) => {
+      let skip = 0;
+      const realRequest = withValue ? realSource.openCursor(query, direction) : realSource.openKeyCursor(query, direction);
+      const request = forward(source, realRequest, (cursor) => {
+        if (!cursor) return null;
+        if (isIndex && (!contains(cursor.primaryKey) || skip > 0)) {
+          if (contains(cursor.primaryKey)) skip--;
+          cursor.continue();
+          return SKIPPED;
+        }
+        return {
+          source,
+          request,
+          direction: cursor.direction,
+          key: isIndex ? cursor.key : toView(cursor.key),
+          primaryKey: toView(cursor.primaryKey),
+          value: withValue ? toViewValue(cursor.value) : undefined,
+          continue: key => key === undefined ? cursor.continue() : cursor.continue(isIndex ? key : toStored(key)),
+          advance: (count) => {
+            if (!isIndex) return cursor.advance(count);
+            skip = count - 1;
+            cursor.continue();
+          },
+          continuePrimaryKey: (key, primaryKey) => cursor.continuePrimaryKey(key, toStored(primaryKey)),
+          update: value => forward(source, cursor.update(toStoredValue(value)), toView),
+          delete: () => forward(source, cursor.delete()),
+        };
+      });
+      return request;
+    };
 
-    await eachCursor(store, cursor => items.push(cursor.key));
+    /**
+     * Index queries read the primary keys as well, to keep only the records of the namespace. 
+     * Both requests are made right away, and the keys arrive first, because requests complete in order.
+     */
+    const wrapIndex = (index) => {
+      const matching = (query, count, withValues, pick) => {
+        const keysRequest = index.getAllKeys(query);
+        const valuesRequest = withValues ? index.getAll(query) : keysRequest;
 
-    return items;
-  });
-}
+        return forward(wrappedIndex, valuesRequest, () => {
+          const found = [];
 
+          keysRequest.result.forEach((primaryKey, i) => {
+            if (contains(primaryKey) && (!count || found.length < count)) {
+              found.push({ key: toView(primaryKey), value: withValues ? toViewValue(valuesRequest.result[i]) : undefined });
+            }
+          });
+          return pick(found);
+        });
+      };
+      const wrappedIndex = {
+        name: index.name,
+        objectStore: wrapped,
+        keyPath: index.keyPath,
+        unique: index.unique,
+        multiEntry: index.multiEntry,
+        get: query => matching(query, 1, true, found => found.length > 0 ? found[0].value : undefined),
+        getKey: query => matching(query, 1, false, found => found.length > 0 ? found[0].key : undefined),
+        getAll: (query, count) => matching(query, count, true, found => found.map(record => record.value)),
+        getAllKeys: (query, count) => matching(query, count, false, found => found.map(record => record.key)),
+        count: query => matching(query, 0, false, found => found.length),
+        openCursor: (query, direction) => openCursor(wrappedIndex, index, query, direction, true, true),
+        openKeyCursor: (query, direction) => openCursor(wrappedIndex, index, query, direction, false, true),
+      };
+      return wrappedIndex;
+    };
+    const indexes = new Map();
 
+    const wrapped = {
+      name: realStore.name,
+      transaction: wrappedTransaction,
+      keyPath: realStore.keyPath,
+      autoIncrement: realStore.autoIncrement,
+      get indexNames() { return realStore.indexNames; },
 
-/**
- * Get all values in the store.
- *
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<Array>} - Promise that resolves with an array of values in the store.
- */
-export function values(customStore) {
-  return customStore('readonly', async store => {
-    /**
-     * Fast path for modern browsers.
-     * This method fetches all values asynchronously and returns a promise that resolves with an array of values.
-     */
-    if (store.getAll) {
-      return promisifyRequest(store.getAll());
+      put: write('put'),
+      add: write('add'),
+      get: query => forward(wrapped, realStore.get(toStoredQuery(query)), toViewValue),
+      getKey: query => forward(wrapped, realStore.getKey(toStoredQuery(query)), toView),
+      getAll: (query, count) => forward(wrapped, realStore.getAll(toStoredQuery(query), count), values => values.map(toViewValue)),
+      getAllKeys: (query, count) => forward(wrapped, realStore.getAllKeys(toStoredQuery(query), count), keys => keys.map(toView)),
+      count: query => forward(wrapped, realStore.count(toStoredQuery(query))),
+      delete: query => forward(wrapped, realStore.delete(toStoredQuery(query))),
+      clear: () => forward(wrapped, realStore.delete(toStoredQuery())),
+      openCursor: (query, direction) => openCursor(wrapped, realStore, toStoredQuery(query), direction, true, false),
+      openKeyCursor: (query, direction) => openCursor(wrapped, realStore, toStoredQuery(query), direction, false, false),
+
+      index(name) {
+        if (!indexes.has(name)) indexes.set(name, wrapIndex(realStore.index(name)));
+        return indexes.get(name);
+      },
+    };
+    return wrapped;
+  };
+
+  /**
+   * The companion stores keep the key of the record in 'key'. The journal is keyed by its position, and only gets new entries.
+   * Other stores of the transaction (the checkpoint of 'sync') are not translated.
+   */
+  function wrapCompanion(name) {
+    const companion = transaction.objectStore(name);
+
+    if (name === store.name) return wrapped;
+    if ([expiryStoreName(store.name), accessStoreName(store.name), revisionStoreName(store.name)].includes(name)) return wrapStore(companion, 'key');
+    if (name === journalStoreName(store.name)) {
+      return { add: entry => companion.add(entry.key === undefined ? entry : { ...entry, key: toStored(entry.key) }) };
     }
-    /**
-     * Fallback for Older Browsers.
-     * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
-     * For each cursor result, it pushes the 'cursor.value' (which represents the primary key of the record) into the items array.
-     * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes). This promise resolvs to the 'items' array containing all values retrieved from the object store.
-     */
-    const items = [];
+    return companion;
+  }
 
-    await eachCursor(store, cursor => items.push(cursor.value));
-    return items;
-  });
+  const wrapped = wrapStore(store, store.keyPath);
+
+  wrappedStores.set(store.name, wrapped);
+  namespacedStores.set(wrapped, { namespace, store });
+  return wrapped;
 }
 
 
 
 /**
- * Get all entries in the store. Each entry is an array of `[key, value]`.
+ * Get a view of a store which holds only the keys that start with a prefix, like a store of its own within the object store.
+ * 
+ * Separate object stores need a schema upgrade, while a namespace needs nothing: every helper works on the view, and sees the keys without the prefix.
+ * 'clear' deletes the keys of the namespace only, 'keys', 'count' and the other reads stay within it, 
+ * and 'watch' reports the changes of the namespace. The keys of a namespace must be strings.
+ * 
+ * Expiry times, cache limits and revisions work per namespace. The changes are journaled with the keys of the store, so 'sync' the store itself.
+ * Index queries skip the records of other namespaces, so they read the keys of every matching record.
+ * Namespaces can be nested. Wrap the other wrappers (e.g. 'encryptStore') with the namespace, not the other way round.
  *
- * @param {Function} customStore - A function that takes a mode ('readOnly' or 'readWrite') and a callback. The callback is executed with the store object.
- * @returns {Promise<Array>} - Promise that resolves with an array of entries in the store.
+ * @example
+ * const settings = namespace(customStore, 'settings:');
+ * await set('theme', 'dark', settings); // stored as 'settings:theme'
+ * await keys(settings); // ['theme']
+ * await clear(settings); // the other keys of the store stay
+ *
+ * @param {Function} customStore - A function that takes a mode ('readonly' or 'readwrite') and a callback. The callback is executed with the store object.
+ * @param {string} prefix - The prefix of the keys.
+ * @returns {Function} The namespaced store. It also has the 'close', 'on' and 'off' methods and the settings (plugins, validation...) of the store, if any.
+ * @throws {TypeError} Throws an error if the prefix is not a non-empty string.
  */
-export function entries(customStore) {
-  return customStore('readonly', async store => {
-    /**
-     * Fast path for modern browsers.
-     * This method fetches all keys and values asynchronously and returns a promise that resolves with an array of entries.
-     */
-    if (store.getAll && store.getAllKeys) {
-      const keys = await promisifyRequest(store.getAllKeys());
-      const values = await promisifyRequest(store.getAll());
-      return keys.map((key, i) => [key, values[i]]);
-    }
-    /**
-     * Fallback for Older Browsers.
-     * Uses 'eachCursor' helper function to iterate over each record in the 'store'.
-     * For each cursor result, it pushes the [key, value] pair into the items array.
-     * After iterating through all records using 'eachCursor', it returns a promise ('eachCursor' returns a promise that resolves when the iteration completes).
-     * This promise resolves to the 'items' array containing all entries retrieved from the object store.
-     */
-    const items = [];
-    await eachCursor(store, cursor => items.push([cursor.key, cursor.value]));
-    return items;
-  });
-}
\ No newline at end of file
+export function namespace(customStore, prefix) {
+  if (typeof prefix !== 'string' || prefix === '') {
+    throw new TypeError(`Error during creating a namespace: 'prefix' must be a non-empty string!`);
+  }
+
+  const scope = createNamespace(prefix);
+  const namespacedStore = (transactionMode, callback) => customStore(transactionMode, store => callback(createNamespacedObjectStore(store, scope)));
+
+  inheritStoreExtras(customStore, namespacedStore);
+  /**
+   * The reads of a cache queue their accesses by the cache options (see 'recordAccesses'). The keys of a namespace are not the keys of the store, 
+   * so the namespace gets options of its own, and its accesses are recorded through the namespace.
+   */
+  const settings = storeSettings.get(namespacedStore);
+
+  if (settings && settings.cache) storeSettings.set(namespacedStore, { ...settings, cache: { ...settings.cache } });
+  namespaceViews.set(namespacedStore, { customStore, namespace: scope });
+  return namespacedStore;
+}
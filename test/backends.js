@@ -0,0 +1,62 @@
+/**
+ * The backends which every test file runs against: IndexedDB and the in-memory backend.
+ * 
+ * Node has no IndexedDB, so 'fake-indexeddb' provides one which follows the specification.
+ * Every call of 'database()' gets a database name (and a memory backend) of its own, so the tests never share data.
+ */
+import 'fake-indexeddb/auto';
+import { describe } from 'node:test';
+import { createDatabase, createMemoryBackend, createStore } from '../main.js';
+
+let databases = 0;
+
+/**
+ * Describe a backend.
+ *
+ * @param {string} name - The name shown in the test output.
+ * @param {() => object} database - Creates the helpers which open one new database, possibly several times.
+ * @returns {{ name: string, database: () => object, createStore: Function }} The backend. 'createStore' opens a store in a new database.
+ */
+function defineBackend(name, database) {
+  return {
+    name,
+    database,
+    createStore: (...args) => database().createStore(...args),
+  };
+}
+
+export const backends = [
+  defineBackend('IndexedDB', () => {
+    const dbName = `test-${++databases}`;
+
+    return {
+      name: dbName,
+      createStore: (storeName = 'keyval', dbOptions = null, migrations = null) => createStore(dbName, storeName, dbOptions, migrations),
+      createDatabase: schema => createDatabase(dbName, schema),
+    };
+  }),
+
+  defineBackend('memory', () => {
+    const dbName = `test-${++databases}`;
+    const backend = createMemoryBackend();
+
+    return {
+      name: dbName,
+      createStore: (storeName = 'keyval', dbOptions = null, migrations = null) => {
+        const db = createDatabase(dbName, { stores: { [storeName]: dbOptions }, migrations, backend });
+
+        return Object.assign(db.store(storeName), { close: db.close, on: db.on, off: db.off });
+      },
+      createDatabase: schema => createDatabase(dbName, { ...schema, backend }),
+    };
+  }),
+];
+
+/**
+ * Run the tests of a file once for every backend.
+ *
+ * @param {(backend: object) => void} suite - Defines the tests.
+ */
+export function describeBackends(suite) {
+  backends.forEach(backend => describe(backend.name, () => suite(backend)));
+}
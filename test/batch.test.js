@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { batchStore, encryptStore, subscribe, set, setMany, get, getMany, del, update, keys, entries } from '../main.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+const generateKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describeBackends((backend) => {
+  test('queued writes are committed in one transaction with one change event', async () => {
+    const store = backend.createStore();
+    const batched = batchStore(store);
+    const events = [];
+    const unsubscribe = subscribe(store, ({ changes }) => events.push(changes));
+    await unsubscribe.ready;
+
+    await Promise.all([
+      set('a', 1, batched),
+      set('a', 2, batched),
+      setMany([['b', 1], ['c', 1]], batched),
+      update('b', value => value + 1, batched),
+      del('c', batched),
+    ]);
+    await tick();
+    unsubscribe();
+
+    assert.deepEqual(await entries(store), [['a', 2], ['b', 2]]);
+    assert.equal(events.length, 1);
+  });
+
+  test('reads see the queued values, other operations commit the batch first', async () => {
+    const store = backend.createStore();
+    const batched = batchStore(store, { window: 1000 });
+
+    set('a', 1, batched);
+    assert.equal(await get('a', batched), 1);
+    assert.deepEqual(await getMany(['a', 'b'], batched), [1, undefined]);
+    assert.deepEqual(await keys(store), []);
+
+    assert.deepEqual(await keys(batched), ['a']);
+    assert.deepEqual(await keys(store), ['a']);
+  });
+
+  test('flush commits right away', async () => {
+    const store = backend.createStore();
+    const batched = batchStore(store, { window: 1000 });
+
+    const written = set('a', 1, batched);
+    await batched.flush();
+    await written;
+
+    assert.equal(await get('a', store), 1);
+  });
+
+  test('a throwing updater rejects only its own call', async () => {
+    const store = backend.createStore();
+    const batched = batchStore(store);
+
+    const results = await Promise.allSettled([
+      set('a', 1, batched),
+      update('b', () => { throw new Error('nope'); }, batched),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status), ['fulfilled', 'rejected']);
+    assert.deepEqual(await keys(store), ['a']);
+  });
+
+  test('a failed transaction rejects every call and writes nothing', async () => {
+    const store = backend.createStore('users', { keyPath: 'id', indexes: [{ name: 'email', keyPath: 'email', unique: true }] });
+    const batched = batchStore(store);
+
+    const results = await Promise.allSettled([
+      set(undefined, { id: 1, email: 'ada@example.com' }, batched),
+      set(undefined, { id: 2, email: 'ada@example.com' }, batched),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status), ['rejected', 'rejected']);
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('batches of an encrypted store are encrypted when they are committed', async () => {
+    const plainStore = backend.createStore();
+    const secureStore = encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' });
+    await set('b', { count: 1 }, secureStore);
+
+    const batched = batchStore(secureStore, { window: 1000 });
+    const writes = [set('a', { secret: 'abc' }, batched), update('b', value => ({ count: value.count + 1 }), batched)];
+
+    assert.deepEqual(await getMany(['a', 'c'], batched), [{ secret: 'abc' }, undefined]);
+    await batched.flush();
+    await Promise.all(writes);
+
+    assert.deepEqual(await getMany(['a', 'b'], secureStore), [{ secret: 'abc' }, { count: 2 }]);
+    assert.ok(!JSON.stringify(await entries(plainStore)).includes('abc'));
+
+    set('c', 1, batched);
+    assert.deepEqual(await get('b', batched), { count: 2 });
+    await batched.flush();
+  });
+
+  test('reads of a batched cache use read-only transactions and record their accesses', async () => {
+    const store = backend.createStore('cache', { cache: { maxEntries: 2, policy: 'lfu' } });
+    await setMany([['a', 1], ['b', 2]], store);
+
+    const batched = batchStore(store, { window: 1000 });
+    const dataBase = await store('readonly', store => store.transaction.db);
+    const createTransaction = dataBase.transaction;
+    const modes = [];
+    dataBase.transaction = (...args) => {
+      modes.push(args[1]);
+      return createTransaction.apply(dataBase, args);
+    };
+
+    const written = set('c', 3, batched);
+    assert.equal(await get('a', batched), 1);
+    assert.equal(modes[0], 'readonly');
+
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await batched.flush();
+    await written;
+    assert.deepEqual(await keys(store), ['a', 'c']);
+  });
+});
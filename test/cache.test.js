@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { set, setMany, get, getMany, keys, transaction } from '../main.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+/**
+ * Access times have a resolution of one millisecond, so let one pass between accesses which must be ordered.
+ */
+const later = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describeBackends((backend) => {
+  test('the least recently used entries are evicted', async () => {
+    const evicted = [];
+    const store = backend.createStore('cache', { cache: { maxEntries: 2, onEvict: ({ key, reason }) => evicted.push([key, reason]) } });
+
+    await set('a', 1, store);
+    await later();
+    await set('b', 2, store);
+    await later();
+    await get('a', store);
+    await later();
+    await set('c', 3, store);
+    await tick();
+
+    assert.deepEqual(await keys(store), ['a', 'c']);
+    assert.deepEqual(evicted, [['b', 'limit']]);
+  });
+
+  test('the least frequently used entries are evicted', async () => {
+    const store = backend.createStore('cache', { cache: { maxEntries: 2, policy: 'lfu' } });
+
+    await setMany([['a', 1], ['b', 2]], store);
+    await get('b', store);
+    await get('b', store);
+    await get('a', store);
+    await set('c', 3, store);
+
+    assert.deepEqual(await keys(store), ['b', 'c']);
+  });
+
+  test('reads use read-only transactions and record their accesses afterwards', async () => {
+    const store = backend.createStore('cache', { cache: { maxEntries: 2, policy: 'lfu' } });
+    await setMany([['a', 1], ['b', 2]], store);
+
+    const dataBase = await store('readonly', store => store.transaction.db);
+    const createTransaction = dataBase.transaction;
+    const modes = [];
+    dataBase.transaction = (...args) => {
+      modes.push(args[1]);
+      return createTransaction.apply(dataBase, args);
+    };
+
+    await Promise.all([get('a', store), get('a', store), getMany(['a', 'b'], store)]);
+    await later();
+    assert.deepEqual(modes.slice(0, 3), ['readonly', 'readonly', 'readonly']);
+    assert.ok(modes.slice(3).every(mode => mode === 'readwrite'));
+
+    await set('c', 3, store);
+    assert.deepEqual(await keys(store), ['a', 'c']);
+  });
+
+  test('a write records the accesses queued before it', async () => {
+    const store = backend.createStore('cache', { cache: { maxEntries: 2 } });
+    await set('a', 1, store);
+    await later();
+    await set('b', 2, store);
+    await later();
+
+    await get('a', store);
+    await set('c', 3, store);
+
+    assert.deepEqual(await keys(store), ['a', 'c']);
+  });
+
+  test('maxBytes limits the approximate size of the values', async () => {
+    const store = backend.createStore('cache', { cache: { maxBytes: 100 } });
+
+    await set('a', 'x'.repeat(30), store);
+    await set('b', 'x'.repeat(30), store);
+
+    assert.deepEqual(await keys(store), ['b']);
+  });
+
+  test('writes through transaction() respect the limits', async () => {
+    const evicted = [];
+    const store = backend.createStore('cache', { cache: { maxEntries: 2, onEvict: ({ key }) => evicted.push(key) } });
+
+    await transaction(store, 'readwrite', async tx => {
+      await tx.set('a', 1);
+      await tx.set('b', 2);
+      await tx.set('c', 3);
+    });
+    await tick();
+
+    assert.deepEqual(await keys(store), ['b', 'c']);
+    assert.deepEqual(evicted, ['a']);
+
+    /**
+     * The entries written by the operation itself are never evicted.
+     */
+    await transaction(store, 'readwrite', tx => tx.setMany([['d', 4], ['e', 5], ['f', 6]]));
+    assert.deepEqual(await keys(store), ['d', 'e', 'f']);
+  });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { encryptStore, set, get, update, setIfAbsent, compareAndSet, updateAsync, ConflictError } from '../main.js';
+
+const generateKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describeBackends((backend) => {
+  test('setIfAbsent writes only missing keys', async () => {
+    const store = backend.createStore();
+
+    assert.equal(await setIfAbsent('a', 1, store), true);
+    assert.equal(await setIfAbsent('a', 2, store), false);
+    assert.equal(await get('a', store), 1);
+  });
+
+  test('compareAndSet compares by content', async () => {
+    const store = backend.createStore();
+    await set('a', { count: 1, tags: ['x'] }, store);
+
+    assert.equal(await compareAndSet('a', { count: 2 }, { count: 3 }, store), false);
+    assert.equal(await compareAndSet('a', { count: 1, tags: ['x'] }, { count: 2 }, store), true);
+    assert.deepEqual(await get('a', store), { count: 2 });
+    assert.equal(await compareAndSet('missing', undefined, 1, store), true);
+  });
+
+  test('compareAndSet compares maps and sets by their entries, in any order', async () => {
+    const store = backend.createStore();
+    const entries = Array.from({ length: 2000 }, (_, i) => [`key-${i}`, { i }]);
+    await set('map', new Map(entries), store);
+    await set('set', new Set([1, 'a', NaN, { id: 1 }, [2]]), store);
+
+    assert.equal(await compareAndSet('map', new Map([...entries].reverse()), 1, store), true);
+    assert.equal(await compareAndSet('set', new Set([[2], { id: 1 }, NaN, 'a', 1]), 2, store), true);
+
+    await set('map', new Map([[{ id: 1 }, 'a'], ['b', 2]]), store);
+    assert.equal(await compareAndSet('map', new Map([['b', 2], [{ id: 1 }, 'other']]), 3, store), false);
+    assert.equal(await compareAndSet('map', new Map([['b', 2], [{ id: 2 }, 'a']]), 3, store), false);
+    assert.equal(await compareAndSet('map', new Map([['b', 2], [{ id: 1 }, 'a']]), 3, store), true);
+  });
+
+  test('update refuses async updaters', async () => {
+    const store = backend.createStore();
+
+    await assert.rejects(update('a', async () => 1, store), TypeError);
+  });
+
+  for (const revisions of [false, true]) {
+    test(`updateAsync starts over after concurrent writes (revisions: ${revisions})`, async () => {
+      const store = backend.createStore('counters', { revisions });
+      await set('visits', 0, store);
+
+      let runs = 0;
+      const result = updateAsync('visits', async (visits) => {
+        runs++;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return visits + 1;
+      }, store);
+      await set('visits', 10, store);
+
+      await result;
+      assert.equal(await get('visits', store), 11);
+      assert.equal(runs, 2);
+    });
+  }
+
+  test('updateAsync gives up with a ConflictError', async () => {
+    const store = backend.createStore('counters', { revisions: true });
+    await set('visits', 0, store);
+
+    let writes = 0;
+    await assert.rejects(updateAsync('visits', async (visits) => {
+      await set('visits', ++writes, store);
+      return visits + 1;
+    }, store, { retries: 2 }), ConflictError);
+    assert.equal(await get('visits', store), writes);
+  });
+
+  test('conditional writes encrypt and decrypt on an encrypted store', async () => {
+    const plainStore = backend.createStore();
+    const secureStore = encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' });
+
+    assert.equal(await setIfAbsent('a', { count: 1 }, secureStore), true);
+    assert.equal(await setIfAbsent('a', { count: 2 }, secureStore), false);
+    assert.equal(await compareAndSet('a', { count: 2 }, { count: 3 }, secureStore), false);
+    assert.equal(await compareAndSet('a', { count: 1 }, { count: 3 }, secureStore), true);
+    assert.deepEqual(await updateAsync('a', async (value) => ({ count: value.count + 1 }), secureStore), { count: 4 });
+
+    assert.deepEqual(await get('a', secureStore), { count: 4 });
+    assert.ok(!JSON.stringify(await get('a', plainStore)).includes('count'));
+    await assert.rejects(update('a', async () => 1, secureStore), TypeError);
+  });
+});
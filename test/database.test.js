@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { promisifyRequest, get, set, keys } from '../main.js';
+
+describeBackends((backend) => {
+  const openMail = () => backend.database().createDatabase({ stores: { outbox: null, sent: null } });
+
+  test('store accessors are cached and work with the helpers', async () => {
+    const db = openMail();
+
+    assert.equal(db.store('outbox'), db.store('outbox'));
+    await set('message-1', 'hello', db.store('outbox'));
+    assert.equal(await get('message-1', db.store('outbox')), 'hello');
+    assert.deepEqual(await keys(db.store('sent')), []);
+    await db.close();
+  });
+
+  test('a transaction spans several stores', async () => {
+    const db = openMail();
+    await set('message-1', 'hello', db.store('outbox'));
+
+    await db.transaction(['outbox', 'sent'], 'readwrite', async ({ outbox, sent }) => {
+      const message = await promisifyRequest(outbox.get('message-1'));
+      sent.put(message, 'message-1');
+      outbox.delete('message-1');
+      return promisifyRequest(outbox.transaction);
+    });
+
+    assert.deepEqual(await keys(db.store('outbox')), []);
+    assert.equal(await get('message-1', db.store('sent')), 'hello');
+    await db.close();
+  });
+
+  test('an aborted transaction rolls back every store', async () => {
+    const db = openMail();
+    await set('message-1', 'hello', db.store('outbox'));
+
+    await assert.rejects(db.transaction(['outbox', 'sent'], 'readwrite', ({ outbox, sent }) => {
+      sent.put('hello', 'message-1');
+      outbox.delete('message-1');
+      outbox.transaction.abort();
+      return promisifyRequest(outbox.transaction);
+    }));
+
+    assert.equal(await get('message-1', db.store('outbox')), 'hello');
+    assert.deepEqual(await keys(db.store('sent')), []);
+    await db.close();
+  });
+
+  test('a store declared after the database exists needs a migration', async () => {
+    const database = backend.database();
+    await database.createDatabase({ stores: { outbox: null } }).close();
+
+    const db = database.createDatabase({ stores: { outbox: null, sent: null } });
+    await assert.rejects(keys(db.store('sent')), /Object store 'sent' doesn't exist/);
+  });
+
+  test('invalid schemas are refused', () => {
+    assert.throws(() => backend.database().createDatabase({}), /must declare its object stores/);
+  });
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { encryptStore, rotateEncryptionKey, set, setMany, get, getMany, values, update, transaction, DecryptionError } from '../main.js';
+
+const generateKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describeBackends((backend) => {
+  test('values are encrypted at rest and read back transparently', async () => {
+    const plainStore = backend.createStore();
+    const secureStore = encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' });
+
+    await set('token', { secret: 'abc' }, secureStore);
+    await setMany([['a', 1], ['b', [2]]], secureStore);
+    await update('a', value => value + 1, secureStore);
+
+    assert.deepEqual(await get('token', secureStore), { secret: 'abc' });
+    assert.deepEqual(await getMany(['a', 'b'], secureStore), [2, [2]]);
+    assert.ok(!JSON.stringify(await values(plainStore)).includes('abc'));
+    assert.notDeepEqual(await get('a', plainStore), 2);
+  });
+
+  test('a wrong key or plaintext records reject with a DecryptionError', async () => {
+    const plainStore = backend.createStore();
+    await set('plain', 'hello', plainStore);
+    await set('secret', 'hello', encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' }));
+
+    const otherKey = encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' });
+    await assert.rejects(get('secret', otherKey), DecryptionError);
+    await assert.rejects(get('plain', otherKey), DecryptionError);
+
+    const tolerant = encryptStore(plainStore, { key: await generateKey(), allowPlaintext: true });
+    assert.equal(await get('plain', tolerant), 'hello');
+  });
+
+  test('rotating the key re-encrypts every record', async () => {
+    const plainStore = backend.createStore();
+    const oldKey = await generateKey();
+    const secureStore = encryptStore(plainStore, { key: oldKey, keyId: 'v1' });
+    await setMany([['a', 1], ['b', 2], ['c', 3]], secureStore);
+
+    const progress = [];
+    const rotated = await rotateEncryptionKey(secureStore, { key: await generateKey(), keyId: 'v2', batchSize: 2, onProgress: ({ processed }) => progress.push(processed) });
+
+    assert.deepEqual(await values(rotated), [1, 2, 3]);
+    assert.deepEqual(progress, [2, 3]);
+    await assert.rejects(get('a', encryptStore(plainStore, { key: oldKey, keyId: 'v1' })), DecryptionError);
+    await assert.rejects(rotateEncryptionKey(rotated, { key: await generateKey(), keyId: 'v2' }), /must be set and differ/);
+  });
+
+  test('expired records which are not purged yet are re-encrypted too', async () => {
+    const plainStore = backend.createStore('cache', { expiration: true });
+    const secureStore = encryptStore(plainStore, { key: await generateKey(), keyId: 'v1' });
+    await set('old', 'stale', secureStore, { expiresAt: Date.now() - 1000 });
+    await set('new', 'fresh', secureStore);
+
+    await rotateEncryptionKey(secureStore, { key: await generateKey(), keyId: 'v2' });
+
+    const records = await plainStore('readonly', store => new Promise((resolve) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+    }));
+    assert.deepEqual(records.map(record => record.__encrypted.keyId), ['v2', 'v2']);
+  });
+
+  test('an update starts over when the record changes in the meantime', async () => {
+    const plainStore = backend.createStore();
+    const secureStore = encryptStore(plainStore, { key: await generateKey(), allowPlaintext: true });
+    await set('n', 1, secureStore);
+
+    const seen = [];
+    await update('n', (value) => {
+      seen.push(value);
+      if (seen.length === 1) set('n', 10, plainStore);
+      return value + 1;
+    }, secureStore);
+
+    assert.deepEqual(seen, [1, 10]);
+    assert.equal(await get('n', secureStore), 11);
+  });
+
+  test('transactions are refused, and raw callbacks see the encrypted records', async () => {
+    const secureStore = encryptStore(backend.createStore(), { key: await generateKey() });
+    await set('a', 'secret', secureStore);
+
+    await assert.rejects(transaction(secureStore, 'readonly', tx => tx.get('a')), /not supported on encrypted stores/);
+
+    const record = await secureStore('readonly', store => new Promise((resolve) => {
+      const request = store.get('a');
+      request.onsuccess = () => resolve(request.result);
+    }));
+    assert.equal(typeof record.__encrypted, 'object');
+  });
+});
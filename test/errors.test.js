@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import {
+  get, set, update, transaction,
+  StoreError, NotFoundError, ConstraintError, InvalidModeError, TransactionAbortedError,
+} from '../main.js';
+
+/**
+ * Make the next 'failures' transactions of the store fail with the given error.
+ */
+async function failTransactions(store, failures, name) {
+  const dataBase = await store('readonly', store => store.transaction.db);
+  const createTransaction = dataBase.transaction;
+  let attempts = 0;
+
+  dataBase.transaction = (...args) => {
+    attempts++;
+    if (attempts <= failures) throw Object.assign(new Error('Try again'), { name });
+    return createTransaction.apply(dataBase, args);
+  };
+  return () => attempts;
+}
+
+describeBackends((backend) => {
+  test('IndexedDB errors are converted to store errors with details', async () => {
+    const store = backend.createStore('users', { keyPath: 'id', indexes: [{ name: 'email', keyPath: 'email', unique: true }] });
+    await set(undefined, { id: 1, email: 'ada@example.com' }, store);
+
+    const error = await set(undefined, { id: 2, email: 'ada@example.com' }, store).catch(error => error);
+    assert.ok(error instanceof ConstraintError);
+    assert.ok(error instanceof StoreError);
+    assert.equal(error.name, 'ConstraintError');
+    assert.equal(error.storeName, 'users');
+    assert.equal(error.operation, 'set');
+    assert.equal(error.cause.name, 'ConstraintError');
+  });
+
+  test('missing stores, invalid modes and throwing updaters', async () => {
+    const db = backend.database().createDatabase({ stores: { kv: null } });
+    await assert.rejects(get('a', db.store('missing')), NotFoundError);
+
+    const store = backend.createStore();
+    await assert.rejects(store('write', () => {}), InvalidModeError);
+
+    await set('a', 1, store);
+    const error = await update('a', () => { throw new Error('nope'); }, store).catch(error => error);
+    assert.ok(error instanceof TransactionAbortedError);
+    assert.equal(error.cause.message, 'nope');
+    assert.equal(await get('a', store), 1);
+  });
+
+  test('a transaction which commits under a running callback rejects with a TransactionAbortedError', async () => {
+    const store = backend.createStore();
+
+    const error = await transaction(store, 'readwrite', async (tx) => {
+      await tx.set('a', 1);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }).catch(error => error);
+    assert.ok(error instanceof TransactionAbortedError);
+    assert.equal(error.operation, 'transaction');
+    assert.equal(await get('a', store), 1);
+  });
+
+  test('malformed store options throw a TypeError', () => {
+    assert.throws(() => backend.createStore('kv', { retry: { retries: -1 } }), TypeError);
+  });
+
+  test('transient failures are retried with the retry policy', async () => {
+    const store = backend.createStore('kv', { retry: { retries: 2, delay: 1 } });
+    const attempts = await failTransactions(store, 2, 'UnknownError');
+
+    await set('a', 1, store);
+    assert.equal(attempts(), 3);
+
+    const impatient = backend.createStore('kv', { retry: { retries: 1, delay: 1 } });
+    const impatientAttempts = await failTransactions(impatient, 2, 'UnknownError');
+    await assert.rejects(set('a', 1, impatient), /Try again/);
+    assert.equal(impatientAttempts(), 2);
+  });
+
+  test('only the listed errors are retried', async () => {
+    const store = backend.createStore('kv', { retry: { retries: 3, delay: 1 } });
+    const attempts = await failTransactions(store, 1, 'DataError');
+
+    await assert.rejects(get('a', store), /Try again/);
+    assert.equal(attempts(), 1);
+  });
+});
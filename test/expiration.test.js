@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { set, setMany, get, getMany, keys, entries, purgeExpired } from '../main.js';
+
+describeBackends((backend) => {
+  const past = () => Date.now() - 1000;
+
+  test('expired records read as missing', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+    await set('fresh', 1, store, { ttl: 60 * 1000 });
+    await set('stale', 2, store, { expiresAt: past() });
+    await set('forever', 3, store);
+
+    assert.equal(await get('stale', store), undefined);
+    assert.deepEqual(await getMany(['fresh', 'stale'], store), [1, undefined]);
+    assert.deepEqual(await keys(store), ['forever', 'fresh']);
+    assert.deepEqual(await entries(store, { offset: 1 }), [['fresh', 1]]);
+  });
+
+  test('a record expires once its time to live has passed', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+    await set('a', 1, store, { ttl: 20 });
+
+    assert.equal(await get('a', store), 1);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(await get('a', store), undefined);
+  });
+
+  test('writing again without a time to live keeps the record forever', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+    await set('a', 1, store, { expiresAt: past() });
+    await set('a', 2, store);
+
+    assert.equal(await get('a', store), 2);
+  });
+
+  test('purgeExpired deletes the expired records in batches', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+    await setMany([['a', 1], ['b', 2], ['c', 3]], store, { expiresAt: past() });
+    await set('d', 4, store, { ttl: 60 * 1000 });
+
+    assert.equal(await purgeExpired(store, { batchSize: 2 }), 3);
+    assert.deepEqual(await keys(store), ['d']);
+    assert.equal(await purgeExpired(store), 0);
+  });
+
+  test('expiry options are checked', async () => {
+    await assert.rejects(set('a', 1, backend.createStore('cache', { expiration: true }), { ttl: 'soon' }), /'ttl' must be a number/);
+    await assert.rejects(purgeExpired(backend.createStore()), /must be created with 'expiration: true'/);
+  });
+
+  test('a batch size which is not a positive integer is refused', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+
+    await assert.rejects(purgeExpired(store, { batchSize: 0 }), { name: 'TypeError', message: /'batchSize' must be a positive integer/ });
+    await assert.rejects(purgeExpired(store, { batchSize: 2.5 }), TypeError);
+  });
+});
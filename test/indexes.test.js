@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { setMany, set, getByIndex, getAllByIndex, keysByIndex, countByIndex } from '../main.js';
+
+describeBackends((backend) => {
+  async function createUsers() {
+    const store = backend.createStore('users', {
+      keyPath: 'id',
+      indexes: [{ name: 'email', keyPath: 'email', unique: true }, 'age', { name: 'tags', keyPath: 'tags', multiEntry: true }],
+    });
+    await setMany([
+      [undefined, { id: 1, email: 'ada@example.com', age: 36, tags: ['math'] }],
+      [undefined, { id: 2, email: 'alan@example.com', age: 41, tags: ['math', 'code'] }],
+      [undefined, { id: 3, email: 'grace@example.com', age: 36, tags: ['code'] }],
+    ], store);
+    return store;
+  }
+
+  test('looks records up by index key', async () => {
+    const store = await createUsers();
+
+    assert.equal((await getByIndex('email', 'grace@example.com', store)).id, 3);
+    assert.equal(await getByIndex('email', 'nobody@example.com', store), undefined);
+    assert.equal((await getByIndex('age', 36, store)).id, 1);
+  });
+
+  test('queries an index with ranges, pagination and direction', async () => {
+    const store = await createUsers();
+
+    assert.deepEqual(await keysByIndex('age', store, { query: 36 }), [1, 3]);
+    assert.deepEqual((await getAllByIndex('age', store, { lower: 40 })).map(user => user.id), [2]);
+    assert.deepEqual(await keysByIndex('age', store, { direction: 'prev' }), [2, 3, 1]);
+    assert.deepEqual(await keysByIndex('age', store, { offset: 1, limit: 1 }), [3]);
+    assert.deepEqual(await keysByIndex('age', store, { direction: 'nextunique' }), [1, 2]);
+    assert.deepEqual(await keysByIndex('tags', store, { query: 'code' }), [2, 3]);
+    assert.equal(await countByIndex('age', store, { query: 36 }), 2);
+    assert.equal(await countByIndex('tags', store, { prefix: 'ma', offset: 1 }), 1);
+    assert.deepEqual(await getAllByIndex('age', store, { limit: 0 }), []);
+    assert.equal(await countByIndex('age', store, { limit: 0 }), 0);
+  });
+
+  test('a unique index refuses duplicates', async () => {
+    const store = await createUsers();
+
+    await assert.rejects(set(undefined, { id: 4, email: 'ada@example.com', age: 20, tags: [] }, store), { name: 'ConstraintError' });
+  });
+
+  test('malformed index declarations are refused', () => {
+    assert.throws(() => backend.createStore('users', { indexes: 'email' }), /'indexes' must be an array/);
+    assert.throws(() => backend.createStore('users', { indexes: [{ keyPath: ['a', 'b'] }] }), /Every index needs a 'keyPath'/);
+  });
+});
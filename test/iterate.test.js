@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { setMany, set, iterate } from '../main.js';
+
+async function collect(iterator) {
+  const items = [];
+  for await (const entry of iterator) items.push(entry);
+  return items;
+}
+
+describeBackends((backend) => {
+  test('iterates over all entries in batches', async () => {
+    const store = backend.createStore();
+    const stored = Array.from({ length: 7 }, (_, i) => [i, `value ${i}`]);
+    await setMany(stored, store);
+
+    assert.deepEqual(await collect(iterate(store, { batchSize: 3 })), stored);
+  });
+
+  test('respects the query, offset, limit and direction across batches', async () => {
+    const store = backend.createStore();
+    await setMany(Array.from({ length: 10 }, (_, i) => [i, i]), store);
+
+    const keysOf = async options => (await collect(iterate(store, options))).map(([key]) => key);
+
+    assert.deepEqual(await keysOf({ lower: 2, offset: 1, limit: 4, batchSize: 3 }), [3, 4, 5, 6]);
+    assert.deepEqual(await keysOf({ direction: 'prev', limit: 3, batchSize: 2 }), [9, 8, 7]);
+  });
+
+  test('the consumer can await other work between entries', async () => {
+    const store = backend.createStore();
+    await setMany([['a', 1], ['b', 2], ['c', 3]], store);
+
+    const seen = [];
+    for await (const [key] of iterate(store, { batchSize: 1 })) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      if (key === 'a') await set('d', 4, store);
+      seen.push(key);
+    }
+
+    assert.deepEqual(seen, ['a', 'b', 'c', 'd']);
+  });
+
+  test('a batch size or limit which is not valid is refused', async () => {
+    await assert.rejects(collect(iterate(backend.createStore(), { batchSize: 0 })), /'batchSize' must be a positive integer/);
+    await assert.rejects(collect(iterate(backend.createStore(), { limit: -1 })), /'limit' must be a non-negative integer/);
+  });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { get, set } from '../main.js';
+
+describeBackends((backend) => {
+  test('close emits an event, and the next operation opens the connection again', async () => {
+    const store = backend.createStore();
+    const reasons = [];
+    store.on('close', ({ reason }) => reasons.push(reason));
+
+    await set('a', 1, store);
+    await store.close();
+    assert.deepEqual(reasons, ['close']);
+    assert.equal(await get('a', store), 1);
+    await store.close();
+  });
+
+  test('a connection closed underneath the store is opened again', async () => {
+    const store = backend.createStore();
+    await set('a', 1, store);
+
+    await store('readonly', store => store.transaction.db.close());
+    assert.equal(await get('a', store), 1);
+    await store.close();
+  });
+
+  test('off removes a listener', async () => {
+    const store = backend.createStore();
+    const listener = () => assert.fail('listener was removed');
+
+    store.on('close', listener);
+    store.off('close', listener);
+    await set('a', 1, store);
+    await store.close();
+  });
+
+  test('an upgrade elsewhere closes the connection instead of being blocked', async () => {
+    const database = backend.database();
+    const migration = { version: 1, migrate: () => {} };
+    const older = database.createDatabase({ stores: { kv: null }, migrations: [migration] });
+    const events = [];
+    older.on('versionchange', () => events.push('versionchange'));
+    older.on('close', ({ reason }) => events.push(`close: ${reason}`));
+    older.on('blocked', () => events.push('blocked'));
+    await set('a', 1, older.store('kv'));
+
+    const newer = database.createDatabase({
+      stores: { kv: null },
+      migrations: [migration, { version: 2, migrate: (dataBase, transaction) => transaction.objectStore('kv').put(2, 'a') }],
+    });
+
+    assert.equal(await get('a', newer.store('kv')), 2);
+    assert.deepEqual(events, ['versionchange', 'close: versionchange']);
+    await newer.close();
+  });
+});
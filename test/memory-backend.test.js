@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore, createMemoryBackend, createDatabase, createStore, promisifyRequest, get, set, setMany, del, keys, entries } from '../main.js';
+
+test('createMemoryStore works with the helpers', async () => {
+  const store = createMemoryStore();
+
+  await set('a', { n: 1 }, store);
+  await setMany([['b', 2], ['c', 3]], store);
+  await del('c', store);
+
+  assert.deepEqual(await get('a', store), { n: 1 });
+  assert.deepEqual(await entries(store), [['a', { n: 1 }], ['b', 2]]);
+});
+
+test('memory stores never share data', async () => {
+  const first = createMemoryStore('app', 'kv');
+  const second = createMemoryStore('app', 'kv');
+
+  await set('a', 1, first);
+  assert.equal(await get('a', second), undefined);
+});
+
+test('values are cloned on write and on read', async () => {
+  const store = createMemoryStore();
+  const value = { list: [1] };
+
+  await set('a', value, store);
+  value.list.push(2);
+
+  const read = await get('a', store);
+  read.list.push(3);
+
+  assert.deepEqual(await get('a', store), { list: [1] });
+});
+
+test('keys are ordered like in IndexedDB', async () => {
+  const store = createMemoryStore();
+  const date = new Date(5);
+
+  await setMany([['b', 1], [[1], 2], [10, 3], [date, 4], [2, 5], ['a', 6]], store);
+  assert.deepEqual(await keys(store), [2, 10, date, 'a', 'b', [1]]);
+});
+
+test('an invalid key rejects and rolls back the transaction', async () => {
+  const store = createMemoryStore();
+
+  await assert.rejects(setMany([['a', 1], [{}, 2]], store), { name: 'DataError' });
+  assert.deepEqual(await keys(store), []);
+});
+
+test('unique indexes reject duplicates', async () => {
+  const store = createMemoryStore('app', 'users', { keyPath: 'id', indexes: [{ keyPath: 'email', unique: true }] });
+
+  await set(undefined, { id: 1, email: 'a@example.com' }, store);
+  await assert.rejects(set(undefined, { id: 2, email: 'a@example.com' }, store), { name: 'ConstraintError' });
+});
+
+test('index cursors seek an index key and a primary key with continuePrimaryKey', async () => {
+  const store = createMemoryStore('app', 'items', { keyPath: 'id', indexes: ['tag'] });
+
+  await setMany([1, 2, 3, 4, 5].map(id => [undefined, { id, tag: id <= 3 ? 'a' : 'b' }]), store);
+
+  const visited = await store('readonly', store => new Promise((resolve, reject) => {
+    const seen = [];
+    const request = store.index('tag').openCursor();
+    let sought = false;
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+
+      if (!cursor) return resolve(seen);
+      seen.push(cursor.primaryKey);
+      if (sought) return cursor.continue();
+      sought = true;
+      cursor.continuePrimaryKey('a', 3);
+    };
+  }));
+
+  assert.deepEqual(visited, [1, 3, 4, 5]);
+});
+
+test('continuePrimaryKey refuses object store cursors and positions behind the cursor', async () => {
+  const store = createMemoryStore('app', 'items', { keyPath: 'id', indexes: ['tag'] });
+
+  await setMany([[undefined, { id: 1, tag: 'a' }], [undefined, { id: 2, tag: 'a' }]], store);
+
+  const errors = await store('readonly', async (store) => {
+    const first = await promisifyRequest(store.openCursor());
+    const second = await promisifyRequest(store.index('tag').openCursor(null, 'next'));
+    const names = [];
+
+    try { first.continuePrimaryKey('a', 1); } catch (error) { names.push(error.name); }
+    try { second.continuePrimaryKey('a', 1); } catch (error) { names.push(error.name); }
+    return names;
+  });
+
+  assert.deepEqual(errors, ['InvalidAccessError', 'DataError']);
+});
+
+test('a memory backend keeps its databases across connections', async () => {
+  const backend = createMemoryBackend();
+  const first = createDatabase('app', { stores: { kv: null }, backend });
+
+  await set('a', 1, first.store('kv'));
+  await first.close();
+
+  const second = createDatabase('app', { stores: { kv: null }, backend });
+  assert.equal(await get('a', second.store('kv')), 1);
+  await second.close();
+});
+
+test('createStore falls back to the memory backend without IndexedDB', async () => {
+  assert.equal(typeof indexedDB, 'undefined');
+
+  const store = createStore('fallback-test', 'kv');
+
+  await set('a', 1, store);
+  assert.equal(await get('a', store), 1);
+});
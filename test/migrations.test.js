@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { get, keys } from '../main.js';
+
+describeBackends((backend) => {
+  test('migrations run in version order inside the upgrade', async () => {
+    const ran = [];
+    const store = backend.createStore('users', null, [
+      { version: 2, migrate: (dataBase, transaction) => { ran.push(2); transaction.objectStore('users').put('Ada', 'ada'); } },
+      { version: 1, migrate: (dataBase) => { ran.push(1); dataBase.createObjectStore('users'); } },
+    ]);
+
+    assert.equal(await get('ada', store), 'Ada');
+    assert.deepEqual(ran, [1, 2]);
+  });
+
+  test('asynchronous migrations finish before the next one starts', async () => {
+    const ran = [];
+    const store = backend.createStore('users', null, [
+      { version: 1, migrate: async () => { await Promise.resolve(); ran.push(1); } },
+      { version: 2, migrate: () => ran.push(2) },
+    ]);
+
+    await get('a', store);
+    assert.deepEqual(ran, [1, 2]);
+  });
+
+  test('a failing migration rejects the store with the failed version', async () => {
+    const store = backend.createStore('users', null, [
+      { version: 1, migrate: () => { throw new Error('broken'); } },
+    ]);
+
+    await assert.rejects(get('a', store), /Migration 1 failed: broken/);
+  });
+
+  test('a migration may create and reshape the declared store itself', async () => {
+    const store = backend.createStore('users', null, [
+      { version: 1, migrate: (dataBase) => dataBase.createObjectStore('users', { keyPath: 'id' }) },
+      { version: 2, migrate: (dataBase, transaction) => transaction.objectStore('users').createIndex('email', 'email') },
+    ]);
+
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('the declared store is created after asynchronous migrations', async () => {
+    const store = backend.createStore('users', null, [
+      { version: 1, migrate: async (dataBase) => { await Promise.resolve(); dataBase.createObjectStore('settings'); } },
+    ]);
+
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('a migration which awaits a timer rejects the store', async () => {
+    const store = backend.createStore('users', null, [
+      { version: 1, migrate: async () => { await new Promise(resolve => setTimeout(resolve, 10)); } },
+    ]);
+
+    await assert.rejects(get('a', store), /committed while a migration was still running/);
+  });
+
+  test('declared indexes are created after the migrations reshaped the store', async () => {
+    const store = backend.createStore('users', { keyPath: 'id', indexes: ['email'] }, [
+      { version: 1, migrate: (dataBase) => dataBase.createObjectStore('users', { keyPath: 'id' }).createIndex('age', 'age') },
+    ]);
+
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('only the migrations newer than the stored version run', async () => {
+    const database = backend.database();
+    const ran = [];
+    const first = { version: 1, migrate: (dataBase) => { ran.push(1); dataBase.createObjectStore('users'); } };
+    const second = { version: 2, migrate: (dataBase, transaction) => { ran.push(2); transaction.objectStore('users').put('Ada', 'ada'); } };
+
+    const db = database.createDatabase({ stores: { users: null }, migrations: [first] });
+    await keys(db.store('users'));
+    await db.close();
+
+    const upgraded = database.createDatabase({ stores: { users: null }, migrations: [first, second] });
+    assert.equal(await get('ada', upgraded.store('users')), 'Ada');
+    assert.deepEqual(ran, [1, 2]);
+    await upgraded.close();
+  });
+
+  test('malformed migrations are refused', () => {
+    assert.throws(() => backend.createStore('users', null, []), /At least one migration/);
+    assert.throws(() => backend.createStore('users', null, [{ version: 0, migrate() {} }]), /positive integer/);
+    assert.throws(() => backend.createStore('users', null, [{ version: 1, migrate() {} }, { version: 1, migrate() {} }]), /more than once/);
+  });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { namespace, watch, set, setMany, get, del, clear, keys, entries, has, count, createLocalAdapter, sync } from '../main.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describeBackends((backend) => {
+  test('a namespace sees only its keys, without the prefix', async () => {
+    const store = backend.createStore();
+    const settings = namespace(store, 'settings:');
+
+    await set('other', 0, store);
+    await setMany([['theme', 'dark'], ['lang', 'en']], settings);
+
+    assert.equal(await get('settings:theme', store), 'dark');
+    assert.equal(await get('theme', settings), 'dark');
+    assert.equal(await get('other', settings), undefined);
+    assert.deepEqual(await entries(settings), [['lang', 'en'], ['theme', 'dark']]);
+    assert.deepEqual(await keys(settings, { direction: 'prev', limit: 1 }), ['theme']);
+
+    await del('lang', settings);
+    await clear(settings);
+    assert.deepEqual(await keys(store), ['other']);
+  });
+
+  test('keys of a namespace must be strings', async () => {
+    const settings = namespace(backend.createStore(), 'settings:');
+
+    await assert.rejects(set(1, 'one', settings), { name: 'DataError' });
+  });
+
+  test('watching a namespace reports its changes with its keys', async () => {
+    const store = backend.createStore();
+    const settings = namespace(store, 'settings:');
+    const changes = [];
+    const unwatch = watch(settings, null, event => changes.push(...event.changes));
+    await unwatch.ready;
+
+    await set('theme', 'dark', settings);
+    await set('other', 1, store);
+    await clear(settings);
+    await tick();
+    unwatch();
+
+    assert.deepEqual(changes, [{ type: 'set', key: 'theme' }, { type: 'clear' }]);
+  });
+
+  test('count and has read no values', async () => {
+    const store = backend.createStore('cache', { expiration: true });
+    const settings = namespace(store, 'settings:');
+
+    await setMany([['a', 1], ['b', undefined]], store);
+    await set('stale', 2, store, { expiresAt: Date.now() - 1000 });
+    await set('theme', 'dark', settings);
+
+    assert.equal(await has(store, 'a'), true);
+    assert.equal(await has(store, 'stale'), false);
+    assert.equal(await has(settings, 'theme'), true);
+    assert.equal(await has(settings, 'a'), false);
+    assert.equal(await count(store), 3);
+    assert.equal(await count(store, 'a'), 1);
+    assert.equal(await count(store, { lower: 'a', upper: 'b', lowerOpen: false, upperOpen: false }), 2);
+    assert.equal(await count(settings), 1);
+  });
+
+  test('namespaced changes are synced through the store', async () => {
+    const store = backend.createStore('notes', { journal: true });
+    const remote = createLocalAdapter();
+
+    await set('draft', 'Hello', namespace(store, 'notes:'));
+    await assert.rejects(sync(namespace(store, 'notes:'), remote));
+    await sync(store, remote);
+
+    assert.deepEqual(remote.changes.map(({ op, key }) => [op, key]), [['set', 'notes:draft']]);
+  });
+
+  test('the reads of a namespaced cache record the accesses of its own keys', async () => {
+    const store = backend.createStore('cache', { cache: { maxEntries: 10, policy: 'lfu' } });
+    const drafts = namespace(store, 'drafts:');
+    await set('a', 1, store);
+    await set('a', 2, drafts);
+
+    await Promise.all([get('a', drafts), get('a', drafts)]);
+    await set('b', 3, store);
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    const hits = await store('readonly', store => Promise.all(['a', 'drafts:a'].map(key => (
+      new Promise(resolve => { store.transaction.objectStore('cache__access').get(key).onsuccess = event => resolve(event.target.result.hits); })
+    ))));
+    assert.deepEqual(hits, [1, 3]);
+  });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { withPlugins, encryptStore, get, set, setMany, keys, del, values } from '../main.js';
+
+describeBackends((backend) => {
+  test('plugins run in order, the first one outermost', async () => {
+    const calls = [];
+    const logger = name => async (context, next) => {
+      calls.push(`${name} before ${context.operation}`);
+      const result = await next();
+      calls.push(`${name} after ${context.operation}`);
+      return result;
+    };
+    const store = backend.createStore('kv', { plugins: [logger('outer')] });
+    const logged = withPlugins(store, [logger('inner')]);
+
+    await set('a', 1, logged);
+
+    assert.deepEqual(calls, ['outer before set', 'inner before set', 'inner after set', 'outer after set']);
+  });
+
+  test('plugins may change arguments and results', async () => {
+    const store = withPlugins(backend.createStore(), [{
+      set: (context, next) => {
+        context.value = String(context.value).toUpperCase();
+        return next();
+      },
+      get: async (context, next) => (await next()) ?? 'default',
+      keys: async (context, next) => (await next()).reverse(),
+    }]);
+
+    await setMany([['a', 'x']], store);
+    await set('b', 'hello', store);
+
+    assert.equal(await get('b', store), 'HELLO');
+    assert.equal(await get('a', store), 'x');
+    assert.equal(await get('missing', store), 'default');
+    assert.deepEqual(await keys(store), ['b', 'a']);
+  });
+
+  test('a throwing plugin vetoes the operation', async () => {
+    const base = backend.createStore();
+    const store = withPlugins(base, [{
+      del: () => {
+        throw new Error('Deleting is not allowed!');
+      },
+    }]);
+    await set('a', 1, store);
+
+    await assert.rejects(del('a', store), /Deleting is not allowed/);
+    assert.equal(await get('a', base), 1);
+  });
+
+  test('plugins of an encrypted store see the plain values', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const base = backend.createStore();
+    const seen = [];
+    const store = withPlugins(encryptStore(base, { key }), [{
+      set: (context, next) => {
+        seen.push(context.value);
+        return next();
+      },
+      get: async (context, next) => {
+        const value = await next();
+        seen.push(value);
+        return value;
+      },
+    }]);
+
+    await set('a', { secret: 1 }, store);
+    await get('a', store);
+
+    assert.deepEqual(seen, [{ secret: 1 }, { secret: 1 }]);
+    assert.ok(!JSON.stringify(await values(base)).includes('secret'));
+  });
+
+  test('malformed plugins are refused', () => {
+    assert.throws(() => withPlugins(backend.createStore(), 'logger'));
+    assert.throws(() => withPlugins(backend.createStore(), [42]));
+  });
+});
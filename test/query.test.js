@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { setMany, keys, values, entries } from '../main.js';
+
+describeBackends((backend) => {
+  async function fillStore() {
+    const store = backend.createStore();
+    await setMany([['a', 1], ['user:1', 2], ['user:2', 3], ['user:3', 4], ['z', 5]], store);
+    return store;
+  }
+
+  test('bounds narrow the keys', async () => {
+    const store = await fillStore();
+
+    assert.deepEqual(await keys(store, { lower: 'user:2' }), ['user:2', 'user:3', 'z']);
+    assert.deepEqual(await keys(store, { lower: 'a', upper: 'user:2', lowerOpen: true, upperOpen: true }), ['user:1']);
+    assert.deepEqual(await keys(store, { query: 'z' }), ['z']);
+    assert.deepEqual(await keys(store, { lower: 'z', upper: 'a' }), []);
+  });
+
+  test('prefix, limit and offset page through the keys', async () => {
+    const store = await fillStore();
+
+    assert.deepEqual(await keys(store, { prefix: 'user:' }), ['user:1', 'user:2', 'user:3']);
+    assert.deepEqual(await values(store, { prefix: 'user:', limit: 2 }), [2, 3]);
+    assert.deepEqual(await entries(store, { prefix: 'user:', offset: 1, limit: 1 }), [['user:2', 3]]);
+    assert.deepEqual(await keys(store, { prefix: 'user:', after: 'user:1' }), ['user:2', 'user:3']);
+  });
+
+  test('the direction reverses the order, also for pages', async () => {
+    const store = await fillStore();
+
+    assert.deepEqual(await keys(store, { direction: 'prev', limit: 2 }), ['z', 'user:3']);
+    assert.deepEqual(await keys(store, { prefix: 'user:', direction: 'prev', after: 'user:3' }), ['user:2', 'user:1']);
+  });
+
+  test('a limit of 0 returns an empty page on every path', async () => {
+    const store = await fillStore();
+
+    assert.deepEqual(await keys(store, { limit: 0 }), []);
+    assert.deepEqual(await values(store, { limit: 0, direction: 'prev' }), []);
+    assert.deepEqual(await entries(store, { limit: 0, offset: 1 }), []);
+  });
+
+  test('a limit or offset which is not a non-negative integer is refused', async () => {
+    const store = await fillStore();
+
+    await assert.rejects(keys(store, { limit: -1 }), /'limit' must be a non-negative integer/);
+    await assert.rejects(values(store, { limit: 1.5 }), /'limit' must be a non-negative integer/);
+    await assert.rejects(entries(store, { offset: -2 }), /'offset' must be a non-negative integer/);
+  });
+
+  test('a prefix which is not a string is refused', async () => {
+    const store = await fillStore();
+
+    await assert.rejects(keys(store, { prefix: 1 }), /'prefix' must be a string/);
+  });
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { set, setMany, get, entries, exportStore, exportStoreStream, importStore } from '../main.js';
+
+describeBackends((backend) => {
+  test('values keep their type through JSON', async () => {
+    const source = backend.createStore();
+    const value = {
+      date: new Date(0),
+      map: new Map([[1, 'one']]),
+      set: new Set(['a']),
+      bytes: new Uint8Array([1, 2, 3]),
+      big: 10n,
+      missing: undefined,
+      special: [NaN, -0, Infinity],
+      $type: 'not a tag',
+    };
+    await set(1, value, source);
+    await set(new Date(5), 'date key', source);
+
+    const json = JSON.stringify(await exportStore(source));
+    const target = backend.createStore();
+    await importStore(target, json);
+
+    assert.deepEqual(await get(1, target), value);
+    assert.equal(await get(new Date(5), target), 'date key');
+  });
+
+  test('an object referenced twice is exported, a cycle is refused', async () => {
+    const store = backend.createStore();
+    const shared = { name: 'shared' };
+    await set('shared', { a: shared, b: shared, list: [shared, shared] }, store);
+
+    const snapshot = await exportStore(store);
+    assert.deepEqual(snapshot.entries[0][1], { a: { name: 'shared' }, b: { name: 'shared' }, list: [{ name: 'shared' }, { name: 'shared' }] });
+
+    const cyclic = { name: 'cyclic' };
+    cyclic.self = { parent: cyclic };
+    await set('cyclic', cyclic, store);
+    await assert.rejects(exportStore(store), /Cyclic structures can't be exported/);
+  });
+
+  test('the stream yields a header and one line per entry', async () => {
+    const store = backend.createStore();
+    await setMany([['a', 1], ['b', 2], ['c', 3]], store);
+
+    const lines = [];
+    for await (const line of exportStoreStream(store, { batchSize: 2 })) lines.push(line);
+
+    assert.equal(lines.length, 4);
+    assert.ok(lines.every(line => line.endsWith('\n')));
+
+    const target = backend.createStore();
+    await importStore(target, lines.join(''));
+    assert.deepEqual(await entries(target), [['a', 1], ['b', 2], ['c', 3]]);
+  });
+
+  test('import modes merge, replace or skip existing keys', async () => {
+    const source = backend.createStore();
+    await setMany([['a', 1], ['b', 2]], source);
+    const snapshot = await exportStore(source);
+
+    const prepare = async () => {
+      const store = backend.createStore();
+      await setMany([['a', 'old'], ['z', 'old']], store);
+      return store;
+    };
+
+    const merged = await prepare();
+    await importStore(merged, snapshot);
+    assert.deepEqual(await entries(merged), [['a', 1], ['b', 2], ['z', 'old']]);
+
+    const replaced = await prepare();
+    await importStore(replaced, snapshot, { mode: 'replace' });
+    assert.deepEqual(await entries(replaced), [['a', 1], ['b', 2]]);
+
+    const skipped = await prepare();
+    const progress = [];
+    await importStore(skipped, snapshot, { mode: 'skipExisting', onProgress: ({ processed, total }) => progress.push([processed, total]) });
+    assert.deepEqual(await entries(skipped), [['a', 'old'], ['b', 2], ['z', 'old']]);
+    assert.deepEqual(progress.at(-1), [2, 2]);
+  });
+});
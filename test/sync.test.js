@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { createLocalAdapter, encryptStore, sync, set, get, del, clear, entries } from '../main.js';
+
+/**
+ * Changes made within the same millisecond are ordered by their random revisions, so let time pass where the order matters.
+ */
+const later = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describeBackends((backend) => {
+  const createNotes = () => backend.createStore('notes', { journal: true });
+
+  test('changes travel between two stores through the remote', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+    const phone = createNotes();
+
+    await set('a', 1, laptop);
+    await set('b', 2, laptop);
+    assert.deepEqual(await sync(laptop, remote), { pulled: 0, pushed: 2, conflicts: 0 });
+    assert.deepEqual(await sync(phone, remote), { pulled: 2, pushed: 0, conflicts: 0 });
+    assert.deepEqual(await entries(phone), [['a', 1], ['b', 2]]);
+
+    await del('a', phone);
+    await sync(phone, remote);
+    await sync(laptop, remote);
+    assert.deepEqual(await entries(laptop), [['b', 2]]);
+    assert.equal((await sync(laptop, remote)).pushed, 0);
+  });
+
+  test('pulled echoes of pushed changes are not conflicts', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+
+    await set('a', 1, laptop);
+    await set('b', 1, laptop);
+    await sync(laptop, remote);
+    await set('a', 2, laptop);
+    await set('b', 2, laptop);
+
+    const resolved = [];
+    const result = await sync(laptop, remote, { conflict: ({ key, local }) => { resolved.push(key); return local.value; } });
+
+    assert.deepEqual(result, { pulled: 2, pushed: 2, conflicts: 0 });
+    assert.deepEqual(resolved, []);
+    assert.deepEqual(await entries(laptop), [['a', 2], ['b', 2]]);
+  });
+
+  test('the latest change wins by default', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+    const phone = createNotes();
+
+    await set('a', 'laptop', laptop);
+    await later();
+    await set('a', 'phone', phone);
+    await sync(phone, remote);
+
+    assert.deepEqual(await sync(laptop, remote), { pulled: 1, pushed: 0, conflicts: 1 });
+    assert.equal(await get('a', laptop), 'phone');
+
+    await later();
+    await set('a', 'laptop again', laptop);
+    await sync(laptop, remote);
+    await sync(phone, remote);
+    assert.equal(await get('a', phone), 'laptop again');
+  });
+
+  test('a custom resolution merges both values', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+    const phone = createNotes();
+    const merge = ({ local, remote }) => ({ ...remote.value, ...local.value });
+
+    await set('draft', { title: 'Hi' }, phone);
+    await sync(phone, remote);
+    await set('draft', { text: 'Hello' }, laptop);
+
+    assert.equal((await sync(laptop, remote, { conflict: merge })).conflicts, 1);
+    await sync(phone, remote, { conflict: merge });
+
+    assert.deepEqual(await get('draft', laptop), { title: 'Hi', text: 'Hello' });
+    assert.deepEqual(await get('draft', phone), { title: 'Hi', text: 'Hello' });
+  });
+
+  test('a remote clear deletes the local records', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+    const phone = createNotes();
+
+    await set('a', 1, laptop);
+    await set('b', 2, laptop);
+    await sync(laptop, remote);
+    await sync(phone, remote);
+
+    await clear(phone);
+    await sync(phone, remote);
+    await sync(laptop, remote);
+
+    assert.deepEqual(await entries(laptop), []);
+    assert.deepEqual(remote.changes.at(-1).op, 'clear');
+  });
+
+  test('a failed push is resumed by the next sync', async () => {
+    const remote = createLocalAdapter();
+    const laptop = createNotes();
+    const phone = createNotes();
+    let failing = true;
+    const flaky = {
+      pull: remote.pull,
+      /**
+       * The connection drops after the first change reached the remote.
+       */
+      push: async (changes) => {
+        if (!failing) return remote.push(changes);
+        await remote.push(changes.slice(0, 1));
+        throw new Error('Network down');
+      },
+    };
+
+    await set('a', 1, laptop);
+    await set('b', 2, laptop);
+    await set('c', 3, laptop);
+    await assert.rejects(sync(laptop, flaky, { batchSize: 2 }), /Network down/);
+
+    failing = false;
+    assert.deepEqual(await sync(laptop, flaky, { batchSize: 2 }), { pulled: 1, pushed: 3, conflicts: 0 });
+    await sync(phone, remote);
+    assert.deepEqual(await entries(phone), [['a', 1], ['b', 2], ['c', 3]]);
+  });
+
+  test('stores without a journal and invalid adapters are refused', async () => {
+    await assert.rejects(sync(backend.createStore(), createLocalAdapter()), /journal: true/);
+    await assert.rejects(sync(createNotes(), {}), TypeError);
+  });
+
+  test('encrypted stores push and pull encrypted records', async () => {
+    const remote = createLocalAdapter();
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const laptop = encryptStore(createNotes(), { key, keyId: 'v1' });
+    const phone = encryptStore(createNotes(), { key, keyId: 'v1' });
+
+    await set('draft', { text: 'secret' }, laptop);
+    await sync(laptop, remote);
+    await sync(phone, remote);
+
+    assert.ok(!JSON.stringify(remote.changes).includes('secret'));
+    assert.deepEqual(await get('draft', phone), { text: 'secret' });
+  });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { transaction, setMany, get, keys, TransactionAbortedError } from '../main.js';
+
+describeBackends((backend) => {
+  test('reads and writes share one transaction', async () => {
+    const store = backend.createStore();
+    await setMany([['a', 1], ['b', 2]], store);
+
+    const total = await transaction(store, 'readwrite', async tx => {
+      const [a, b] = await tx.getMany(['a', 'b']);
+      await tx.set('total', a + b);
+      await tx.update('a', value => value * 10);
+      return tx.count();
+    });
+
+    assert.equal(total, 3);
+    assert.equal(await get('total', store), 3);
+    assert.equal(await get('a', store), 10);
+  });
+
+  test('a throwing callback rolls every write back', async () => {
+    const store = backend.createStore();
+    await setMany([['a', 1]], store);
+
+    await assert.rejects(transaction(store, 'readwrite', async tx => {
+      await tx.set('b', 2);
+      await tx.del('a');
+      throw new Error('changed my mind');
+    }), /changed my mind/);
+
+    assert.deepEqual(await keys(store), ['a']);
+  });
+
+  test('awaiting something else lets the transaction commit and is reported', async () => {
+    const store = backend.createStore();
+    let late;
+
+    const error = await transaction(store, 'readwrite', async tx => {
+      await tx.set('early', 1);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      late = tx.set('late', 2);
+      await late;
+    }).catch(error => error);
+
+    assert.match(error.message, /were committed/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await assert.rejects(late, /after the transaction had already committed/);
+    assert.deepEqual(await keys(store), ['early']);
+  });
+
+  test('an abort by IndexedDB rejects with a TransactionAbortedError', async () => {
+    const store = backend.createStore();
+
+    const error = await transaction(store, 'readwrite', async tx => {
+      await tx.set('a', 1);
+      tx.store.transaction.abort();
+    }).catch(error => error);
+
+    assert.ok(error instanceof TransactionAbortedError);
+    assert.equal(error.operation, 'transaction');
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('a read-only transaction refuses writes', async () => {
+    const store = backend.createStore();
+
+    await assert.rejects(transaction(store, 'readonly', tx => tx.set('a', 1)), { name: 'ReadOnlyError' });
+  });
+});
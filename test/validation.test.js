@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { encryptStore, set, setMany, get, keys, update, transaction, promisifyRequest, ValidationError } from '../main.js';
+
+const userSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    address: { type: 'object', properties: { zip: { type: 'string', pattern: '^[0-9]{5}$' } } },
+  },
+};
+
+describeBackends((backend) => {
+  test('a JSON Schema rejects invalid values with the failing path', async () => {
+    const store = backend.createStore('users', { validate: userSchema });
+    await set('u1', { name: 'Ann', age: 30, address: { zip: '12345' } }, store);
+
+    const error = await set('u2', { name: 'Bob', address: { zip: 'abc' } }, store).catch(error => error);
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.key, 'u2');
+    assert.equal(error.path, '/address/zip');
+
+    await assert.rejects(set('u3', { age: 1 }, store), ValidationError);
+    await assert.rejects(update('u1', user => ({ ...user, age: -1 }), store), ValidationError);
+    assert.deepEqual(await keys(store), ['u1']);
+  });
+
+  test('setMany checks all entries before writing any of them', async () => {
+    const store = backend.createStore('users', { validate: userSchema });
+
+    await assert.rejects(setMany([['a', { name: 'Ann' }], ['b', { name: '' }]], store), ValidationError);
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('a validation function and the transaction handle', async () => {
+    const store = backend.createStore('numbers', {
+      validate: value => typeof value === 'number' || 'Only numbers!',
+    });
+
+    await assert.rejects(transaction(store, 'readwrite', async tx => {
+      await tx.set('a', 1);
+      await tx.set('b', 'two');
+    }), /Only numbers/);
+    assert.deepEqual(await keys(store), []);
+  });
+
+  test('validateOnRead rejects or reports invalid stored values', async () => {
+    const writeLegacy = store => store('readwrite', store => promisifyRequest(store.put({ age: 1 }, 'bad')));
+
+    const strict = backend.createStore('users', { validate: userSchema, validateOnRead: true });
+    await writeLegacy(strict);
+    await assert.rejects(get('bad', strict), ValidationError);
+
+    const reported = [];
+    const lenient = backend.createStore('users', { validate: userSchema, validateOnRead: error => reported.push(error.key) });
+    await writeLegacy(lenient);
+    assert.deepEqual(await get('bad', lenient), { age: 1 });
+    assert.deepEqual(reported, ['bad']);
+  });
+
+  test('an encrypted store validates the plain values', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const store = encryptStore(backend.createStore('users', { validate: userSchema }), { key });
+
+    await set('u1', { name: 'Ann' }, store);
+    await assert.rejects(set('u2', { name: '' }, store), ValidationError);
+    assert.deepEqual(await get('u1', store), { name: 'Ann' });
+  });
+});
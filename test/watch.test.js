@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeBackends } from './backends.js';
+import { watch, subscribe, set, setMany, del, clear, update, promisifyRequest } from '../main.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describeBackends((backend) => {
+  test('a watcher of a key receives only its changes', async () => {
+    const database = backend.database();
+    const store = database.createStore();
+    const events = [];
+    const unwatch = watch(store, 'settings', event => events.push(event));
+    await unwatch.ready;
+
+    await set('settings', { theme: 'dark' }, store);
+    await set('other', 1, store);
+    await update('settings', settings => ({ ...settings, theme: 'light' }), store);
+    await del('settings', store);
+    await tick();
+    unwatch();
+
+    assert.deepEqual(events.map(({ changes }) => changes), [
+      [{ type: 'set', key: 'settings' }],
+      [{ type: 'set', key: 'settings' }],
+      [{ type: 'delete', key: 'settings' }],
+    ]);
+    assert.ok(events.every(({ dbName, storeName, remote }) => dbName === database.name && storeName === 'keyval' && !remote));
+  });
+
+  test('a watcher of a range sees the changes of one transaction together', async () => {
+    const store = backend.createStore();
+    const events = [];
+    const unwatch = watch(store, { lower: 'b', upper: 'c', lowerOpen: false, upperOpen: false }, event => events.push(event));
+    await unwatch.ready;
+
+    await setMany([['a', 1], ['b', 2], ['c', 3]], store);
+    await clear(store);
+    await tick();
+    unwatch();
+
+    assert.deepEqual(events.map(({ changes }) => changes), [
+      [{ type: 'set', key: 'b' }, { type: 'set', key: 'c' }],
+      [{ type: 'clear' }],
+    ]);
+  });
+
+  test('aborted transactions are not reported, and unwatching stops the listener', async () => {
+    const store = backend.createStore();
+    const events = [];
+    const unsubscribe = subscribe(store, event => events.push(event));
+    await unsubscribe.ready;
+
+    await assert.rejects(store('readwrite', store => {
+      store.put(1, 'a');
+      store.transaction.abort();
+      return promisifyRequest(store.transaction);
+    }));
+    unsubscribe();
+    await set('b', 2, store);
+    await tick();
+
+    assert.deepEqual(events, []);
+  });
+
+  test('one channel per database posts the changes, and it closes with the connection', { skip: backend.name === 'memory' && 'the memory backend never broadcasts' }, async () => {
+    const channels = [];
+    const OriginalChannel = globalThis.BroadcastChannel;
+    globalThis.BroadcastChannel = class extends OriginalChannel {
+      constructor(name) {
+        super(name);
+        channels.push(this);
+      }
+      close() {
+        this.closed = true;
+        super.close();
+      }
+    };
+
+    const db = backend.database().createDatabase({ stores: { keyval: null } });
+    const otherTab = new OriginalChannel(`idb-library:${db.name}`);
+    const received = [];
+    otherTab.onmessage = ({ data }) => received.push(data);
+
+    try {
+      await set('a', 1, db.store('keyval'));
+      await set('b', 2, db.store('keyval'));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.equal(channels.length, 1);
+      assert.deepEqual(received.map(({ changes }) => changes), [[{ type: 'set', key: 'a' }], [{ type: 'set', key: 'b' }]]);
+
+      await db.close();
+      assert.equal(channels[0].closed, true);
+    } finally {
+      otherTab.close();
+      globalThis.BroadcastChannel = OriginalChannel;
+    }
+  });
+});